@@ -0,0 +1,226 @@
+// Achievements: badges unlocked once and kept, with the lifetime stats behind them
+import { GAME_CONFIG } from './constants.js';
+import { GAME_EVENTS } from './events.js';
+import { loadData, saveData } from './storage.js';
+
+/**
+ * Gallery sections, in display order
+ */
+export const ACHIEVEMENT_CATEGORIES = {
+    distance: 'Distance',
+    lifetime: 'Lifetime',
+    skill: 'Skill',
+    difficulty: 'Difficulty'
+};
+
+// Stats that add up across runs; the others are only ever bests within a run
+const LIFETIME_STATS = ['runs', 'distance', 'crashes', 'nearMisses', 'powerUps', 'coursesFinished', 'dailies'];
+
+/**
+ * Achievement catalogue. Each one unlocks when a stat reaches its goal:
+ * a 'run' achievement needs it within one run, a 'lifetime' one over every
+ * run. `difficulties` limits an achievement to runs on those presets.
+ *
+ * Run stats: runs (1), distance (metres), score, crashes, nearMisses,
+ * bestCombo, powerUps, cleanTime (seconds since the last crash),
+ * coursesFinished (1 once a time trial course is finished) and dailies
+ * (1 for a daily challenge). Lifetime stats add up the first ones.
+ */
+export const ACHIEVEMENTS = [
+    { id: 'roadTrip', category: 'distance', icon: '🚗', name: 'Road Trip', description: 'Drive 1,000 m in one run', scope: 'run', stat: 'distance', goal: 1000 },
+    { id: 'marathon', category: 'distance', icon: '🏃', name: 'Marathon', description: 'Drive 5,000 m in one run', scope: 'run', stat: 'distance', goal: 5000 },
+    { id: 'crossCountry', category: 'distance', icon: '🗺️', name: 'Cross Country', description: 'Drive 10,000 m in one run', scope: 'run', stat: 'distance', goal: 10000 },
+    { id: 'globetrotter', category: 'distance', icon: '🌍', name: 'Globetrotter', description: 'Drive 100,000 m in total', scope: 'lifetime', stat: 'distance', goal: 100000 },
+    
+    { id: 'regular', category: 'lifetime', icon: '🎟️', name: 'Regular', description: 'Play 10 runs', scope: 'lifetime', stat: 'runs', goal: 10 },
+    { id: 'veteran', category: 'lifetime', icon: '🎖️', name: 'Veteran', description: 'Play 100 runs', scope: 'lifetime', stat: 'runs', goal: 100 },
+    { id: 'collector', category: 'lifetime', icon: '🧲', name: 'Collector', description: 'Collect 100 power-ups', scope: 'lifetime', stat: 'powerUps', goal: 100 },
+    { id: 'crashTestDummy', category: 'lifetime', icon: '💥', name: 'Crash Test Dummy', description: 'Crash 50 times', scope: 'lifetime', stat: 'crashes', goal: 50 },
+    { id: 'dailyDriver', category: 'lifetime', icon: '📅', name: 'Daily Driver', description: 'Play 7 daily challenges', scope: 'lifetime', stat: 'dailies', goal: 7 },
+    
+    { id: 'closeShave', category: 'skill', icon: '✂️', name: 'Close Shave', description: 'Pull off a near miss', scope: 'run', stat: 'nearMisses', goal: 1 },
+    { id: 'daredevil', category: 'skill', icon: '😈', name: 'Daredevil', description: 'Pull off 25 near misses in one run', scope: 'run', stat: 'nearMisses', goal: 25 },
+    { id: 'comboMaster', category: 'skill', icon: '🔥', name: 'Combo Master', description: 'Build a x10 near-miss combo', scope: 'run', stat: 'bestCombo', goal: 10 },
+    { id: 'untouchable', category: 'skill', icon: '🛡️', name: 'Untouchable', description: 'Drive for 2 minutes without a crash', scope: 'run', stat: 'cleanTime', goal: 120 },
+    { id: 'highRoller', category: 'skill', icon: '💰', name: 'High Roller', description: 'Score 10,000 points in one run', scope: 'run', stat: 'score', goal: 10000 },
+    
+    { id: 'hardEarned', category: 'difficulty', icon: '⛰️', name: 'Hard Earned', description: 'Drive 2,000 m in one run on Hard', scope: 'run', stat: 'distance', goal: 2000, difficulties: ['hard'] },
+    { id: 'extremeSurvivor', category: 'difficulty', icon: '☠️', name: 'Extreme Survivor', description: 'Drive 2,000 m in one run on Extreme', scope: 'run', stat: 'distance', goal: 2000, difficulties: ['extreme'] },
+    { id: 'finisher', category: 'difficulty', icon: '🏁', name: 'Finisher', description: 'Finish a time trial course', scope: 'run', stat: 'coursesFinished', goal: 1 },
+    { id: 'hardFinisher', category: 'difficulty', icon: '🥈', name: 'Hard Finisher', description: 'Finish a time trial course on Hard', scope: 'run', stat: 'coursesFinished', goal: 1, difficulties: ['hard'] },
+    { id: 'extremeFinisher', category: 'difficulty', icon: '🥇', name: 'Extreme Finisher', description: 'Finish a time trial course on Extreme', scope: 'run', stat: 'coursesFinished', goal: 1, difficulties: ['extreme'] }
+];
+
+/**
+ * Keeps the unlocked achievements and the lifetime stats, and checks the
+ * locked ones while a run is being tracked. Replays are never tracked, so
+ * watching a run again cannot unlock anything.
+ */
+export class AchievementTracker {
+    /**
+     * @param {GameSimulation} game - The game whose runs count towards the achievements
+     */
+    constructor(game) {
+        this.game = game;
+        this.tracking = false;
+        this.baseline = {}; // Run stats already counted before this session of the run
+        this.powerUps = 0;
+        this.cleanTime = 0;
+        this.load();
+        
+        this.game.events.on(GAME_EVENTS.POWER_UP_COLLECTED, () => {
+            this.powerUps++;
+        });
+        this.game.events.on(GAME_EVENTS.COLLISION, () => {
+            this.cleanTime = 0;
+        });
+    }
+    
+    /**
+     * Read the active profile's unlocks and lifetime stats
+     */
+    load() {
+        const saved = loadData('achievements', null);
+        
+        this.unlocked = saved && saved.unlocked && typeof saved.unlocked === 'object' ? saved.unlocked : {};
+        this.stats = {};
+        LIFETIME_STATS.forEach(stat => {
+            const value = saved && saved.stats ? saved.stats[stat] : 0;
+            this.stats[stat] = Number.isFinite(value) ? value : 0;
+        });
+    }
+    
+    /**
+     * Save the unlocks and lifetime stats to the active profile
+     */
+    save() {
+        saveData('achievements', { unlocked: this.unlocked, stats: this.stats });
+    }
+    
+    /**
+     * Whether an achievement has been unlocked
+     * @param {string} id - Achievement id
+     * @returns {boolean} True once unlocked
+     */
+    isUnlocked(id) {
+        return Boolean(this.unlocked[id]);
+    }
+    
+    /**
+     * Get when an achievement was unlocked
+     * @param {string} id - Achievement id
+     * @returns {string|null} ISO timestamp, or null while locked
+     */
+    getUnlockTime(id) {
+        return this.unlocked[id] || null;
+    }
+    
+    /**
+     * Read the stats of the run being driven
+     * @returns {Object} Run stats, as listed on ACHIEVEMENTS
+     */
+    getRunStats() {
+        const game = this.game;
+        return {
+            runs: 1,
+            distance: Math.floor(game.distance / GAME_CONFIG.PIXELS_PER_METRE),
+            score: game.score,
+            crashes: game.collisions,
+            nearMisses: game.nearMisses,
+            bestCombo: game.bestCombo,
+            powerUps: this.powerUps,
+            cleanTime: this.cleanTime,
+            coursesFinished: game.timeTrial && game.timeTrial.isFinished() ? 1 : 0,
+            dailies: game.dailyChallenge ? 1 : 0
+        };
+    }
+    
+    /**
+     * Get a lifetime stat, counting the run being driven
+     * @param {string} stat - Stat name from LIFETIME_STATS
+     * @param {Object} runStats - Stats of the tracked run, or null between runs
+     * @returns {number} The stat's value
+     */
+    getLifetimeStat(stat, runStats = null) {
+        if (!runStats) return this.stats[stat];
+        return this.stats[stat] + runStats[stat] - (this.baseline[stat] || 0);
+    }
+    
+    /**
+     * Get how far an achievement is from its goal
+     * @param {Object} achievement - Achievement from ACHIEVEMENTS
+     * @returns {number} Progress towards the goal; run achievements have none between runs
+     */
+    getProgress(achievement) {
+        if (this.isUnlocked(achievement.id)) return achievement.goal;
+        return achievement.scope === 'lifetime' ? Math.min(this.getLifetimeStat(achievement.stat), achievement.goal) : 0;
+    }
+    
+    /**
+     * Start checking a run against the achievements
+     * @param {boolean} continued - Whether the run was continued from a saved run, whose
+     *        stats so far were counted when it was saved
+     */
+    startRun(continued = false) {
+        this.tracking = true;
+        this.powerUps = 0;
+        this.cleanTime = 0;
+        this.baseline = continued ? this.getRunStats() : {};
+    }
+    
+    /**
+     * Check the run one last time and add it to the lifetime stats
+     */
+    endRun() {
+        if (!this.tracking) return;
+        
+        const runStats = this.getRunStats();
+        this.check(runStats);
+        LIFETIME_STATS.forEach(stat => {
+            this.stats[stat] = this.getLifetimeStat(stat, runStats);
+        });
+        this.tracking = false;
+        this.save();
+    }
+    
+    /**
+     * Check the locked achievements after a step
+     * @param {number} delta - Step length in seconds
+     */
+    update(delta) {
+        if (!this.tracking) return;
+        
+        this.cleanTime += delta;
+        this.check(this.getRunStats());
+    }
+    
+    /**
+     * Unlock every locked achievement whose goal the run has reached
+     * @param {Object} runStats - Stats of the tracked run
+     */
+    check(runStats) {
+        ACHIEVEMENTS.forEach(achievement => {
+            if (this.isUnlocked(achievement.id)) return;
+            if (achievement.difficulties && !achievement.difficulties.includes(this.game.difficultyPreset)) return;
+            
+            const value = achievement.scope === 'lifetime' ?
+                this.getLifetimeStat(achievement.stat, runStats) :
+                runStats[achievement.stat];
+            if (value >= achievement.goal) {
+                this.unlock(achievement);
+            }
+        });
+    }
+    
+    /**
+     * Record an achievement as unlocked now and announce it
+     * @param {Object} achievement - Achievement from ACHIEVEMENTS
+     */
+    unlock(achievement) {
+        const unlockedAt = new Date().toISOString();
+        this.unlocked[achievement.id] = unlockedAt;
+        this.save();
+        
+        this.game.events.emit(GAME_EVENTS.ACHIEVEMENT_UNLOCKED, { achievement, unlockedAt });
+    }
+}
@@ -1,8 +1,27 @@
 // Main application
 import { GameEngine } from './game-engine.js';
 import { InputController } from './input-controller.js';
-import { GAME_STATES } from './constants.js';
+import { GAME_CONFIG, GAME_STATES, GAME_MODES, DIFFICULTY_PRESETS, TIME_TRIAL_COURSES, PROFILES } from './constants.js';
+import { GAME_EVENTS } from './events.js';
 import { NotificationSystem } from './notification.js';
+import { loadSavedReplays, saveReplay, exportReplay, importReplay } from './replay.js';
+import { saveRun, loadSavedRun } from './saved-run.js';
+import { loadBestResult, formatResult } from './time-trial.js';
+import { getDateKey, describeChallenge, getDailyCalendar } from './daily-challenge.js';
+import { ACHIEVEMENTS, ACHIEVEMENT_CATEGORIES } from './achievements.js';
+import { getLeaderboard, qualifiesForLeaderboard, addLeaderboardEntry, loadLastInitials } from './leaderboard.js';
+import { getProfiles, getActiveProfile, createProfile, renameProfile, deleteProfile, switchProfile } from './storage.js';
+import { loadSettings, saveSettings } from './settings.js';
+import { exportSaveData, loadSaveFile, importSaveData } from './save-data.js';
+import { formatNumber, formatTime } from './utility.js';
+
+// Names of the modes and difficulty presets on the leaderboard
+const MODE_NAMES = {
+    [GAME_MODES.ENDLESS]: 'Endless',
+    [GAME_MODES.TIME_TRIAL]: 'Time Trial',
+    [GAME_MODES.DAILY]: 'Daily'
+};
+const capitalize = text => `${text[0].toUpperCase()}${text.slice(1)}`;
 
 class App {
     constructor() {
@@ -15,16 +34,65 @@ class App {
             scoreDisplay: document.getElementById('score'),
             speedDisplay: document.getElementById('speed'),
             livesDisplay: document.getElementById('lives'),
+            livesStat: document.getElementById('lives-stat'),
+            healthStat: document.getElementById('health-stat'),
+            healthDisplay: document.getElementById('health'),
+            healthMeter: document.getElementById('health-meter'),
+            ghostStat: document.getElementById('ghost-stat'),
+            ghostDisplay: document.getElementById('ghost-delta'),
+            comboStat: document.getElementById('combo-stat'),
+            comboDisplay: document.getElementById('combo-multiplier'),
+            comboMeter: document.getElementById('combo-meter'),
+            fuelStat: document.getElementById('fuel-stat'),
+            fuelDisplay: document.getElementById('fuel-level'),
+            fuelGauge: document.getElementById('fuel-gauge'),
+            timeTrialStat: document.getElementById('time-trial-stat'),
+            timeLeftDisplay: document.getElementById('time-left'),
+            checkpointDisplay: document.getElementById('checkpoint-info'),
+            gameOverTitle: document.getElementById('game-over-title'),
+            gameOverReason: document.getElementById('game-over-reason'),
+            endlessResults: document.getElementById('endless-results'),
+            timeTrialResults: document.getElementById('time-trial-results'),
+            timeTrialCourse: document.getElementById('time-trial-course'),
+            timeTrialResult: document.getElementById('time-trial-result'),
+            timeTrialBest: document.getElementById('time-trial-best'),
+            dailyResults: document.getElementById('daily-results'),
+            dailyResultDate: document.getElementById('daily-result-date'),
+            dailyResultScore: document.getElementById('daily-result-score'),
+            dailyResultBest: document.getElementById('daily-result-best'),
             finalScoreDisplay: document.getElementById('final-score'),
             highScoreDisplay: document.getElementById('high-score'),
             finalHighScoreDisplay: document.getElementById('final-high-score'),
+            onlineRankDisplay: document.getElementById('online-rank'),
             settingsButton: document.getElementById('settings-button'),
             settingsPanel: document.getElementById('settings-panel'),
-            mobileControls: document.getElementById('mobile-controls')
+            mobileControls: document.getElementById('mobile-controls'),
+            powerUpHud: document.getElementById('power-up-hud'),
+            replayControls: document.getElementById('replay-controls'),
+            replaySeek: document.getElementById('replay-seek'),
+            replayTime: document.getElementById('replay-time'),
+            replayPlayPause: document.getElementById('replay-play-pause')
         };
         
-        // Initialize game engine with event emitter functionality
-        this.game = this.createGameEngineWithEvents();
+        // Difficulty picked on the start screen; the daily challenge brings its own
+        this.chosenDifficulty = 'medium';
+        
+        // Report of the last run while it waits for initials to go on the leaderboard
+        this.leaderboardReport = null;
+        this.latestEntry = null; // Board and place of the entry added last, to highlight it
+        this.leaderboardRequest = null; // Online board being loaded, to ignore answers that arrive too late
+        
+        // What the profile form is open for: 'create', 'rename' or 'delete'
+        this.profileAction = null;
+        
+        // Save file waiting for the player to choose what to do with clashing profiles
+        this.pendingImport = null;
+        
+        // Create notification system instance first: the engine picks it up when it is built
+        window.notificationSystem = new NotificationSystem();
+        
+        // Initialize game engine
+        this.game = new GameEngine(this.canvas, this.uiElements);
         
         // Initialize input controller
         this.input = new InputController(this.game);
@@ -36,47 +104,6 @@ class App {
         this.init();
     }
     
-    /**
-     * Extend GameEngine with event emitter functionality
-     * @returns {GameEngine} GameEngine instance with event emitter capabilities
-     */
-    createGameEngineWithEvents() {
-        const game = new GameEngine(this.canvas, this.uiElements);
-        
-        // Add event emitter functionality
-        game.events = {};
-        
-        game.on = function(event, callback) {
-            if (!this.events[event]) {
-                this.events[event] = [];
-            }
-            this.events[event].push(callback);
-            return this;
-        };
-        
-        game.off = function(event, callback) {
-            if (!this.events[event]) return this;
-            this.events[event] = this.events[event].filter(cb => cb !== callback);
-            return this;
-        };
-        
-        game.emit = function(event, ...args) {
-            if (!this.events[event]) return this;
-            this.events[event].forEach(callback => callback(...args));
-            return this;
-        };
-        
-        // Override setState to emit events
-        const originalSetState = game.setState;
-        game.setState = function(newState) {
-            const oldState = this.state;
-            originalSetState.call(this, newState);
-            this.emit('stateChange', newState, oldState);
-        };
-        
-        return game;
-    }
-    
     /**
      * Setup window event handlers
      */
@@ -94,7 +121,7 @@ class App {
         
         // Handle beforeunload to save game state
         window.addEventListener('beforeunload', () => {
-            if (this.game.state === GAME_STATES.PLAYING) {
+            if (this.game.state === GAME_STATES.PLAYING || this.game.state === GAME_STATES.PAUSED) {
                 // Save current game state to localStorage
                 this.saveGameState();
             }
@@ -153,31 +180,202 @@ class App {
      * Save current game state to localStorage
      */
     saveGameState() {
-        if (!this.game.player) return;
-        
-        const gameState = {
-            score: this.game.score,
-            lives: this.game.player.lives,
-            lane: this.game.player.lane,
-            obstacles: this.game.obstacles.map(obs => ({
-                lane: obs.lane,
-                y: obs.y,
-                type: obs.type
-            })),
-            powerUps: this.game.powerUps.map(pu => ({
-                lane: pu.lane,
-                y: pu.y,
-                type: pu.type
-            })),
-            timeScale: this.game.timeScale,
-            difficulty: this.game.difficulty
-        };
+        if (!this.game.player || this.game.isGameOver) return;
+        
+        saveRun(this.game.createSnapshot());
+        
+        // Count the run so far towards the lifetime stats; continuing it picks up from here
+        this.game.achievements.endRun();
+        
+        // Keep the progress made on missions counted over several runs
+        this.game.missions.save();
+    }
+    
+    /**
+     * Show the continue button on the start screen if there is a saved run
+     */
+    updateContinueButton() {
+        const snapshot = loadSavedRun();
+        const continueButton = document.getElementById('continue-button');
+        const continueInfo = document.getElementById('continue-info');
+        
+        continueButton.classList.toggle('hidden', !snapshot);
+        continueInfo.classList.toggle('hidden', !snapshot);
+        
+        if (snapshot) {
+            const condition = snapshot.rules.lives ?
+                `${snapshot.player.lives} lives left` :
+                `${Math.ceil(snapshot.player.health)}% health`;
+            const fuel = snapshot.rules.fuel ? ` · ${Math.ceil(snapshot.player.fuel)}% fuel` : '';
+            let progress = `${formatNumber(snapshot.score)} pts`;
+            if (snapshot.timeTrial) {
+                progress = `${TIME_TRIAL_COURSES[snapshot.timeTrial.course].name} · ${formatNumber(Math.floor(snapshot.distance / GAME_CONFIG.PIXELS_PER_METRE))} m`;
+            } else if (snapshot.challenge) {
+                progress = `Daily ${snapshot.challenge} · ${progress}`;
+            }
+            continueInfo.textContent = `${progress} · ${snapshot.difficultyPreset} · ${condition}${fuel}`;
+        }
+    }
+    
+    /**
+     * Put back the active profile's audio, ghost, difficulty and rule settings
+     */
+    applySettings() {
+        const settings = loadSettings();
+        
+        document.getElementById('music-toggle').checked = settings.music;
+        document.getElementById('sfx-toggle').checked = settings.sfx;
+        document.getElementById('ghost-toggle').checked = settings.ghost;
+        if (this.game.musicEnabled !== settings.music) {
+            this.game.toggleMusic(settings.music);
+        }
+        this.game.toggleSfx(settings.sfx);
+        this.game.toggleGhost(settings.ghost);
+        
+        const difficultyButton = document.getElementById(`${settings.difficulty}-button`);
+        if (difficultyButton) {
+            this.setActiveDifficultyButton(difficultyButton);
+            this.chosenDifficulty = settings.difficulty;
+        }
+        document.getElementById('fuel-rule').checked = settings.rules.fuel;
+        document.getElementById('lives-rule').checked = settings.rules.lives;
+        
+        // Applies the difficulty and rules, unless the daily challenge brings its own
+        this.selectMode(this.game.mode);
+    }
+    
+    /**
+     * Fill the profile switcher with every profile, the active one selected
+     */
+    updateProfileSwitcher() {
+        const profiles = getProfiles();
+        const select = document.getElementById('profile-select');
+        select.innerHTML = '';
+        profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            select.appendChild(option);
+        });
+        select.value = getActiveProfile().id;
+        
+        document.getElementById('new-profile-button').disabled = profiles.length >= PROFILES.MAX_PROFILES;
+        document.getElementById('delete-profile-button').disabled = profiles.length === 1;
+    }
+    
+    /**
+     * Make another profile active and show its settings and progress
+     * @param {string} id - Profile id
+     */
+    changeProfile(id) {
+        switchProfile(id);
+        this.game.loadProfile();
+        this.applySettings();
+        this.updateProfileSwitcher();
+        this.updateContinueButton();
+        this.updateMissionPanels();
+    }
+    
+    /**
+     * Open the profile form under the switcher
+     * @param {string} action - 'create', 'rename' or 'delete' the active profile
+     */
+    openProfileForm(action) {
+        const { name } = getActiveProfile();
+        const input = document.getElementById('profile-name-input');
+        this.profileAction = action;
+        
+        document.getElementById('profile-form-info').textContent = {
+            create: 'Name the new profile:',
+            rename: `Rename ${name} to:`,
+            delete: `Delete ${name} and all of its progress?`
+        }[action];
+        document.getElementById('profile-form-submit').textContent = action === 'delete' ? 'Delete' : 'Save';
+        input.classList.toggle('hidden', action === 'delete');
+        input.value = action === 'rename' ? name : '';
+        document.getElementById('profile-form').classList.remove('hidden');
+        if (action !== 'delete') {
+            input.focus();
+        }
+    }
+    
+    /**
+     * Close the profile form without changing anything
+     */
+    closeProfileForm() {
+        this.profileAction = null;
+        document.getElementById('profile-form').classList.add('hidden');
+    }
+    
+    /**
+     * Create, rename or delete a profile from the profile form. A new profile
+     * becomes the active one.
+     */
+    submitProfileForm() {
+        const name = document.getElementById('profile-name-input').value;
+        const active = getActiveProfile();
+        
+        try {
+            if (this.profileAction === 'create') {
+                const profile = createProfile(name);
+                this.closeProfileForm();
+                this.changeProfile(profile.id);
+                window.notificationSystem.success(`Welcome, ${profile.name}!`);
+            } else if (this.profileAction === 'rename') {
+                renameProfile(active.id, name);
+                this.closeProfileForm();
+                this.updateProfileSwitcher();
+            } else if (this.profileAction === 'delete') {
+                deleteProfile(active.id);
+                this.closeProfileForm();
+                this.changeProfile(getActiveProfile().id);
+                window.notificationSystem.info(`Deleted ${active.name}`);
+            }
+        } catch (error) {
+            window.notificationSystem.error(error.message);
+        }
+    }
+    
+    /**
+     * Import a checked save file, first asking what to do with any of its
+     * profiles that clash with profiles here
+     * @param {Object} saveImport - Checked file from loadSaveFile()
+     */
+    offerSaveImport(saveImport) {
+        this.pendingImport = saveImport;
+        if (saveImport.conflicts.length === 0) {
+            this.finishSaveImport(false);
+            return;
+        }
+        
+        const names = saveImport.conflicts.map(({ existing }) => existing.name).join(', ');
+        document.getElementById('import-conflicts-info').textContent = saveImport.conflicts.length === 1 ?
+            `${names} is already here. Replace it with the imported profile, or keep both?` :
+            `${names} are already here. Replace them with the imported profiles, or keep both?`;
+        document.getElementById('import-conflicts').classList.remove('hidden');
+    }
+    
+    /**
+     * Import the save file waiting in pendingImport and show its profiles in the switcher
+     * @param {boolean} replace - Whether clashing profiles replace the ones here
+     */
+    finishSaveImport(replace) {
+        const saveImport = this.pendingImport;
+        this.pendingImport = null;
+        document.getElementById('import-conflicts').classList.add('hidden');
+        if (!saveImport) return;
         
         try {
-            localStorage.setItem('gameState', JSON.stringify(gameState));
+            importSaveData(saveImport, replace);
         } catch (error) {
-            console.error('Error saving game state:', error);
+            window.notificationSystem.error(error.message);
+            return;
         }
+        
+        // The active profile may have been replaced
+        this.changeProfile(getActiveProfile().id);
+        const count = saveImport.profiles.length;
+        window.notificationSystem.success(`Imported ${count} ${count === 1 ? 'profile' : 'profiles'}`);
     }
     
     /**
@@ -187,9 +385,6 @@ class App {
         // Show loading indicator
         this.showLoadingIndicator();
         
-        // Create notification system instance
-        window.notificationSystem = new NotificationSystem();
-        
         // Create game instance
         const gameEngine = new GameEngine(this.canvas, this.uiElements);
         window.gameEngine = gameEngine;
@@ -211,6 +406,31 @@ class App {
         
         // Setup button event handlers for mobile UI
         this.setupButtonEvents();
+        
+        // Put back the active profile's settings
+        this.applySettings();
+        this.updateProfileSwitcher();
+        
+        // Offer to continue a run saved when the page was last closed
+        this.updateContinueButton();
+        this.updateMissionPanels();
+        
+        // Connect the online leaderboard
+        this.setupOnlineLeaderboard();
+    }
+    
+    /**
+     * Point the online leaderboard at the endpoint given with ?leaderboard=<url>,
+     * and send queued scores when the connection comes back
+     */
+    setupOnlineLeaderboard() {
+        const online = this.game.onlineLeaderboard;
+        const endpoint = new URLSearchParams(window.location.search).get('leaderboard');
+        if (endpoint) {
+            online.setEndpoint(endpoint);
+        }
+        
+        window.addEventListener('online', () => online.flushQueue());
     }
     
     /**
@@ -218,8 +438,8 @@ class App {
      */
     registerGameEvents() {
         // State change events
-        this.game.on('stateChange', (newState, oldState) => {
-            console.log(`Game state changed from ${oldState} to ${newState}`);
+        this.game.events.on(GAME_EVENTS.STATE_CHANGE, ({ state: newState, previousState }) => {
+            console.log(`Game state changed from ${previousState} to ${newState}`);
             
             // Update UI elements based on state
             if (newState === GAME_STATES.PLAYING) {
@@ -227,15 +447,270 @@ class App {
                 if (this.input.isMobileDevice() && this.uiElements.mobileControls) {
                     this.uiElements.mobileControls.classList.remove('hidden');
                 }
-            } else if (newState === GAME_STATES.PAUSED) {
-                // Hide mobile controls when paused
+            } else if (newState === GAME_STATES.PAUSED || newState === GAME_STATES.REPLAY) {
+                // Hide mobile controls when paused or watching a replay
                 if (this.uiElements.mobileControls) {
                     this.uiElements.mobileControls.classList.add('hidden');
                 }
+            } else if (newState === GAME_STATES.GAME_OVER) {
+                this.updateReplayActions();
+                this.updateMissionPanels();
+                this.offerLeaderboardEntry();
+            } else if (newState === GAME_STATES.MENU) {
+                this.updateContinueButton();
+                this.updateMissionPanels();
+                this.updateCourseInfo();
+                this.updateDailyPanel();
             }
         });
     }
     
+    /**
+     * Update the replay buttons and saved replay list on the game over screen
+     */
+    updateReplayActions() {
+        const hasReplay = Boolean(this.game.lastReplay);
+        document.getElementById('watch-replay-button').disabled = !hasReplay;
+        document.getElementById('save-replay-button').disabled = !hasReplay;
+        document.getElementById('export-replay-button').disabled = !hasReplay;
+        
+        const savedReplays = loadSavedReplays();
+        const container = document.getElementById('saved-replays-container');
+        const select = document.getElementById('saved-replays');
+        
+        container.classList.toggle('hidden', savedReplays.length === 0);
+        select.innerHTML = '';
+        savedReplays.forEach((replay, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `${replay.score} pts · ${replay.difficulty} · ${new Date(replay.recordedAt).toLocaleDateString()}`;
+            select.appendChild(option);
+        });
+    }
+    
+    /**
+     * Show the active missions and stars on the start and game over screens, and
+     * the missions completed in the last run
+     */
+    updateMissionPanels() {
+        const missions = this.game.missions;
+        const active = missions.getActive();
+        
+        document.querySelectorAll('.mission-stars').forEach(element => {
+            element.textContent = `★ ${formatNumber(missions.stars)}`;
+        });
+        
+        ['start-missions', 'game-over-missions'].forEach(id => {
+            const list = document.getElementById(id);
+            list.innerHTML = '';
+            active.forEach(({ mission, progress }) => {
+                list.appendChild(this.createMissionItem(mission, progress));
+            });
+        });
+        
+        const completed = document.getElementById('missions-completed');
+        completed.innerHTML = '';
+        missions.completedThisRun.forEach(mission => {
+            completed.appendChild(this.createMissionItem(mission, mission.goal));
+        });
+    }
+    
+    /**
+     * Build the list item for a mission
+     * @param {Object} mission - Mission definition
+     * @param {number} progress - Progress towards its goal
+     * @returns {HTMLElement} The list item
+     */
+    createMissionItem(mission, progress) {
+        const item = document.createElement('li');
+        item.className = 'mission';
+        item.innerHTML = `
+            <span class="mission-description"></span>
+            <span class="mission-reward">+${mission.reward} ★</span>
+            <div class="mission-bar"><div class="mission-fill"></div></div>
+            <span class="mission-progress"></span>
+        `;
+        item.querySelector('.mission-description').textContent = mission.description;
+        item.querySelector('.mission-fill').style.width = `${Math.floor(progress / mission.goal * 100)}%`;
+        item.querySelector('.mission-progress').textContent =
+            progress >= mission.goal ? 'Done!' : `${formatNumber(Math.floor(progress))}/${formatNumber(mission.goal)}`;
+        return item;
+    }
+    
+    /**
+     * Ask for initials on the game over screen if the run made the leaderboard
+     * of its mode and difficulty
+     */
+    offerLeaderboardEntry() {
+        const report = this.game.getReport();
+        const qualifies = qualifiesForLeaderboard(report);
+        this.leaderboardReport = qualifies ? report : null;
+        
+        document.getElementById('leaderboard-entry').classList.toggle('hidden', !qualifies);
+        if (qualifies) {
+            document.getElementById('leaderboard-entry-info').textContent =
+                `New ${MODE_NAMES[report.mode]} · ${capitalize(report.difficulty)} leaderboard score! Enter your initials:`;
+            const input = document.getElementById('initials-input');
+            input.value = loadLastInitials();
+            input.focus();
+        }
+    }
+    
+    /**
+     * Put the last run on the leaderboard under the initials entered
+     */
+    submitLeaderboardEntry() {
+        const report = this.leaderboardReport;
+        if (!report) return;
+        
+        const rank = addLeaderboardEntry(report, document.getElementById('initials-input').value);
+        this.leaderboardReport = null;
+        this.latestEntry = rank ? { mode: report.mode, difficulty: report.difficulty, rank } : null;
+        document.getElementById('leaderboard-entry').classList.add('hidden');
+        
+        if (rank) {
+            window.notificationSystem.success(`#${rank} on the ${MODE_NAMES[report.mode]} · ${capitalize(report.difficulty)} leaderboard!`);
+        }
+    }
+    
+    /**
+     * Open the leaderboard view from the start screen on the mode and difficulty selected there
+     */
+    showLeaderboard() {
+        document.getElementById('leaderboard-mode').value = this.game.mode;
+        document.getElementById('leaderboard-difficulty').value = this.game.difficultyPreset;
+        this.updateLeaderboard();
+        
+        this.uiElements.startScreen.classList.add('hidden');
+        document.getElementById('leaderboard-screen').classList.remove('hidden');
+    }
+    
+    /**
+     * Fill the leaderboard view with the board picked in its filters
+     */
+    updateLeaderboard() {
+        const mode = document.getElementById('leaderboard-mode').value;
+        const difficulty = document.getElementById('leaderboard-difficulty').value;
+        const myRank = document.getElementById('leaderboard-my-rank');
+        myRank.classList.add('hidden');
+        this.leaderboardRequest = null;
+        
+        // Only endless runs are sent to the online leaderboard
+        const source = document.getElementById('leaderboard-source');
+        const hasOnline = this.game.onlineLeaderboard.isEnabled() && mode === GAME_MODES.ENDLESS;
+        source.classList.toggle('hidden', !hasOnline);
+        if (!hasOnline) {
+            source.value = 'local';
+        }
+        
+        if (source.value !== 'online') {
+            this.renderLeaderboard(getLeaderboard(mode, difficulty), this.latestEntry &&
+                this.latestEntry.mode === mode && this.latestEntry.difficulty === difficulty ? this.latestEntry.rank : null);
+            return;
+        }
+        
+        // The online board arrives later; answers for a board no longer selected are dropped
+        const online = this.game.onlineLeaderboard;
+        const request = this.leaderboardRequest = {};
+        this.renderLeaderboard([], null, 'Loading...');
+        Promise.all([online.fetchTop(mode, difficulty), online.fetchMyRank(mode, difficulty)])
+            .then(([entries, { rank, total }]) => {
+                if (request !== this.leaderboardRequest) return;
+                
+                this.renderLeaderboard(entries, null);
+                myRank.textContent = rank ?
+                    `Your best: #${formatNumber(rank)} of ${formatNumber(total)}` :
+                    'You have no score on this board yet';
+                myRank.classList.remove('hidden');
+            })
+            .catch(error => {
+                if (request !== this.leaderboardRequest) return;
+                this.renderLeaderboard([], null, `Online leaderboard unavailable: ${error.message}`);
+            });
+    }
+    
+    /**
+     * Show leaderboard entries in the leaderboard view
+     * @param {Array<Object>} entries - Entries, best first; online ones carry a name instead of initials
+     * @param {number|null} highlightRank - Place to highlight as the entry added last
+     * @param {string} emptyText - Text shown when there are no entries
+     */
+    renderLeaderboard(entries, highlightRank, emptyText = 'No runs on this board yet') {
+        const rows = document.getElementById('leaderboard-rows');
+        rows.innerHTML = '';
+        entries.forEach((entry, index) => {
+            const row = document.createElement('tr');
+            [
+                index + 1,
+                entry.initials || entry.name,
+                formatNumber(entry.score),
+                `${formatNumber(entry.distance)} m`,
+                formatTime(entry.duration),
+                new Date(entry.date).toLocaleDateString()
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            row.classList.toggle('latest', highlightRank === index + 1);
+            rows.appendChild(row);
+        });
+        
+        const empty = document.getElementById('leaderboard-empty');
+        empty.textContent = emptyText;
+        empty.classList.toggle('hidden', entries.length > 0);
+    }
+    
+    /**
+     * Open the achievements gallery from the start screen, with a badge for every
+     * achievement: unlocked ones with their date, locked ones with any lifetime progress
+     */
+    showAchievements() {
+        const achievements = this.game.achievements;
+        const gallery = document.getElementById('achievements-gallery');
+        gallery.innerHTML = '';
+        
+        Object.entries(ACHIEVEMENT_CATEGORIES).forEach(([category, title]) => {
+            const heading = document.createElement('h3');
+            heading.textContent = title;
+            const grid = document.createElement('div');
+            grid.className = 'badge-grid';
+            
+            ACHIEVEMENTS.filter(achievement => achievement.category === category).forEach(achievement => {
+                const unlockedAt = achievements.getUnlockTime(achievement.id);
+                const badge = document.createElement('div');
+                badge.className = `badge ${unlockedAt ? 'unlocked' : 'locked'}`;
+                badge.innerHTML = `
+                    <span class="badge-icon"></span>
+                    <span class="badge-name"></span>
+                    <span class="badge-description"></span>
+                    <span class="badge-status"></span>
+                `;
+                badge.querySelector('.badge-icon').textContent = achievement.icon;
+                badge.querySelector('.badge-name').textContent = achievement.name;
+                badge.querySelector('.badge-description').textContent = achievement.description;
+                
+                let status = 'Locked';
+                if (unlockedAt) {
+                    status = `Unlocked ${new Date(unlockedAt).toLocaleDateString()}`;
+                } else if (achievement.scope === 'lifetime') {
+                    status = `${formatNumber(achievements.getProgress(achievement))}/${formatNumber(achievement.goal)}`;
+                }
+                badge.querySelector('.badge-status').textContent = status;
+                grid.appendChild(badge);
+            });
+            
+            gallery.appendChild(heading);
+            gallery.appendChild(grid);
+        });
+        
+        const unlockedCount = ACHIEVEMENTS.filter(achievement => achievements.isUnlocked(achievement.id)).length;
+        document.getElementById('achievements-summary').textContent = `${unlockedCount} of ${ACHIEVEMENTS.length} unlocked`;
+        
+        this.uiElements.startScreen.classList.add('hidden');
+        document.getElementById('achievements-screen').classList.remove('hidden');
+    }
+    
     /**
      * Show loading indicator
      */
@@ -327,6 +802,12 @@ class App {
         const closeSettingsButton = document.getElementById('close-settings');
         const musicToggle = document.getElementById('music-toggle');
         const sfxToggle = document.getElementById('sfx-toggle');
+        const ghostToggle = document.getElementById('ghost-toggle');
+        
+        // The input controller applies the toggles; they are saved with the profile here
+        musicToggle.addEventListener('change', () => saveSettings({ music: musicToggle.checked }));
+        sfxToggle.addEventListener('change', () => saveSettings({ sfx: sfxToggle.checked }));
+        ghostToggle.addEventListener('change', () => saveSettings({ ghost: ghostToggle.checked }));
         
         // Difficulty buttons
         const easyButton = document.getElementById('easy-button');
@@ -338,14 +819,20 @@ class App {
         if (easyButton) {
             easyButton.addEventListener('click', () => {
                 this.setActiveDifficultyButton(easyButton);
+                this.chosenDifficulty = 'easy';
                 this.game.setDifficulty('easy');
+                saveSettings({ difficulty: 'easy' });
+                this.updateCourseInfo();
             });
         }
         
         if (mediumButton) {
             mediumButton.addEventListener('click', () => {
                 this.setActiveDifficultyButton(mediumButton);
+                this.chosenDifficulty = 'medium';
                 this.game.setDifficulty('medium');
+                saveSettings({ difficulty: 'medium' });
+                this.updateCourseInfo();
             });
             // Set medium as default
             this.setActiveDifficultyButton(mediumButton);
@@ -355,21 +842,336 @@ class App {
         if (hardButton) {
             hardButton.addEventListener('click', () => {
                 this.setActiveDifficultyButton(hardButton);
+                this.chosenDifficulty = 'hard';
                 this.game.setDifficulty('hard');
+                saveSettings({ difficulty: 'hard' });
+                this.updateCourseInfo();
             });
         }
         
         if (extremeButton) {
             extremeButton.addEventListener('click', () => {
                 this.setActiveDifficultyButton(extremeButton);
+                this.chosenDifficulty = 'extreme';
                 this.game.setDifficulty('extreme');
+                saveSettings({ difficulty: 'extreme' });
+                this.updateCourseInfo();
+            });
+        }
+        
+        // Game mode and time trial course
+        const courseSelect = document.getElementById('course-select');
+        Object.entries(TIME_TRIAL_COURSES).forEach(([id, course]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = course.name;
+            courseSelect.appendChild(option);
+        });
+        
+        document.getElementById('endless-mode-button').addEventListener('click', () => {
+            this.selectMode(GAME_MODES.ENDLESS);
+        });
+        
+        document.getElementById('time-trial-mode-button').addEventListener('click', () => {
+            this.selectMode(GAME_MODES.TIME_TRIAL);
+        });
+        
+        document.getElementById('daily-mode-button').addEventListener('click', () => {
+            this.selectMode(GAME_MODES.DAILY);
+        });
+        
+        courseSelect.addEventListener('change', () => {
+            this.selectMode(GAME_MODES.TIME_TRIAL);
+        });
+        
+        // Optional rules
+        const fuelRule = document.getElementById('fuel-rule');
+        if (fuelRule) {
+            fuelRule.addEventListener('change', () => {
+                this.game.setRules({ ...this.game.rules, fuel: fuelRule.checked });
+                saveSettings({ rules: { ...loadSettings().rules, fuel: fuelRule.checked } });
             });
+            this.game.setRules({ ...this.game.rules, fuel: fuelRule.checked });
         }
         
+        const livesRule = document.getElementById('lives-rule');
+        if (livesRule) {
+            livesRule.addEventListener('change', () => {
+                this.game.setRules({ ...this.game.rules, lives: livesRule.checked });
+                saveSettings({ rules: { ...loadSettings().rules, lives: livesRule.checked } });
+            });
+            this.game.setRules({ ...this.game.rules, lives: livesRule.checked });
+        }
+        
+        // Continue a saved run
+        document.getElementById('continue-button').addEventListener('click', () => {
+            const snapshot = loadSavedRun();
+            if (!snapshot) {
+                this.updateContinueButton();
+                window.notificationSystem.warning('Saved run could not be restored');
+                return;
+            }
+            
+            // A daily run brings its own difficulty and rules; keep the player's choices
+            if (!snapshot.challenge) {
+                this.setActiveDifficultyButton(document.getElementById(`${snapshot.difficultyPreset}-button`));
+                this.chosenDifficulty = snapshot.difficultyPreset;
+                if (fuelRule) {
+                    fuelRule.checked = snapshot.rules.fuel;
+                }
+                if (livesRule) {
+                    livesRule.checked = snapshot.rules.lives;
+                }
+            }
+            if (snapshot.timeTrial) {
+                courseSelect.value = snapshot.timeTrial.course;
+            }
+            this.selectMode(snapshot.mode);
+            this.game.continueRun(snapshot);
+        });
+        
+        // Profile switcher
+        document.getElementById('profile-select').addEventListener('change', event => {
+            this.changeProfile(event.target.value);
+        });
+        
+        document.getElementById('new-profile-button').addEventListener('click', () => {
+            this.openProfileForm('create');
+        });
+        
+        document.getElementById('rename-profile-button').addEventListener('click', () => {
+            this.openProfileForm('rename');
+        });
+        
+        document.getElementById('delete-profile-button').addEventListener('click', () => {
+            this.openProfileForm('delete');
+        });
+        
+        document.getElementById('profile-form').addEventListener('submit', event => {
+            event.preventDefault();
+            this.submitProfileForm();
+        });
+        
+        document.getElementById('profile-form-cancel').addEventListener('click', () => {
+            this.closeProfileForm();
+        });
+        
+        // Save data export and import
+        document.getElementById('export-save-button').addEventListener('click', () => {
+            exportSaveData();
+        });
+        
+        const importSaveInput = document.getElementById('import-save-input');
+        importSaveInput.addEventListener('change', () => {
+            const file = importSaveInput.files[0];
+            if (!file) return;
+            
+            loadSaveFile(file)
+                .then(saveImport => this.offerSaveImport(saveImport))
+                .catch(error => window.notificationSystem.error(error.message));
+            importSaveInput.value = '';
+        });
+        
+        document.getElementById('import-replace-button').addEventListener('click', () => {
+            this.finishSaveImport(true);
+        });
+        
+        document.getElementById('import-keep-button').addEventListener('click', () => {
+            this.finishSaveImport(false);
+        });
+        
+        document.getElementById('import-cancel-button').addEventListener('click', () => {
+            this.pendingImport = null;
+            document.getElementById('import-conflicts').classList.add('hidden');
+        });
+        
+        // Leaderboard entry on the game over screen and the leaderboard view
+        document.getElementById('leaderboard-entry').addEventListener('submit', event => {
+            event.preventDefault();
+            this.submitLeaderboardEntry();
+        });
+        
+        const leaderboardMode = document.getElementById('leaderboard-mode');
+        const leaderboardDifficulty = document.getElementById('leaderboard-difficulty');
+        const addOption = (select, value, text) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        };
+        Object.values(GAME_MODES).forEach(mode => addOption(leaderboardMode, mode, MODE_NAMES[mode]));
+        Object.keys(DIFFICULTY_PRESETS).forEach(preset => {
+            const difficulty = preset.toLowerCase();
+            addOption(leaderboardDifficulty, difficulty, capitalize(difficulty));
+        });
+        document.getElementById('leaderboard-source').addEventListener('change', () => this.updateLeaderboard());
+        leaderboardMode.addEventListener('change', () => this.updateLeaderboard());
+        leaderboardDifficulty.addEventListener('change', () => this.updateLeaderboard());
+        
+        document.getElementById('leaderboard-button').addEventListener('click', () => {
+            this.showLeaderboard();
+        });
+        
+        document.getElementById('close-leaderboard').addEventListener('click', () => {
+            document.getElementById('leaderboard-screen').classList.add('hidden');
+            this.uiElements.startScreen.classList.remove('hidden');
+        });
+        
+        // Achievements gallery
+        document.getElementById('achievements-button').addEventListener('click', () => {
+            this.showAchievements();
+        });
+        
+        document.getElementById('close-achievements').addEventListener('click', () => {
+            document.getElementById('achievements-screen').classList.add('hidden');
+            this.uiElements.startScreen.classList.remove('hidden');
+        });
+        
+        // Replay buttons on the game over screen
+        document.getElementById('watch-replay-button').addEventListener('click', () => {
+            this.game.watchReplay(this.game.lastReplay);
+        });
+        
+        document.getElementById('save-replay-button').addEventListener('click', () => {
+            if (!this.game.lastReplay) return;
+            saveReplay(this.game.lastReplay);
+            this.updateReplayActions();
+            window.notificationSystem.success('Replay saved');
+        });
+        
+        document.getElementById('export-replay-button').addEventListener('click', () => {
+            if (this.game.lastReplay) {
+                exportReplay(this.game.lastReplay);
+            }
+        });
+        
+        const importInput = document.getElementById('import-replay-input');
+        importInput.addEventListener('change', () => {
+            const file = importInput.files[0];
+            if (!file) return;
+            
+            importReplay(file)
+                .then(replay => this.game.watchReplay(replay))
+                .catch(error => window.notificationSystem.error(error.message));
+            importInput.value = '';
+        });
+        
+        document.getElementById('watch-saved-replay-button').addEventListener('click', () => {
+            const replay = loadSavedReplays()[document.getElementById('saved-replays').value];
+            this.game.watchReplay(replay);
+        });
+        
+        // Replay playback controls
+        this.uiElements.replayPlayPause.addEventListener('click', () => {
+            this.game.toggleReplayPause();
+        });
+        
+        this.uiElements.replaySeek.addEventListener('input', () => {
+            this.game.seekReplay(Number(this.uiElements.replaySeek.value));
+        });
+        
+        document.querySelectorAll('.replay-speed').forEach(button => {
+            button.addEventListener('click', () => {
+                this.game.setPlaybackSpeed(Number(button.dataset.speed));
+            });
+        });
+        
+        document.getElementById('replay-exit').addEventListener('click', () => {
+            this.game.exitReplay();
+        });
+        
         // Mobile control buttons
         // ... existing code ...
     }
     
+    /**
+     * Switch the start screen between the endless, time trial and daily challenge modes
+     * @param {string} mode - Mode from GAME_MODES
+     */
+    selectMode(mode) {
+        const isDaily = mode === GAME_MODES.DAILY;
+        this.game.setMode(mode, isDaily ? getDateKey() : document.getElementById('course-select').value);
+        
+        // The daily challenge sets its own difficulty and rules, so hide the
+        // choices and put back the player's own when leaving it
+        if (isDaily) {
+            this.game.setDifficulty(this.game.dailyChallenge.difficulty);
+        } else {
+            this.game.setDifficulty(this.chosenDifficulty);
+            this.game.setRules({
+                fuel: document.getElementById('fuel-rule').checked,
+                lives: document.getElementById('lives-rule').checked
+            });
+        }
+        
+        document.getElementById('endless-mode-button').classList.toggle('active', mode === GAME_MODES.ENDLESS);
+        document.getElementById('time-trial-mode-button').classList.toggle('active', mode === GAME_MODES.TIME_TRIAL);
+        document.getElementById('daily-mode-button').classList.toggle('active', isDaily);
+        document.getElementById('course-selector').classList.toggle('hidden', mode !== GAME_MODES.TIME_TRIAL);
+        document.getElementById('daily-panel').classList.toggle('hidden', !isDaily);
+        document.getElementById('difficulty-selector').classList.toggle('hidden', isDaily);
+        document.getElementById('rule-selector').classList.toggle('hidden', isDaily);
+        this.updateCourseInfo();
+        this.updateDailyPanel();
+    }
+    
+    /**
+     * Describe today's challenge and fill the calendar of recent days with their results
+     */
+    updateDailyPanel() {
+        if (this.game.mode !== GAME_MODES.DAILY) return;
+        
+        // The start screen may have been left open past midnight
+        const today = getDateKey();
+        if (this.game.dailyChallenge.date !== today) {
+            this.game.setMode(GAME_MODES.DAILY, today);
+            this.game.setDifficulty(this.game.dailyChallenge.difficulty);
+        }
+        
+        document.getElementById('daily-info').textContent = `Daily Challenge · ${today}`;
+        
+        const modifiers = document.getElementById('daily-modifiers');
+        modifiers.innerHTML = '';
+        describeChallenge(this.game.dailyChallenge).forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            modifiers.appendChild(item);
+        });
+        
+        const calendar = document.getElementById('daily-calendar');
+        calendar.innerHTML = '';
+        getDailyCalendar().forEach(({ date, day, result }) => {
+            const cell = document.createElement('span');
+            cell.className = 'calendar-day';
+            cell.textContent = day;
+            cell.classList.toggle('played', Boolean(result));
+            cell.classList.toggle('today', date === today);
+            cell.title = result ?
+                `${date}: best ${formatNumber(result.best)} in ${result.count} ${result.count === 1 ? 'attempt' : 'attempts'}` :
+                `${date}: not played`;
+            calendar.appendChild(cell);
+        });
+        
+        const todayResult = getDailyCalendar(1)[0].result;
+        document.getElementById('daily-today').textContent = todayResult ?
+            `Today's best: ${formatNumber(todayResult.best)} · ${todayResult.count} ${todayResult.count === 1 ? 'attempt' : 'attempts'}` :
+            'Not played yet today';
+    }
+    
+    /**
+     * Describe the chosen time trial course and the best result on it at the chosen difficulty
+     */
+    updateCourseInfo() {
+        const courseId = document.getElementById('course-select').value;
+        const course = TIME_TRIAL_COURSES[courseId];
+        if (!course) return;
+        
+        const best = loadBestResult(courseId, this.game.difficultyPreset);
+        document.getElementById('course-info').textContent =
+            `${formatNumber(course.length)} m · checkpoint every ${formatNumber(course.checkpointInterval)} m · ` +
+            (best ? `Best: ${formatResult(best)}` : 'No time set');
+    }
+    
     /**
      * Set active difficulty button
      * @param {HTMLElement} activeButton - The button to set as active
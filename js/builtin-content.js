@@ -0,0 +1,141 @@
+// Built-in obstacle and power-up types, registered like any other content module
+import { GAME_CONFIG } from './constants.js';
+import { registerObstacle, registerPowerUp } from './registry.js';
+
+// Obstacles
+registerObstacle({
+    type: 'car',
+    color: '#ff0000',
+    width: 50,
+    height: 80,
+    points: 10,
+    damage: 25,
+    sprite: 'assets/images/enemy_car.png',
+    traffic: true,
+    hitboxAdjustment: { x: 0, y: 0, width: -5, height: -5 }
+});
+
+registerObstacle({
+    type: 'truck',
+    color: '#ff9900',
+    width: 70,
+    height: 120,
+    points: 20,
+    damage: 40,
+    sprite: 'assets/images/enemy_truck.png',
+    traffic: true,
+    hitboxAdjustment: { x: 0, y: 0, width: -5, height: -5 }
+});
+
+registerObstacle({
+    type: 'debris',
+    color: '#0000ff',
+    width: 30,
+    height: 30,
+    points: 5,
+    damage: 10,
+    sprite: 'assets/images/debris.png',
+    hitboxAdjustment: { x: 0, y: 0, width: -2, height: -2 }
+});
+
+// Power-ups
+registerPowerUp({
+    type: 'shield',
+    label: 'Shield',
+    message: 'Shield Activated!',
+    color: '#4ade80',
+    duration: 5000, // milliseconds
+    stacking: 'extend',
+    maxDuration: 15000,
+    width: 30,
+    height: 30,
+    sprite: 'assets/images/shield.png',
+    onApply(game) {
+        game.player.invincible = true;
+        game.player.hasShield = true;
+        game.player.visible = true;
+    },
+    onExpire(game) {
+        game.player.invincible = false;
+        game.player.hasShield = false;
+        game.player.visible = true;
+    }
+});
+
+registerPowerUp({
+    type: 'slowTime',
+    label: 'Slow Motion',
+    message: 'Time Slowed!',
+    color: '#2563eb',
+    duration: 5000, // milliseconds
+    stacking: 'refresh',
+    width: 30,
+    height: 30,
+    sprite: 'assets/images/clock.png',
+    onApply(game) {
+        game.timeScale = 0.5;
+    },
+    onExpire(game) {
+        game.timeScale = 1;
+    }
+});
+
+registerPowerUp({
+    type: 'extraLife',
+    label: 'Extra Life',
+    message: 'Extra Life!',
+    color: '#ec4899',
+    width: 30,
+    height: 30,
+    sprite: 'assets/images/heart.png',
+    randomSpawn: game => game.rules.lives, // Classic mode only
+    onApply(game) {
+        game.player.lives = Math.min(game.player.lives + 1, 5); // Max 5 lives
+    }
+});
+
+registerPowerUp({
+    type: 'repair',
+    label: 'Repair',
+    message: 'Car Repaired!',
+    color: '#22d3ee',
+    width: 30,
+    height: 30,
+    randomSpawn: game => !game.rules.lives, // Replaces the extra life when cars take damage
+    onApply(game) {
+        game.player.repair(GAME_CONFIG.REPAIR_AMOUNT);
+    }
+});
+
+registerPowerUp({
+    type: 'scoreBoost',
+    label: 'Double Score',
+    message: 'Double Score!',
+    color: '#f59e0b',
+    duration: 5000, // milliseconds
+    stacking: 'extend',
+    maxDuration: 15000,
+    width: 30,
+    height: 30,
+    sprite: 'assets/images/coin.png',
+    onApply(game) {
+        game.scoreMultiplier = 2;
+    },
+    onExpire(game) {
+        game.scoreMultiplier = 1;
+    }
+});
+
+// Spawned by the simulation when the fuel rule is on, never as a regular power-up
+registerPowerUp({
+    type: 'fuelCan',
+    label: 'Fuel',
+    message: 'Refuelled!',
+    color: '#ef4444',
+    width: 24,
+    height: 30,
+    randomSpawn: false,
+    onApply(game) {
+        game.player.refuel(GAME_CONFIG.FUEL_CAN_AMOUNT);
+    }
+});
@@ -0,0 +1,90 @@
+// Near-miss combo, ticked on game time
+import { GAME_CONFIG } from './constants.js';
+
+/**
+ * Tracks the near-miss combo of a run. Every near miss adds a level and
+ * raises the multiplier by COMBO_STEP; going COMBO_DECAY_TIME without one
+ * drops a level again, and a crash loses the whole combo.
+ */
+export class ComboTracker {
+    constructor() {
+        this.count = 0; // Current combo level
+        this.timer = 0; // Milliseconds left before the combo drops a level
+    }
+    
+    /**
+     * Lose the combo (on a crash or when a run resets)
+     */
+    reset() {
+        this.count = 0;
+        this.timer = 0;
+    }
+    
+    /**
+     * Get the score multiplier for the current combo level
+     * @returns {number} Multiplier, 1 when there is no combo
+     */
+    getMultiplier() {
+        return Math.min(1 + this.count * GAME_CONFIG.COMBO_STEP, GAME_CONFIG.MAX_COMBO_MULTIPLIER);
+    }
+    
+    /**
+     * Get how much of the decay timer is left, for the combo meter
+     * @returns {number} Fraction from 0 to 1
+     */
+    getTimeLeft() {
+        return this.count > 0 ? this.timer / GAME_CONFIG.COMBO_DECAY_TIME : 0;
+    }
+    
+    /**
+     * Add a near miss to the combo
+     * @returns {number} The new combo level
+     */
+    addNearMiss() {
+        this.count++;
+        this.timer = GAME_CONFIG.COMBO_DECAY_TIME;
+        return this.count;
+    }
+    
+    /**
+     * Advance the decay timer by one step
+     * @param {number} delta - Step length in seconds
+     */
+    update(delta) {
+        if (this.count === 0) return;
+        
+        this.timer -= delta * 1000;
+        if (this.timer <= 0) {
+            this.count--;
+            this.timer = this.count > 0 ? GAME_CONFIG.COMBO_DECAY_TIME : 0;
+        }
+    }
+    
+    /**
+     * Capture the combo state
+     * @returns {Object} Plain-object snapshot
+     */
+    toSnapshot() {
+        return { count: this.count, timer: this.timer };
+    }
+    
+    /**
+     * Restore state captured by toSnapshot()
+     * @param {Object} snapshot - Snapshot of the combo
+     */
+    restoreSnapshot(snapshot) {
+        this.count = snapshot.count;
+        this.timer = snapshot.timer;
+    }
+    
+    /**
+     * Check that a combo snapshot can be restored
+     * @param {Object} snapshot - Data to validate
+     * @returns {boolean} True if the snapshot holds a valid combo
+     */
+    static isValidSnapshot(snapshot) {
+        return Boolean(snapshot) &&
+            Number.isInteger(snapshot.count) && snapshot.count >= 0 &&
+            Number.isFinite(snapshot.timer);
+    }
+}
@@ -3,6 +3,12 @@ export const GAME_CONFIG = {
     // Game area
     LANE_COUNT: 3,
     FPS: 60,
+    WORLD_WIDTH: 400, // Logical world size; the canvas is scaled to fit it
+    WORLD_HEIGHT: 750,
+    
+    // Simulation
+    SIMULATION_RATE: 120, // Fixed game logic steps per second
+    MAX_FRAME_TIME: 0.25, // seconds - longest frame the simulation will catch up on
     
     // Game mechanics
     BASE_GAME_SPEED: 1,
@@ -14,6 +20,18 @@ export const GAME_CONFIG = {
     BASE_OBSTACLE_INTERVAL: 2000, // milliseconds
     MIN_OBSTACLE_INTERVAL: 500, // milliseconds
     OBSTACLE_INTERVAL_DECREASE_RATE: 0.00001,
+    PASSABLE_GAP: 90, // pixels - smallest gap between obstacles in neighbouring lanes the player can drive through
+    PATTERN_REACTION_TIME: 250, // milliseconds - allowed for reacting to a row before steering, when spacing rows
+    
+    // Traffic
+    TRAFFIC_LANE_CHANGE_CUTOFF: 150, // pixels - vehicles closer than this above the player keep their lane
+    TRAFFIC_PROFILE: {
+        laneChangeRate: 0.3, // Chance per second that a vehicle starts signalling
+        signalTime: 900, // milliseconds - how long a vehicle signals before it moves over
+        laneChangeSpeed: 110, // pixels per second sideways
+        followDistance: 70, // pixels - gap at which a vehicle starts braking for the one ahead
+        brakeRate: 3 // Speed change per second when braking or letting off
+    },
     
     // Power-up spawning
     POWER_UP_SPAWN_CHANCE: 0.35, // Increased from 0.25 to 0.35 (35% chance)
@@ -26,12 +44,49 @@ export const GAME_CONFIG = {
     PLAYER_WIDTH: 40,
     PLAYER_HEIGHT: 70,
     
+    // Player speed
+    THROTTLE_ACCELERATION: 1.5, // Speed gained per second on the throttle, tapering off towards top speed
+    CRUISE_ACCELERATION: 0.75, // Speed gained per second off the throttle while below cruise speed
+    BRAKE_DECELERATION: 3, // Speed lost per second while braking
+    DRAG: 0.6, // Share of the speed above cruise speed lost per second off the throttle
+    MIN_BRAKE_SPEED: 0.5, // Slowest the brakes take the car
+    
+    // Vehicle damage (the classic rule uses lives instead)
+    MAX_HEALTH: 100,
+    IMPACT_SPEED_WEIGHT: 0.5, // Share of an obstacle's damage that scales with the impact speed
+    SMOKE_HEALTH: 60, // Below this the car smokes
+    HEAVY_DAMAGE_HEALTH: 35, // Below this the car throws sparks and loses top speed and steering
+    DAMAGED_TOP_SPEED: 0.7, // Share of top speed left at zero health
+    DAMAGED_STEERING: 0.75, // Share of steering left at zero health
+    REPAIR_AMOUNT: 40,
+    
+    // Fuel (optional rule)
+    FUEL_CAPACITY: 100,
+    FUEL_BURN_RATE: 0.003, // Fuel burnt per pixel driven, before the speed penalty
+    FUEL_SPEED_PENALTY: 0.5, // Share the burn rate rises by for every unit of speed
+    FUEL_LOW_LEVEL: 25, // Below this the gauge warns and fuel cans come twice as often
+    FUEL_CAN_AMOUNT: 35,
+    FUEL_CAN_INTERVAL: 15000, // milliseconds between fuel cans
+    COAST_DECELERATION: 0.6, // Speed lost per second when coasting with an empty tank
+    
+    // Time trial
+    TIME_TRIAL_LOW_TIME: 10000, // milliseconds - below this the countdown warns
+    
     // Difficulty progression
-    DIFFICULTY_INCREASE_RATE: 0.0001,
+    DIFFICULTY_INCREASE_RATE: 0.05, // Added at every speed increase; obstacle patterns are at full intensity from 2
     SCORE_MULTIPLIER: 10,
     
+    // Near misses and combos
+    NEAR_MISS_GAP: 40, // pixels - widest side gap to an obstacle passing in the next lane
+    NEAR_MISS_REACTION_TIME: 350, // milliseconds - latest lane change before impact that counts
+    NEAR_MISS_POINTS: 25,
+    COMBO_STEP: 0.25, // Multiplier added by each near miss in a combo
+    MAX_COMBO_MULTIPLIER: 4,
+    COMBO_DECAY_TIME: 3000, // milliseconds without a near miss before the combo drops a level
+    
     // Physics
     BASE_SPEED_FACTOR: 150, // Pixels per second at speed 1
+    PIXELS_PER_METRE: 10, // For distances shown to the player
     
     // Performance
     MAX_PARTICLES: 100
@@ -45,7 +100,8 @@ export const DIFFICULTY_PRESETS = {
         SPEED_INCREASE_INTERVAL: 25000,
         POWER_UP_SPAWN_CHANCE: 0.3,
         STARTING_LIVES: 5,
-        OBSTACLE_INTERVAL_DECREASE_RATE: 0.000005
+        OBSTACLE_INTERVAL_DECREASE_RATE: 0.000005,
+        TRAFFIC_PROFILE: { laneChangeRate: 0.15, signalTime: 1200, laneChangeSpeed: 80, followDistance: 90, brakeRate: 2 }
     },
     MEDIUM: {
         BASE_GAME_SPEED: 1.0,
@@ -53,7 +109,8 @@ export const DIFFICULTY_PRESETS = {
         SPEED_INCREASE_INTERVAL: 15000,
         POWER_UP_SPAWN_CHANCE: 0.25,
         STARTING_LIVES: 3,
-        OBSTACLE_INTERVAL_DECREASE_RATE: 0.00001
+        OBSTACLE_INTERVAL_DECREASE_RATE: 0.00001,
+        TRAFFIC_PROFILE: { laneChangeRate: 0.3, signalTime: 900, laneChangeSpeed: 110, followDistance: 70, brakeRate: 3 }
     },
     HARD: {
         BASE_GAME_SPEED: 1.2,
@@ -61,7 +118,8 @@ export const DIFFICULTY_PRESETS = {
         SPEED_INCREASE_INTERVAL: 10000,
         POWER_UP_SPAWN_CHANCE: 0.2,
         STARTING_LIVES: 3,
-        OBSTACLE_INTERVAL_DECREASE_RATE: 0.00002
+        OBSTACLE_INTERVAL_DECREASE_RATE: 0.00002,
+        TRAFFIC_PROFILE: { laneChangeRate: 0.5, signalTime: 700, laneChangeSpeed: 140, followDistance: 55, brakeRate: 4 }
     },
     EXTREME: {
         BASE_GAME_SPEED: 1.5,
@@ -69,7 +127,8 @@ export const DIFFICULTY_PRESETS = {
         SPEED_INCREASE_INTERVAL: 8000,
         POWER_UP_SPAWN_CHANCE: 0.15,
         STARTING_LIVES: 2,
-        OBSTACLE_INTERVAL_DECREASE_RATE: 0.00003
+        OBSTACLE_INTERVAL_DECREASE_RATE: 0.00003,
+        TRAFFIC_PROFILE: { laneChangeRate: 0.7, signalTime: 500, laneChangeSpeed: 170, followDistance: 45, brakeRate: 5 }
     }
 };
 
@@ -79,89 +138,13 @@ export const ASSET_TYPES = {
     AUDIO: 'audio'
 };
 
-// Obstacle types
-export const OBSTACLE_TYPES = [
-    { 
-        type: 'car', 
-        color: '#ff0000', 
-        width: 50, 
-        height: 80, 
-        points: 10,
-        sprite: 'enemy_car.png',
-        hitboxAdjustment: { x: 0, y: 0, width: -5, height: -5 }
-    },
-    { 
-        type: 'truck', 
-        color: '#ff9900', 
-        width: 70, 
-        height: 120, 
-        points: 20,
-        sprite: 'enemy_truck.png',
-        hitboxAdjustment: { x: 0, y: 0, width: -5, height: -5 }
-    },
-    { 
-        type: 'debris', 
-        color: '#0000ff', 
-        width: 30, 
-        height: 30, 
-        points: 5,
-        sprite: 'debris.png',
-        hitboxAdjustment: { x: 0, y: 0, width: -2, height: -2 }
-    }
-];
-
-// Power-up types
-export const POWER_UP_TYPES = [
-    {
-        type: 'shield',
-        color: '#4ade80',
-        duration: 5000, // milliseconds
-        width: 30,
-        height: 30,
-        sprite: 'shield.png',
-        effect: 'invincibility'
-    },
-    {
-        type: 'slowTime',
-        color: '#2563eb',
-        duration: 5000, // milliseconds
-        width: 30,
-        height: 30,
-        sprite: 'clock.png',
-        effect: 'slowMotion'
-    },
-    {
-        type: 'extraLife',
-        color: '#ec4899',
-        width: 30,
-        height: 30,
-        sprite: 'heart.png',
-        effect: 'addLife'
-    },
-    {
-        type: 'scoreBoost',
-        color: '#f59e0b',
-        duration: 5000, // milliseconds
-        width: 30,
-        height: 30,
-        sprite: 'coin.png',
-        effect: 'doubleScore'
-    }
-];
-
 // Assets to preload
 export const ASSETS = {
     images: {
         player_car: 'assets/images/player_car.png',
-        enemy_car: 'assets/images/enemy_car.png',
-        enemy_truck: 'assets/images/enemy_truck.png',
         road_texture: 'assets/images/road_texture.png',
-        background: 'assets/images/background.png',
-        debris: 'assets/images/debris.png',
-        shield: 'assets/images/shield.png',
-        clock: 'assets/images/clock.png',
-        heart: 'assets/images/heart.png',
-        coin: 'assets/images/coin.png'
+        background: 'assets/images/background.png'
+        // Obstacle and power-up sprites come from the content registry
     },
     audio: {
         engine: 'assets/audio/engine.mp3',
@@ -174,12 +157,98 @@ export const ASSETS = {
     }
 };
 
+// Optional rules chosen on the start screen; replays and saved runs keep the rules they ran under
+export const DEFAULT_RULES = {
+    fuel: false, // Fuel drains while driving and the run ends when the car runs dry
+    lives: false // Classic mode: every crash costs a life instead of damaging the car
+};
+
+// Game modes chosen on the start screen
+export const GAME_MODES = {
+    ENDLESS: 'endless', // Survive as long as possible
+    TIME_TRIAL: 'timeTrial', // Reach the end of a fixed course before the clock runs out
+    DAILY: 'daily' // One run a day, the same for everyone who plays that day
+};
+
+// Modifiers a run can be played with; only the daily challenge changes them
+export const DEFAULT_MODIFIERS = {
+    bannedPowerUps: [], // Power-up types that never spawn
+    trafficDensity: 1 // Obstacle patterns arrive this many times as often
+};
+
+// How the daily challenge is drawn from the date
+export const DAILY_CHALLENGE = {
+    DIFFICULTIES: ['easy', 'medium', 'hard', 'extreme'],
+    BAN_CHANCE: 0.5, // Chance the day forbids some power-ups
+    MAX_BANNED_POWER_UPS: 2,
+    DENSITY_CHANCE: 0.4, // Chance the day has extra traffic
+    TRAFFIC_DENSITIES: [1.25, 1.5],
+    MAX_ATTEMPTS_KEPT: 20, // Attempts remembered per day
+    HISTORY_DAYS: 90, // Days of results kept in localStorage
+    CALENDAR_DAYS: 28 // Days shown in the calendar on the start screen
+};
+
+// Local leaderboards, one per game mode and difficulty preset
+export const LEADERBOARD = {
+    SIZE: 10, // Entries kept on each board
+    INITIALS_LENGTH: 3
+};
+
+// Player profiles, each with its own save data
+export const PROFILES = {
+    MAX_PROFILES: 8,
+    NAME_LENGTH: 16,
+    DEFAULT_NAME: 'Player 1' // Profile created on first launch
+};
+
+// Online leaderboard client. ENDPOINT is the base URL of the leaderboard API
+// (for instance the stand-in server in server/, at http://localhost:8787);
+// null keeps the game offline. It can also be set with ?leaderboard=<url>.
+export const ONLINE_LEADERBOARD = {
+    ENDPOINT: null,
+    TOP_COUNT: 10, // Entries fetched for the online board
+    REQUEST_TIMEOUT: 8000, // milliseconds
+    RETRY_INTERVAL: 30000, // milliseconds between attempts to send queued scores
+    MAX_QUEUED: 50 // Scores kept while offline; the oldest are dropped first
+};
+
+// Time trial courses. A course always starts from the same seed, so the same
+// driving meets the same road. Times are in milliseconds at a base speed of 1
+// and scale with the difficulty preset's BASE_GAME_SPEED.
+export const TIME_TRIAL_COURSES = {
+    sprint: {
+        name: 'Sprint',
+        seed: 2001,
+        length: 2000, // metres
+        checkpointInterval: 500, // metres
+        startTime: 30000,
+        checkpointBonus: 20000
+    },
+    gauntlet: {
+        name: 'Gauntlet',
+        seed: 3107,
+        length: 3000,
+        checkpointInterval: 500,
+        startTime: 20000,
+        checkpointBonus: 15000
+    },
+    longHaul: {
+        name: 'Long Haul',
+        seed: 5309,
+        length: 5000,
+        checkpointInterval: 1000,
+        startTime: 45000,
+        checkpointBonus: 35000
+    }
+};
+
 // Game states
 export const GAME_STATES = {
     MENU: 'menu',
     PLAYING: 'playing',
     PAUSED: 'paused',
-    GAME_OVER: 'gameOver'
+    GAME_OVER: 'gameOver',
+    REPLAY: 'replay'
 };
 
 // Particle effects config
@@ -192,6 +261,22 @@ export const PARTICLE_CONFIG = {
         colors: ['#ff0000', '#ff5500', '#ffaa00', '#ffff00'],
         gravity: 200
     },
+    smoke: {
+        count: 2,
+        speed: { min: 10, max: 30 },
+        size: { min: 3, max: 7 },
+        lifetime: { min: 600, max: 1200 },
+        colors: ['#4b5563', '#6b7280', '#9ca3af'],
+        gravity: 60 // Drifts back behind the car
+    },
+    sparks: {
+        count: 4,
+        speed: { min: 60, max: 140 },
+        size: { min: 1, max: 2 },
+        lifetime: { min: 150, max: 350 },
+        colors: ['#fde047', '#fb923c', '#ffffff'],
+        gravity: 300
+    },
     sparkle: {
         count: 10,
         speed: { min: 20, max: 50 },
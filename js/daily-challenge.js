@@ -0,0 +1,139 @@
+// Daily challenge: a run drawn from the date, and the results of past days
+import { DAILY_CHALLENGE } from './constants.js';
+import { getRandomPowerUpTypes, getPowerUpType } from './registry.js';
+import { SeededRandom } from './random.js';
+import { loadData, saveData } from './storage.js';
+
+/**
+ * Check that a value is a date key from getDateKey()
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a 'YYYY-MM-DD' string
+ */
+export function isDateKey(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+/**
+ * Get the key of a calendar day in local time
+ * @param {Date} date - Any moment on the day
+ * @returns {string} The day as 'YYYY-MM-DD'
+ */
+export function getDateKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Draw the challenge for a day. Everything comes from the date, so everyone
+ * playing on the same day gets the same seed, difficulty and modifiers.
+ * @param {string} date - Day from getDateKey()
+ * @returns {Object} The day's date, seed, difficulty preset and modifiers
+ */
+export function getDailyChallenge(date = getDateKey()) {
+    const rng = new SeededRandom(`daily-modifiers:${date}`);
+    const difficulty = rng.pick(DAILY_CHALLENGE.DIFFICULTIES);
+    
+    // Forbid some of the power-ups that always spawn; healing is never taken away
+    const bannedPowerUps = [];
+    if (rng.chance(DAILY_CHALLENGE.BAN_CHANCE)) {
+        const candidates = getRandomPowerUpTypes().map(definition => definition.type);
+        const count = rng.int(1, Math.min(DAILY_CHALLENGE.MAX_BANNED_POWER_UPS, candidates.length - 1));
+        for (let i = 0; i < count; i++) {
+            bannedPowerUps.push(candidates.splice(rng.int(0, candidates.length - 1), 1)[0]);
+        }
+    }
+    
+    const trafficDensity = rng.chance(DAILY_CHALLENGE.DENSITY_CHANCE) ?
+        rng.pick(DAILY_CHALLENGE.TRAFFIC_DENSITIES) : 1;
+    
+    return {
+        date,
+        seed: SeededRandom.normalizeSeed(`daily:${date}`),
+        difficulty,
+        modifiers: { bannedPowerUps, trafficDensity }
+    };
+}
+
+/**
+ * Describe a challenge's modifiers for the start screen
+ * @param {Object} challenge - Challenge from getDailyChallenge()
+ * @returns {string[]} One line per modifier, starting with the difficulty
+ */
+export function describeChallenge({ difficulty, modifiers }) {
+    const lines = [`${difficulty[0].toUpperCase()}${difficulty.slice(1)} difficulty`];
+    
+    if (modifiers.bannedPowerUps.length > 0) {
+        const labels = modifiers.bannedPowerUps.map(type => {
+            const definition = getPowerUpType(type);
+            return definition ? definition.label : type;
+        });
+        lines.push(`No ${labels.join(' or ')}`);
+    }
+    if (modifiers.trafficDensity > 1) {
+        lines.push(`Heavy traffic (x${modifiers.trafficDensity})`);
+    }
+    
+    return lines;
+}
+
+/**
+ * Get the stored results of every day played, by date
+ * @returns {Object} Map of date to { count, best, attempts }, where attempts holds
+ *          the most recent scores and distances
+ */
+export function loadDailyResults() {
+    return loadData('dailyResults', {});
+}
+
+/**
+ * Record an attempt at a day's challenge, keeping its best score
+ * @param {string} date - Day of the challenge
+ * @param {Object} report - Final run report from GameSimulation.getReport()
+ * @returns {Object} The day's result and whether this attempt set its best score
+ */
+export function recordDailyAttempt(date, report) {
+    const results = loadDailyResults();
+    const result = results[date] || { count: 0, best: null, attempts: [] };
+    const isNewBest = result.best === null || report.score > result.best;
+    
+    result.attempts.push({ score: report.score, distance: report.distance, playedAt: new Date().toISOString() });
+    result.attempts = result.attempts.slice(-DAILY_CHALLENGE.MAX_ATTEMPTS_KEPT);
+    result.count++;
+    if (isNewBest) {
+        result.best = report.score;
+    }
+    results[date] = result;
+    
+    // Forget days that have dropped out of the history
+    const oldest = new Date();
+    oldest.setDate(oldest.getDate() - DAILY_CHALLENGE.HISTORY_DAYS);
+    const oldestKey = getDateKey(oldest);
+    Object.keys(results).forEach(key => {
+        if (key < oldestKey) {
+            delete results[key];
+        }
+    });
+    
+    saveData('dailyResults', results);
+    return { result, isNewBest };
+}
+
+/**
+ * Get the results of the last few days for the calendar, oldest first
+ * @param {number} days - Number of days, ending today
+ * @param {Date} today - The last day
+ * @returns {Array<{date: string, day: number, result: Object|null}>} One entry per day
+ */
+export function getDailyCalendar(days = DAILY_CHALLENGE.CALENDAR_DAYS, today = new Date()) {
+    const results = loadDailyResults();
+    const calendar = [];
+    
+    for (let i = days - 1; i >= 0; i--) {
+        const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() - i);
+        const date = getDateKey(day);
+        calendar.push({ date, day: day.getDate(), result: results[date] || null });
+    }
+    
+    return calendar;
+}
@@ -0,0 +1,139 @@
+// Timed power-up effects, ticked on game time
+import { getPowerUpType } from './registry.js';
+import { GAME_EVENTS } from './events.js';
+
+/**
+ * Tracks every active power-up effect of a run. Effects tick only when the
+ * simulation steps, so time spent paused never counts against them, and any
+ * number of different effects can be active at once.
+ *
+ * Picking up an effect that is already active follows its definition's
+ * `stacking` rule: 'refresh' restarts the timer at full duration, 'extend' adds
+ * the duration to the time left (up to `maxDuration`). Either way the pickup
+ * is counted in the effect's stack count and onApply is not run again.
+ */
+export class EffectManager {
+    /**
+     * @param {GameSimulation} game - The simulation the effects act on
+     */
+    constructor(game) {
+        this.game = game;
+        this.effects = new Map(); // type -> { remaining, duration, stacks }
+    }
+    
+    /**
+     * Remove every effect without running onExpire (used when a run resets)
+     */
+    clear() {
+        this.effects.clear();
+    }
+    
+    /**
+     * Apply a collected power-up
+     * @param {PowerUp} powerUp - The collected power-up
+     * @returns {Object|null} The active effect state, or null for instant power-ups
+     */
+    apply(powerUp) {
+        const definition = powerUp.definition;
+        const effect = this.effects.get(definition.type);
+        
+        if (!effect) {
+            if (definition.onApply) {
+                definition.onApply(this.game, powerUp);
+            }
+            if (!(definition.duration > 0)) return null;
+            
+            const newEffect = { remaining: definition.duration, duration: definition.duration, stacks: 1 };
+            this.effects.set(definition.type, newEffect);
+            return newEffect;
+        }
+        
+        if (definition.stacking === 'extend') {
+            effect.remaining = Math.min(effect.remaining + definition.duration, definition.maxDuration);
+        } else {
+            effect.remaining = definition.duration;
+        }
+        effect.duration = Math.max(effect.duration, effect.remaining);
+        effect.stacks++;
+        return effect;
+    }
+    
+    /**
+     * Advance every effect by one step, expiring those that run out
+     * @param {number} delta - Step length in seconds
+     */
+    update(delta) {
+        this.effects.forEach((effect, type) => {
+            const definition = getPowerUpType(type);
+            effect.remaining = Math.max(0, effect.remaining - delta * 1000);
+            
+            if (definition.onUpdate) {
+                definition.onUpdate(this.game, delta, effect.remaining);
+            }
+            
+            if (effect.remaining > 0) return;
+            
+            this.effects.delete(type);
+            if (definition.onExpire) {
+                definition.onExpire(this.game);
+            }
+            this.game.events.emit(GAME_EVENTS.POWER_UP_EXPIRED, { type });
+        });
+    }
+    
+    /**
+     * Whether an effect is active
+     * @param {string} type - Power-up type
+     * @returns {boolean} True while the effect has time left
+     */
+    has(type) {
+        return this.effects.has(type);
+    }
+    
+    /**
+     * Get the active effects in the order they started
+     * @returns {Array<{type: string, definition: Object, remaining: number, duration: number, stacks: number}>}
+     *          Active effects; `duration` is the longest the current timer has been
+     */
+    getActive() {
+        return Array.from(this.effects, ([type, effect]) => ({
+            type,
+            definition: getPowerUpType(type),
+            ...effect
+        }));
+    }
+    
+    /**
+     * Capture the active effects
+     * @returns {Array<Object>} Plain-object snapshot
+     */
+    toSnapshot() {
+        return Array.from(this.effects, ([type, effect]) => ({ type, ...effect }));
+    }
+    
+    /**
+     * Restore effects captured by toSnapshot(). onApply is not run again, since
+     * the state it changed is saved with the rest of the run.
+     * @param {Array<Object>} snapshot - Snapshot of the effects
+     */
+    restoreSnapshot(snapshot) {
+        this.effects = new Map(snapshot.map(({ type, remaining, duration, stacks }) =>
+            [type, { remaining, duration, stacks }]
+        ));
+    }
+    
+    /**
+     * Check that an effects snapshot can be restored
+     * @param {Array<Object>} snapshot - Data to validate
+     * @returns {boolean} True if every effect is a registered, timed power-up
+     */
+    static isValidSnapshot(snapshot) {
+        return Array.isArray(snapshot) && snapshot.every(effect =>
+            Boolean(effect) &&
+            Boolean(getPowerUpType(effect.type)) &&
+            Number.isFinite(effect.remaining) && effect.remaining > 0 &&
+            Number.isFinite(effect.duration) &&
+            Number.isInteger(effect.stacks) && effect.stacks > 0
+        );
+    }
+}
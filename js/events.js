@@ -0,0 +1,208 @@
+// Game event names, payloads and the event bus that delivers them
+
+/**
+ * Events emitted by GameSimulation and GameEngine. Each listener receives a
+ * single payload object, documented by the typedefs below.
+ */
+export const GAME_EVENTS = {
+    COLLISION: 'collision', // CollisionEvent
+    LIFE_LOST: 'lifeLost', // LifeLostEvent (classic lives rule only)
+    POWER_UP_COLLECTED: 'powerUpCollected', // PowerUpCollectedEvent
+    POWER_UP_EXPIRED: 'powerUpExpired', // PowerUpExpiredEvent
+    OBSTACLE_AVOIDED: 'obstacleAvoided', // ObstacleAvoidedEvent
+    NEAR_MISS: 'nearMiss', // NearMissEvent
+    LANE_CHANGE: 'laneChange', // LaneChangeEvent
+    SPEED_CHANGE: 'speedChange', // SpeedChangeEvent
+    MILESTONE: 'milestone', // MilestoneEvent
+    OUT_OF_FUEL: 'outOfFuel', // OutOfFuelEvent
+    CHECKPOINT: 'checkpoint', // CheckpointEvent (time trial only)
+    GAME_OVER: 'gameOver', // GameOverEvent
+    MISSION_COMPLETED: 'missionCompleted', // MissionCompletedEvent (MissionTracker only)
+    ACHIEVEMENT_UNLOCKED: 'achievementUnlocked', // AchievementUnlockedEvent (AchievementTracker only)
+    STATE_CHANGE: 'stateChange' // StateChangeEvent (GameEngine only)
+};
+
+/**
+ * @typedef {Object} CollisionEvent
+ * @property {Obstacle} obstacle - The obstacle that was hit (already removed from the road)
+ * @property {boolean} isDead - Whether the hit ended the run
+ * @property {number} lives - Lives left after the hit
+ * @property {number} damage - Health lost (0 under the classic lives rule)
+ * @property {number} health - Health left after the hit
+ */
+
+/**
+ * @typedef {Object} LifeLostEvent
+ * @property {number} lives - Lives left
+ * @property {Obstacle} obstacle - The obstacle that caused the loss
+ */
+
+/**
+ * @typedef {Object} PowerUpCollectedEvent
+ * @property {PowerUp} powerUp - The collected power-up
+ * @property {string} type - Power-up type, e.g. 'shield'
+ * @property {number} duration - Effect duration in milliseconds (0 for instant effects)
+ * @property {number} remaining - Time left on the effect after this pickup, in milliseconds
+ * @property {number} stacks - Pickups merged into the active effect (0 for instant effects)
+ */
+
+/**
+ * @typedef {Object} PowerUpExpiredEvent
+ * @property {string} type - Power-up type whose effect ran out, e.g. 'slowTime'
+ */
+
+/**
+ * @typedef {Object} ObstacleAvoidedEvent
+ * @property {Obstacle} obstacle - The obstacle that left the bottom of the road
+ * @property {number} points - Points awarded for it
+ */
+
+/**
+ * @typedef {Object} NearMissEvent
+ * @property {Obstacle} obstacle - The obstacle that was only just missed
+ * @property {string} kind - 'pass' (passed close in the next lane) or 'laneChange' (swerved away just before impact)
+ * @property {number} points - Bonus points awarded
+ * @property {number} combo - Combo level after this near miss
+ * @property {number} multiplier - Combo multiplier after this near miss
+ */
+
+/**
+ * @typedef {Object} LaneChangeEvent
+ * @property {string} direction - 'left' or 'right'
+ * @property {number} fromLane - Lane the player was heading for before the input
+ * @property {number} toLane - Lane the player is now heading for
+ */
+
+/**
+ * @typedef {Object} SpeedChangeEvent
+ * @property {number} speed - New cruise speed; the car picks up to it over the next few seconds
+ * @property {number} previousSpeed - Cruise speed before the change
+ * @property {string} reason - 'difficulty'
+ */
+
+/**
+ * @typedef {Object} MilestoneEvent
+ * @property {number} milestone - Score milestone reached (a multiple of 1000)
+ * @property {number} score - Current score
+ */
+
+/**
+ * @typedef {Object} OutOfFuelEvent
+ * @property {number} speed - Speed the car coasts to a stop from
+ */
+
+/**
+ * @typedef {Object} CheckpointEvent
+ * @property {number} checkpoint - Number of the checkpoint passed, from 1
+ * @property {number} checkpoints - Checkpoints on the course, not counting the finish
+ * @property {number} distance - Distance of the checkpoint in metres
+ * @property {number} bonusTime - Milliseconds added to the clock
+ * @property {number} timeLeft - Milliseconds left on the clock after the bonus
+ */
+
+/**
+ * @typedef {Object} GameOverEvent
+ * @property {Object} report - Final run report from GameSimulation.getReport()
+ */
+
+/**
+ * @typedef {Object} MissionCompletedEvent
+ * @property {Object} mission - Definition of the completed mission from MISSIONS
+ * @property {number} reward - Stars awarded for it
+ * @property {number} stars - Stars earned in total after the reward
+ */
+
+/**
+ * @typedef {Object} AchievementUnlockedEvent
+ * @property {Object} achievement - Definition of the unlocked achievement from ACHIEVEMENTS
+ * @property {string} unlockedAt - ISO timestamp of the unlock
+ */
+
+/**
+ * @typedef {Object} StateChangeEvent
+ * @property {string} state - New state from GAME_STATES
+ * @property {string} previousState - State before the change
+ */
+
+/**
+ * Publish/subscribe event bus restricted to a known set of event names,
+ * so a typo in a listener fails loudly instead of never firing
+ */
+export class EventBus {
+    /**
+     * @param {string[]} eventNames - Names of the events this bus can deliver
+     */
+    constructor(eventNames = Object.values(GAME_EVENTS)) {
+        this.listeners = new Map(eventNames.map(name => [name, []]));
+    }
+    
+    /**
+     * Get the listener list for an event, rejecting unknown names
+     * @param {string} event - Event name
+     * @returns {Function[]} Listeners for the event
+     */
+    getListeners(event) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) {
+            throw new Error(`Unknown event: ${event}`);
+        }
+        return listeners;
+    }
+    
+    /**
+     * Subscribe to an event
+     * @param {string} event - Event name from GAME_EVENTS
+     * @param {Function} callback - Called with the event payload
+     * @returns {Function} Function that removes the listener again
+     */
+    on(event, callback) {
+        this.getListeners(event).push(callback);
+        return () => this.off(event, callback);
+    }
+    
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} event - Event name from GAME_EVENTS
+     * @param {Function} callback - Called with the event payload
+     * @returns {Function} Function that removes the listener again
+     */
+    once(event, callback) {
+        const wrapper = payload => {
+            this.off(event, wrapper);
+            callback(payload);
+        };
+        return this.on(event, wrapper);
+    }
+    
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name from GAME_EVENTS
+     * @param {Function} callback - The listener to remove
+     */
+    off(event, callback) {
+        const listeners = this.getListeners(event);
+        const index = listeners.indexOf(callback);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+    
+    /**
+     * Deliver an event to its listeners in subscription order
+     * @param {string} event - Event name from GAME_EVENTS
+     * @param {Object} payload - Event payload
+     */
+    emit(event, payload = {}) {
+        // Copy so listeners can unsubscribe while the event is delivered
+        [...this.getListeners(event)].forEach(callback => callback(payload));
+    }
+    
+    /**
+     * Remove every listener
+     */
+    clear() {
+        this.listeners.forEach(listeners => {
+            listeners.length = 0;
+        });
+    }
+}
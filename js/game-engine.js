@@ -1,39 +1,101 @@
 // Game engine
-import { GAME_CONFIG, GAME_STATES, PARTICLE_CONFIG, ASSETS } from './constants.js';
-import { Player, Obstacle, PowerUp } from './game-objects.js';
+import { GAME_CONFIG, GAME_STATES, GAME_MODES, DEFAULT_RULES, PARTICLE_CONFIG, ASSETS } from './constants.js';
+import { GAME_EVENTS } from './events.js';
+import { getSpriteAssets } from './registry.js';
+import { GameSimulation } from './game-simulation.js';
 import { ParticleSystem } from './particles.js';
-import { randomNumber, clamp, formatNumber, loadFromLocalStorage, saveToLocalStorage, preloadAssets } from './utility.js';
+import { SeededRandom } from './random.js';
+import { ReplayRecorder, ReplayPlayer, loadBestReplay, saveBestReplay, getReplayVariant } from './replay.js';
+import { GhostRunner } from './ghost.js';
+import { clearSavedRun } from './saved-run.js';
+import { loadBestResult, saveBestResult, formatResult } from './time-trial.js';
+import { recordDailyAttempt } from './daily-challenge.js';
+import { MissionTracker } from './missions.js';
+import { AchievementTracker } from './achievements.js';
+import { OnlineLeaderboard } from './online-leaderboard.js';
+import { loadLastInitials } from './leaderboard.js';
+import { loadData, saveData } from './storage.js';
+import { randomNumber, clamp, lerp, formatNumber, formatTime, preloadAssets } from './utility.js';
 import { AUDIO_PLACEHOLDERS } from '../assets/audio/placeholders.js';
 import { NotificationSystem } from './notification.js';
+import { PowerUpHud } from './power-up-hud.js';
+import { PopupTextSystem } from './popup-text.js';
 
-export class GameEngine {
+// Time between puffs of smoke from a damaged car
+const DAMAGE_EFFECT_INTERVAL = 120; // milliseconds
+
+// Game over reasons spelled out on the game over screen; crashes speak for themselves
+const END_REASON_MESSAGES = {
+    outOfFuel: 'Out of fuel!',
+    timeUp: 'Time\'s up!'
+};
+
+/**
+ * Browser front end for the game: runs GameSimulation on a fixed-timestep loop
+ * and adds rendering, audio, notifications and screens on top of it
+ */
+export class GameEngine extends GameSimulation {
     constructor(canvas, uiElements) {
+        super();
+        
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.ui = uiElements;
         
         // Game state
         this.state = GAME_STATES.MENU;
-        this.score = 0;
-        this.highScore = loadFromLocalStorage('highScore', 0);
-        this.gameTime = 0;
-        this.lastObstacleTime = 0;
-        this.lastSpeedIncreaseTime = 0;
-        this.lastPowerUpTime = 0;
-        this.timeScale = 1; // For slow motion effects
-        this.scoreMultiplier = 1;
-        this.distance = 0;
+        this.highScore = loadData('highScore', 0);
         this.gameSpeed = 1;
-        this.roadOffset = 0;
-        this.difficulty = 1;
         
-        // Game objects
-        this.player = null;
-        this.obstacles = [];
-        this.powerUps = [];
+        // Fixed-timestep loop state
+        this.accumulator = 0;
+        this.lastFrameTime = null;
+        this.boundGameLoop = this.gameLoop.bind(this);
+        
+        // Seed for the next run (null picks a fresh seed every run)
+        this.fixedSeed = null;
+        
+        // Replay recording and playback
+        this.recorder = new ReplayRecorder();
+        this.lastReplay = null;
+        this.pendingReplay = null;
+        this.replayPlayer = null;
+        this.replayPaused = false;
+        this.playbackSpeed = 1;
+        this.isSeeking = false;
+        this.replayReturnDifficulty = null;
+        this.replayReturnRules = null;
+        this.replayReturnMode = null;
+        this.replayReturnVariant = null;
+        
+        // Saved run to continue on the next start instead of a fresh one
+        this.pendingSnapshot = null;
+        
+        // Ghost car replaying the best run on the current difficulty
+        this.ghost = null;
+        this.ghostEnabled = true;
+        this.ghostDelta = null;
+        
+        // Missions and achievements progress during played runs, never during replays
+        this.missions = new MissionTracker(this);
+        this.achievements = new AchievementTracker(this);
+        
+        // Online leaderboard, offline until an endpoint is configured
+        this.onlineLeaderboard = new OnlineLeaderboard();
+        
+        // World-to-canvas transform, updated on resize
+        this.viewScale = 1;
+        this.viewOffsetX = 0;
+        this.viewOffsetY = 0;
         
         // Game systems
-        this.particleSystem = new ParticleSystem(this.ctx);
+        this.particleSystem = new ParticleSystem(this.ctx, this.rng.fork('particles'));
+        this.powerUpHud = new PowerUpHud(this.ui.powerUpHud);
+        this.popupTexts = new PopupTextSystem();
+        this.comboState = null; // Last combo shown in the HUD
+        this.fuelState = null; // Last fuel level shown in the HUD
+        this.timeTrialState = null; // Last time trial clock shown in the HUD
+        this.damageEffectTime = 0; // Time since the last puff of smoke from a damaged car
         
         // Animation frame ID for cancellation
         this.animationId = null;
@@ -50,8 +112,24 @@ export class GameEngine {
         // Use global notification system
         this.notificationSystem = window.notificationSystem;
         
-        // Track previous scores for milestone notifications
-        this.previousScore = 0;
+        this.registerEventHandlers();
+    }
+    
+    /**
+     * Subscribe the engine's effects, sounds and screens to run events
+     */
+    registerEventHandlers() {
+        this.events.on(GAME_EVENTS.COLLISION, event => this.onCollision(event));
+        this.events.on(GAME_EVENTS.POWER_UP_COLLECTED, event => this.onPowerUpCollected(event));
+        this.events.on(GAME_EVENTS.NEAR_MISS, event => this.onNearMiss(event));
+        this.events.on(GAME_EVENTS.MILESTONE, event => this.onMilestone(event));
+        this.events.on(GAME_EVENTS.SPEED_CHANGE, event => this.onSpeedChange(event));
+        this.events.on(GAME_EVENTS.LANE_CHANGE, event => this.onLaneChange(event));
+        this.events.on(GAME_EVENTS.OUT_OF_FUEL, () => this.onOutOfFuel());
+        this.events.on(GAME_EVENTS.CHECKPOINT, event => this.onCheckpoint(event));
+        this.events.on(GAME_EVENTS.GAME_OVER, () => this.onGameOver());
+        this.events.on(GAME_EVENTS.MISSION_COMPLETED, event => this.onMissionCompleted(event));
+        this.events.on(GAME_EVENTS.ACHIEVEMENT_UNLOCKED, event => this.onAchievementUnlocked(event));
     }
     
     /**
@@ -105,7 +183,13 @@ export class GameEngine {
             // Update loading UI
             this.updateLoadingProgress(0, 'Loading assets...');
             
-            this.assets = await preloadAssets(ASSETS, Howl, (progress) => {
+            // Registered obstacle and power-up sprites load with the core images
+            const assets = {
+                ...ASSETS,
+                images: { ...ASSETS.images, ...getSpriteAssets() }
+            };
+            
+            this.assets = await preloadAssets(assets, Howl, (progress) => {
                 this.loadingProgress = progress;
                 this.updateLoadingProgress(progress, 'Loading assets...');
             });
@@ -152,6 +236,7 @@ export class GameEngine {
      * @param {string} newState - New game state from GAME_STATES
      */
     setState(newState) {
+        const previousState = this.state;
         this.state = newState;
         
         switch (newState) {
@@ -171,7 +256,21 @@ export class GameEngine {
             case GAME_STATES.GAME_OVER:
                 this.endGame();
                 break;
+                
+            case GAME_STATES.REPLAY:
+                this.startReplay();
+                break;
         }
+        
+        this.events.emit(GAME_EVENTS.STATE_CHANGE, { state: newState, previousState });
+    }
+    
+    /**
+     * Whether the game loop should be running
+     * @returns {boolean} True while playing or watching a replay
+     */
+    isRunning() {
+        return this.state === GAME_STATES.PLAYING || this.state === GAME_STATES.REPLAY;
     }
     
     /**
@@ -184,6 +283,10 @@ export class GameEngine {
         this.ui.settingsButton.classList.add('hidden');
         this.ui.gameUI.classList.add('hidden');
         
+        // A run quit from the pause menu still keeps its mission and achievement progress
+        this.missions.endRun();
+        this.achievements.endRun();
+        
         // Play menu music if enabled
         if (this.musicEnabled && this.assets && this.assets.audio.menu_music) {
             this.assets.audio.menu_music.play();
@@ -196,32 +299,68 @@ export class GameEngine {
         }
     }
     
+    /**
+     * Use a fixed seed for subsequent runs
+     * @param {number|string|null} seed - Seed to use, or null for a fresh seed every run
+     */
+    setSeed(seed) {
+        this.fixedSeed = seed === null || seed === undefined ? null : SeededRandom.normalizeSeed(seed);
+    }
+    
     /**
      * Start the game
      */
     startGame() {
-        // Reset game state
-        this.score = 0;
-        this.previousScore = 0;
-        this.gameTime = 0;
-        this.lastObstacleTime = 0;
-        this.lastSpeedIncreaseTime = 0;
-        this.lastPowerUpTime = 0;
-        this.timeScale = 1;
-        this.scoreMultiplier = 1;
-        this.distance = 0;
-        this.gameSpeed = GAME_CONFIG.BASE_GAME_SPEED;
-        this.roadOffset = 0;
-        this.difficulty = 1;
-        
-        // Clear existing objects
-        this.obstacles = [];
-        this.powerUps = [];
+        const snapshot = this.pendingSnapshot;
+        this.pendingSnapshot = null;
+        
+        // Reset the simulation, or pick up a saved run where it left off;
+        // particles get their own stream so effects never shift gameplay
+        if (snapshot) {
+            this.restoreSnapshot(snapshot);
+        } else if (this.getModeSeed() !== null) {
+            // Courses and daily challenges always start from their own seed, and the
+            // daily challenge is the same run for everyone: its own difficulty, no rules
+            if (this.dailyChallenge) {
+                super.setDifficulty(this.dailyChallenge.difficulty);
+                this.setRules(DEFAULT_RULES);
+            }
+            this.reset(this.getModeSeed());
+        } else {
+            this.reset(this.fixedSeed !== null ? this.fixedSeed : SeededRandom.createSeed());
+        }
+        this.particleSystem.setRandom(this.rng.fork('particles'));
         this.particleSystem.clear();
-        
-        // Initialize player
-        const laneWidth = this.canvas.width / GAME_CONFIG.LANE_COUNT;
-        this.player = new Player(laneWidth, this.canvas.height);
+        this.popupTexts.clear();
+        this.gameSpeed = this.player.speed;
+        this.damageEffectTime = 0;
+        
+        // Any saved run is either continued now or replaced by this one
+        clearSavedRun();
+        this.missions.startRun();
+        this.achievements.startRun(Boolean(snapshot));
+        
+        // Record every input so the run can be replayed, and race against the best
+        // previous run on this difficulty and rules. Both replay from the seed, so a
+        // continued run gets neither; the ghost only races endless runs.
+        const bestReplay = this.ghostEnabled && !snapshot && this.mode === GAME_MODES.ENDLESS ?
+            loadBestReplay(this.getReport()) : null;
+        this.ghost = bestReplay ? new GhostRunner(bestReplay) : null;
+        this.ghostDelta = null;
+        
+        if (snapshot) {
+            this.recorder.cancel();
+        } else {
+            this.recorder.start({
+                seed: this.seed,
+                difficulty: this.difficultyPreset,
+                rules: this.rules,
+                mode: this.mode,
+                course: this.timeTrial ? this.timeTrial.courseId : null,
+                challenge: this.dailyChallenge ? this.dailyChallenge.date : null,
+                modifiers: this.modifiers
+            });
+        }
         
         // Update UI
         this.ui.startScreen.classList.add('hidden');
@@ -231,6 +370,12 @@ export class GameEngine {
         this.updateScoreDisplay();
         this.updateSpeedDisplay();
         this.updateLivesDisplay();
+        this.updateGhostDisplay();
+        this.powerUpHud.clear();
+        this.updatePowerUpHud();
+        this.updateComboDisplay();
+        this.updateFuelDisplay();
+        this.updateTimeTrialDisplay();
         
         // Stop menu music if playing
         if (this.assets && this.assets.audio.menu_music) {
@@ -249,14 +394,41 @@ export class GameEngine {
         
         // Show welcome notification
         if (this.notificationSystem) {
-            this.notificationSystem.info('Game Started! Good luck!');
+            if (snapshot) {
+                this.notificationSystem.info('Run continued! Good luck!');
+            } else if (this.timeTrial) {
+                const { name, length } = this.timeTrial.course;
+                this.notificationSystem.info(`${name}: ${formatNumber(length)} m against the clock!`);
+            } else if (this.dailyChallenge) {
+                this.notificationSystem.info(`Daily Challenge ${this.dailyChallenge.date}: good luck!`);
+            } else {
+                this.notificationSystem.info('Game Started! Good luck!');
+            }
         }
         
         // Start game loop
+        this.startLoop();
+    }
+    
+    /**
+     * Continue a saved run
+     * @param {Object} snapshot - Validated snapshot from loadSavedRun()
+     */
+    continueRun(snapshot) {
+        this.pendingSnapshot = snapshot;
+        this.setState(GAME_STATES.PLAYING);
+    }
+    
+    /**
+     * Start (or restart) the animation loop without carrying over frame time
+     */
+    startLoop() {
         if (this.animationId) {
             cancelAnimationFrame(this.animationId);
         }
-        this.gameLoop(0);
+        this.accumulator = 0;
+        this.lastFrameTime = null;
+        this.animationId = requestAnimationFrame(this.boundGameLoop);
     }
     
     /**
@@ -295,6 +467,10 @@ export class GameEngine {
             
             document.getElementById('restart-button-pause').addEventListener('click', () => {
                 pauseMenu.classList.add('hidden');
+                
+                // The abandoned run still keeps its mission and achievement progress
+                this.missions.endRun();
+                this.achievements.endRun();
                 this.setState(GAME_STATES.PLAYING);
             });
             
@@ -338,8 +514,8 @@ export class GameEngine {
         // Resume game state
         this.state = GAME_STATES.PLAYING;
         
-        // Continue game loop
-        this.gameLoop(0);
+        // Continue game loop; time spent paused is never simulated
+        this.startLoop();
     }
     
     /**
@@ -358,14 +534,48 @@ export class GameEngine {
         }
         
         // Play crash sound
-        if (this.sfxEnabled && this.assets && this.assets.audio.crash) {
+        if (this.endReason === 'crash' && this.sfxEnabled && this.assets && this.assets.audio.crash) {
             this.assets.audio.crash.play();
         }
         
+        // Keep the replay of this run and its mission and achievement progress
+        this.lastReplay = this.recorder.finish(this.getReport());
+        this.ghost = null;
+        this.missions.endRun();
+        this.achievements.endRun();
+        
+        // Update UI
+        this.ui.gameOverTitle.textContent = this.endReason === 'finished' ? 'FINISHED!' : 'GAME OVER';
+        this.ui.gameOverReason.classList.toggle('hidden', !END_REASON_MESSAGES[this.endReason]);
+        this.ui.gameOverReason.textContent = END_REASON_MESSAGES[this.endReason] || '';
+        this.ui.endlessResults.classList.toggle('hidden', this.mode !== GAME_MODES.ENDLESS);
+        this.ui.timeTrialResults.classList.toggle('hidden', !this.timeTrial);
+        this.ui.dailyResults.classList.toggle('hidden', !this.dailyChallenge);
+        this.ui.gameOverScreen.classList.remove('hidden');
+        this.ui.settingsButton.classList.add('hidden');
+        
+        if (this.timeTrial) {
+            this.showTimeTrialResults();
+        } else if (this.dailyChallenge) {
+            this.showDailyResults();
+        } else {
+            this.showEndlessResults();
+        }
+    }
+    
+    /**
+     * Show the score of an endless run, keeping the high score and the best replay
+     */
+    showEndlessResults() {
+        // The best run on each difficulty and rules becomes the ghost for the next ones
+        if (this.lastReplay) {
+            saveBestReplay(this.lastReplay);
+        }
+        
         // Update high score and show notification
         if (this.score > this.highScore) {
             this.highScore = this.score;
-            saveToLocalStorage('highScore', this.highScore);
+            saveData('highScore', this.highScore);
             
             // Show high score notification
             if (this.notificationSystem) {
@@ -375,103 +585,366 @@ export class GameEngine {
             this.notificationSystem.warning(`Game Over! Final Score: ${formatNumber(this.score)}`);
         }
         
-        // Update UI
         this.ui.finalScoreDisplay.textContent = formatNumber(this.score);
         this.ui.finalHighScoreDisplay.textContent = formatNumber(this.highScore);
-        this.ui.gameOverScreen.classList.remove('hidden');
-        this.ui.settingsButton.classList.add('hidden');
+        
+        this.submitOnlineScore();
+    }
+    
+    /**
+     * Send the run to the online leaderboard, if one is configured, and show
+     * its place there once the server answers
+     */
+    submitOnlineScore() {
+        const rankDisplay = this.ui.onlineRankDisplay;
+        rankDisplay.classList.toggle('hidden', !this.onlineLeaderboard.isEnabled());
+        if (!this.onlineLeaderboard.isEnabled()) return;
+        
+        // The server checks scores by replaying them, and a continued run has no replay
+        if (!this.lastReplay) {
+            rankDisplay.textContent = 'Continued runs are not sent to the online leaderboard';
+            return;
+        }
+        
+        rankDisplay.textContent = 'Submitting score online...';
+        this.onlineLeaderboard.submitScore(this.getReport(), {
+            name: loadLastInitials() || '???',
+            replay: this.lastReplay
+        })
+            .then(result => {
+                rankDisplay.textContent = result ?
+                    `Online rank: #${formatNumber(result.rank)} of ${formatNumber(result.total)}` :
+                    'Offline: your score will be submitted later';
+            })
+            .catch(error => {
+                rankDisplay.textContent = `Score not accepted online: ${error.message}`;
+            });
+    }
+    
+    /**
+     * Show the finishing time or distance reached on a time trial course,
+     * keeping the best result for the course and difficulty
+     */
+    showTimeTrialResults() {
+        const result = this.timeTrial.getResult();
+        const { name, length } = this.timeTrial.course;
+        const previousBest = loadBestResult(result.course, this.difficultyPreset);
+        const isNewBest = saveBestResult(result, this.difficultyPreset);
+        
+        this.ui.timeTrialCourse.textContent = `${name} · ${this.difficultyPreset}`;
+        this.ui.timeTrialResult.textContent = result.finished ?
+            `Time: ${formatTime(result.time)}` :
+            `Reached ${formatNumber(result.distance)} of ${formatNumber(length)} m`;
+        this.ui.timeTrialBest.textContent = isNewBest ? 'New best!' : `Best: ${formatResult(previousBest)}`;
+        this.ui.timeTrialBest.classList.toggle('new-best', isNewBest);
+        
+        if (this.notificationSystem) {
+            if (isNewBest) {
+                this.notificationSystem.success(`New best on ${name}: ${formatResult(result)}!`);
+            } else if (result.finished) {
+                this.notificationSystem.info(`Finished ${name} in ${formatTime(result.time)}`);
+            } else {
+                this.notificationSystem.warning(`${name}: ${formatNumber(result.distance)} m`);
+            }
+        }
+    }
+    
+    /**
+     * Show the score of a daily challenge attempt, keeping it in the day's results
+     */
+    showDailyResults() {
+        const { date } = this.dailyChallenge;
+        const { result, isNewBest } = recordDailyAttempt(date, this.getReport());
+        
+        this.ui.dailyResultDate.textContent = `Daily Challenge · ${date}`;
+        this.ui.dailyResultScore.textContent = formatNumber(this.score);
+        this.ui.dailyResultBest.textContent = isNewBest ?
+            `New best for the day! Attempt ${result.count}` :
+            `Best: ${formatNumber(result.best)} · Attempt ${result.count}`;
+        this.ui.dailyResultBest.classList.toggle('new-best', isNewBest);
+        
+        if (this.notificationSystem) {
+            if (isNewBest) {
+                this.notificationSystem.success(`New daily best: ${formatNumber(this.score)}!`);
+            } else {
+                this.notificationSystem.warning(`Game Over! Final Score: ${formatNumber(this.score)}`);
+            }
+        }
     }
     
     /**
-     * Main game loop
+     * Main game loop. Game logic advances in fixed steps of 1 / SIMULATION_RATE
+     * seconds regardless of display refresh rate; rendering interpolates
+     * between the last two steps.
      * @param {number} timestamp - Current timestamp from requestAnimationFrame
      */
     gameLoop(timestamp) {
-        if (this.state !== GAME_STATES.PLAYING) return;
+        if (!this.isRunning()) return;
+        
+        // Measure real time since the last frame (nothing to catch up on the first frame)
+        const frameTime = this.lastFrameTime === null ? 0 :
+            Math.min((timestamp - this.lastFrameTime) / 1000, GAME_CONFIG.MAX_FRAME_TIME);
+        this.lastFrameTime = timestamp;
+        
+        if (this.state === GAME_STATES.REPLAY) {
+            // Replays run at the chosen playback speed and can be paused
+            if (!this.replayPaused) {
+                this.accumulator += frameTime * this.playbackSpeed;
+            }
+        } else {
+            this.accumulator += frameTime;
+        }
         
-        // Calculate delta time
-        const deltaTime = this.gameTime > 0 ? (timestamp - this.gameTime) / 1000 : 0.016;
-        this.gameTime = timestamp;
+        // Run as many fixed simulation steps as the elapsed time covers
+        const step = 1 / GAME_CONFIG.SIMULATION_RATE;
+        while (this.accumulator >= step && this.isRunning()) {
+            if (this.state === GAME_STATES.REPLAY) {
+                this.stepReplay(step);
+            } else {
+                this.update(step);
+            }
+            this.accumulator -= step;
+        }
         
-        // Apply time scale (for slow motion effect)
-        const scaledDelta = deltaTime * this.timeScale;
+        if (!this.isRunning()) return;
         
-        // Update game objects
-        this.update(scaledDelta);
+        if (this.state === GAME_STATES.REPLAY) {
+            this.updateReplayProgress();
+        }
         
-        // Draw the game
-        this.draw();
+        // Draw the game between the last two steps
+        this.draw(this.accumulator / step);
         
         // Continue game loop
-        this.animationId = requestAnimationFrame(this.gameLoop.bind(this));
+        this.animationId = requestAnimationFrame(this.boundGameLoop);
     }
     
     /**
-     * Update game state
-     * @param {number} deltaTime - Time since last update in seconds
+     * Queue a replay and switch to playback
+     * @param {Object} replay - Replay to watch
      */
-    update(deltaTime) {
-        // Limit deltaTime to avoid large jumps
-        const delta = Math.min(deltaTime, 0.1);
+    watchReplay(replay) {
+        if (!replay) return;
         
-        // Update player
-        this.player.update(delta);
+        this.pendingReplay = replay;
+        this.setState(GAME_STATES.REPLAY);
+    }
+    
+    /**
+     * Start playing back the pending replay from its first step
+     */
+    startReplay() {
+        const replay = this.pendingReplay;
+        this.pendingReplay = null;
+        
+        // Replays run under the difficulty and rules they were recorded with
+        this.replayReturnDifficulty = this.difficultyPreset;
+        this.replayReturnRules = this.rules;
+        this.replayReturnMode = this.mode;
+        this.replayReturnVariant = this.getModeVariant();
+        super.setDifficulty(replay.difficulty);
+        this.setRules(replay.rules);
+        this.setMode(replay.mode || GAME_MODES.ENDLESS, getReplayVariant(replay));
+        this.setModifiers(replay.modifiers);
+        
+        this.reset(replay.seed);
+        this.particleSystem.setRandom(this.rng.fork('particles'));
+        this.particleSystem.clear();
+        this.popupTexts.clear();
+        this.gameSpeed = this.player.speed;
+        this.damageEffectTime = 0;
+        
+        this.replayPlayer = new ReplayPlayer(replay);
+        this.replayPaused = false;
+        this.ghost = null;
+        this.setPlaybackSpeed(1);
+        
+        // Update UI
+        this.ui.startScreen.classList.add('hidden');
+        this.ui.gameOverScreen.classList.add('hidden');
+        this.ui.settingsButton.classList.add('hidden');
+        this.ui.gameUI.classList.remove('hidden');
+        this.ui.replayControls.classList.remove('hidden');
+        this.ui.replaySeek.max = replay.steps;
+        this.updateScoreDisplay();
+        this.updateSpeedDisplay();
+        this.updateLivesDisplay();
+        this.updateGhostDisplay();
+        this.powerUpHud.clear();
+        this.updatePowerUpHud();
+        this.updateComboDisplay();
+        this.updateFuelDisplay();
+        this.updateTimeTrialDisplay();
+        this.updateReplayProgress();
+        
+        this.startLoop();
+    }
+    
+    /**
+     * Advance a replay by one fixed step, feeding its recorded inputs first
+     * @param {number} delta - Step length in seconds
+     */
+    stepReplay(delta) {
+        if (this.replayPlayer.isFinished(this.stepCount)) {
+            if (!this.replayPaused) {
+                this.finishReplay();
+            }
+            return;
+        }
+        
+        this.replayPlayer.takeInputs(this.stepCount).forEach(action => super.handleInput(action));
+        this.update(delta);
+    }
+    
+    /**
+     * Pause at the end of a replay
+     */
+    finishReplay() {
+        this.replayPaused = true;
+        this.accumulator = 0;
+        this.updateReplayProgress();
+    }
+    
+    /**
+     * Pause or resume replay playback
+     */
+    toggleReplayPause() {
+        if (this.state !== GAME_STATES.REPLAY) return;
         
-        // Update road animation
-        this.roadOffset += this.player.speed * 200 * delta * this.timeScale;
-        if (this.roadOffset >= this.canvas.height) {
-            this.roadOffset -= this.canvas.height;
+        // Playing again from the end restarts the replay
+        if (this.replayPaused && (this.isGameOver || this.replayPlayer.isFinished(this.stepCount))) {
+            this.seekReplay(0);
         }
         
-        // Update obstacles
-        this.updateObstacles(delta);
+        this.replayPaused = !this.replayPaused;
+        this.updateReplayProgress();
+    }
+    
+    /**
+     * Set the replay playback speed
+     * @param {number} speed - Playback speed multiplier
+     */
+    setPlaybackSpeed(speed) {
+        this.playbackSpeed = speed;
         
-        // Update power-ups
-        this.updatePowerUps(delta);
+        this.ui.replayControls.querySelectorAll('.replay-speed').forEach(button => {
+            button.classList.toggle('active', Number(button.dataset.speed) === speed);
+        });
+    }
+    
+    /**
+     * Jump to a step of the replay. The run is deterministic, so seeking
+     * backwards re-simulates from the start without drawing.
+     * @param {number} targetStep - Step to jump to
+     */
+    seekReplay(targetStep) {
+        if (this.state !== GAME_STATES.REPLAY || !this.replayPlayer) return;
         
-        // Update particles
-        this.particleSystem.update(delta);
+        const replay = this.replayPlayer.replay;
+        const target = clamp(Math.floor(targetStep), 0, replay.steps);
         
-        // Check for collisions
-        this.checkCollisions();
+        this.isSeeking = true;
         
-        // Spawn new obstacles
-        if (this.gameTime - this.lastObstacleTime > this.getObstacleSpawnInterval()) {
-            this.spawnObstacle();
-            this.lastObstacleTime = this.gameTime;
+        if (target < this.stepCount || this.isGameOver) {
+            this.reset(replay.seed);
+            this.replayPlayer.rewind();
+            this.powerUpHud.clear();
         }
         
-        // Spawn new power-ups
-        if (this.gameTime - this.lastPowerUpTime > this.getPowerUpSpawnInterval()) {
-            if (Math.random() < GAME_CONFIG.POWER_UP_SPAWN_CHANCE) {
-                this.spawnPowerUp();
-            }
-            this.lastPowerUpTime = this.gameTime;
+        const step = 1 / GAME_CONFIG.SIMULATION_RATE;
+        while (this.stepCount < target && !this.isGameOver) {
+            this.stepReplay(step);
         }
         
-        // Increase difficulty over time
-        if (this.gameTime - this.lastSpeedIncreaseTime > GAME_CONFIG.SPEED_INCREASE_INTERVAL) {
-            this.increaseDifficulty();
-            this.lastSpeedIncreaseTime = this.gameTime;
-        }
+        this.isSeeking = false;
+        this.accumulator = 0;
+        this.particleSystem.clear();
+        this.popupTexts.clear();
         
-        // Update score based on distance traveled
-        const speedFactor = this.player.speed * this.scoreMultiplier;
-        const oldScore = this.score;
-        this.score += Math.floor(delta * speedFactor * GAME_CONFIG.SCORE_MULTIPLIER);
+        // Refresh everything the skipped steps would have shown
+        this.gameSpeed = this.player.speed;
         this.updateScoreDisplay();
+        this.updateSpeedDisplay();
+        this.updateLivesDisplay();
+        this.updatePowerUpHud();
+        this.updateComboDisplay();
+        this.updateFuelDisplay();
+        this.updateTimeTrialDisplay();
+        this.updateReplayProgress();
+        this.draw();
+    }
+    
+    /**
+     * Stop watching a replay and return to the game over screen
+     */
+    exitReplay() {
+        if (this.state !== GAME_STATES.REPLAY) return;
         
-        // Check for score milestones (every 1000 points)
-        if (this.notificationSystem && Math.floor(this.score / 1000) > Math.floor(this.previousScore / 1000)) {
-            const milestone = Math.floor(this.score / 1000) * 1000;
-            this.notificationSystem.success(`Score Milestone: ${formatNumber(milestone)}!`);
-            
-            // Play achievement sound
-            if (this.sfxEnabled && this.assets && this.assets.audio.achievement) {
-                this.assets.audio.achievement.play();
-            }
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        
+        this.replayPlayer = null;
+        super.setDifficulty(this.replayReturnDifficulty);
+        this.setRules(this.replayReturnRules);
+        this.setMode(this.replayReturnMode, this.replayReturnVariant);
+        
+        this.state = GAME_STATES.GAME_OVER;
+        this.ui.replayControls.classList.add('hidden');
+        this.ui.gameOverScreen.classList.remove('hidden');
+    }
+    
+    /**
+     * Update the replay position, time and play/pause controls
+     */
+    updateReplayProgress() {
+        if (!this.replayPlayer) return;
+        
+        const toTime = steps => {
+            const seconds = Math.floor(steps / GAME_CONFIG.SIMULATION_RATE);
+            return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        };
+        
+        this.ui.replaySeek.value = this.stepCount;
+        this.ui.replayTime.textContent = `${toTime(this.stepCount)} / ${toTime(this.replayPlayer.replay.steps)}`;
+        this.ui.replayPlayPause.textContent = this.replayPaused ? '▶' : '❚❚';
+    }
+    
+    /**
+     * Advance the simulation by one fixed step and refresh the HUD
+     * @param {number} delta - Step length in seconds
+     */
+    update(delta) {
+        super.update(delta);
+        
+        // Step the ghost in lockstep with the run
+        if (this.ghost) {
+            this.ghost.update(delta);
+        }
+        this.missions.update(delta);
+        this.achievements.update(delta);
+        
+        // Smoke and sparks from a damaged car
+        if (!this.isSeeking) {
+            this.updateDamageEffects(delta);
+        }
+        
+        // Update particles and popups
+        this.particleSystem.update(delta);
+        this.popupTexts.update(delta);
+        
+        this.updateScoreDisplay();
+        this.updateGhostDisplay();
+        this.updateComboDisplay();
+        this.updateFuelDisplay();
+        this.updateTimeTrialDisplay();
+        
+        // Power-up HUD runs on game time, so it freezes with the game when paused
+        this.powerUpHud.tick(delta);
+        if (!this.isSeeking) {
+            this.updatePowerUpHud();
         }
-        this.previousScore = this.score;
         
         // Update speed display if needed
         if (Math.floor(this.player.speed * 10) !== Math.floor(this.gameSpeed * 10)) {
@@ -482,25 +955,45 @@ export class GameEngine {
     
     /**
      * Draw the game
+     * @param {number} alpha - Interpolation factor (0-1) between the last two simulation steps
      */
-    draw() {
-        // Clear canvas
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    draw(alpha = 1) {
+        // Clear canvas and fill the area around the world
+        this.ctx.fillStyle = '#111';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        // Draw in world coordinates, scaled to fit the canvas
+        this.ctx.save();
+        this.ctx.translate(this.viewOffsetX, this.viewOffsetY);
+        this.ctx.scale(this.viewScale, this.viewScale);
+        this.ctx.beginPath();
+        this.ctx.rect(0, 0, this.width, this.height);
+        this.ctx.clip();
         
         // Draw road
-        this.drawRoad();
+        this.drawRoad(alpha);
         
         // Draw power-ups
-        this.drawPowerUps();
+        this.drawPowerUps(alpha);
         
         // Draw obstacles
-        this.drawObstacles();
+        this.drawObstacles(alpha);
         
         // Draw particles
         this.particleSystem.draw();
         
+        // Draw ghost car under the player
+        if (this.ghost) {
+            this.ghost.draw(this.ctx, this.assets, alpha);
+        }
+        
         // Draw player
-        this.player.draw(this.ctx, this.assets);
+        this.player.draw(this.ctx, this.assets, alpha);
+        
+        // Draw popup text over everything else
+        this.popupTexts.draw(this.ctx);
+        
+        this.ctx.restore();
     }
     
     /**
@@ -511,16 +1004,10 @@ export class GameEngine {
         this.canvas.width = container.clientWidth;
         this.canvas.height = container.clientHeight;
         
-        // If player exists, update its position for new dimensions
-        if (this.player) {
-            const laneWidth = this.canvas.width / GAME_CONFIG.LANE_COUNT;
-            this.player.laneWidth = laneWidth;
-            this.player.y = this.canvas.height - this.player.height - 20;
-            
-            // Update player x position based on lane
-            const targetX = laneWidth * this.player.lane + (laneWidth - this.player.width) / 2;
-            this.player.x = targetX;
-        }
+        // Fit the fixed-size world inside the canvas, centred
+        this.viewScale = Math.min(this.canvas.width / this.width, this.canvas.height / this.height);
+        this.viewOffsetX = (this.canvas.width - this.width * this.viewScale) / 2;
+        this.viewOffsetY = (this.canvas.height - this.height * this.viewScale) / 2;
         
         // Redraw if in game state
         if (this.state === GAME_STATES.PLAYING) {
@@ -528,78 +1015,14 @@ export class GameEngine {
         }
     }
     
-    /**
-     * Calculate obstacle spawn interval based on difficulty
-     * @returns {number} Interval in milliseconds
-     */
-    getObstacleSpawnInterval() {
-        return Math.max(
-            GAME_CONFIG.MIN_OBSTACLE_INTERVAL,
-            GAME_CONFIG.BASE_OBSTACLE_INTERVAL - this.score * GAME_CONFIG.OBSTACLE_INTERVAL_DECREASE_RATE
-        );
-    }
-    
-    /**
-     * Calculate power-up spawn interval
-     * @returns {number} Interval in milliseconds
-     */
-    getPowerUpSpawnInterval() {
-        // Use minimum power-up spawn interval as a base
-        return Math.max(
-            GAME_CONFIG.POWER_UP_MIN_SPAWN_INTERVAL,
-            this.getObstacleSpawnInterval() * 3
-        );
-    }
-    
-    /**
-     * Increase game difficulty
-     */
-    increaseDifficulty() {
-        this.difficulty += GAME_CONFIG.DIFFICULTY_INCREASE_RATE;
-        
-        // Gradually increase speed up to max speed
-        if (this.player && this.player.speed < GAME_CONFIG.MAX_GAME_SPEED) {
-            // Calculate new speed with a smoother progression
-            const newSpeed = Math.min(
-                this.player.speed + GAME_CONFIG.SPEED_INCREMENT,
-                GAME_CONFIG.MAX_GAME_SPEED
-            );
-            
-            // Apply new speed
-            this.player.setSpeed(newSpeed);
-            
-            // Update UI
-            this.updateSpeedDisplay();
-            
-            // Show notification for speed increase
-            if (this.notificationSystem && Math.floor(newSpeed * 10) > Math.floor(this.player.speed * 10)) {
-                this.notificationSystem.warning(`Speed increased: ${newSpeed.toFixed(1)}x`);
-            }
-        }
-    }
-    
     /**
      * Set game difficulty based on preset
      * @param {string} difficulty - Difficulty level: 'easy', 'medium', 'hard', 'extreme'
      */
     setDifficulty(difficulty) {
-        const preset = DIFFICULTY_PRESETS[difficulty.toUpperCase()];
-        if (!preset) return;
-        
-        // Apply difficulty settings
-        GAME_CONFIG.BASE_GAME_SPEED = preset.BASE_GAME_SPEED;
-        GAME_CONFIG.MAX_GAME_SPEED = preset.MAX_GAME_SPEED;
-        GAME_CONFIG.SPEED_INCREASE_INTERVAL = preset.SPEED_INCREASE_INTERVAL;
-        GAME_CONFIG.POWER_UP_SPAWN_CHANCE = preset.POWER_UP_SPAWN_CHANCE;
-        GAME_CONFIG.STARTING_LIVES = preset.STARTING_LIVES;
-        GAME_CONFIG.OBSTACLE_INTERVAL_DECREASE_RATE = preset.OBSTACLE_INTERVAL_DECREASE_RATE;
+        if (!super.setDifficulty(difficulty)) return;
         
-        // Reset player if exists
-        if (this.player) {
-            this.player.lives = GAME_CONFIG.STARTING_LIVES;
-            this.player.setSpeed(GAME_CONFIG.BASE_GAME_SPEED);
-            this.updateLivesDisplay();
-        }
+        this.updateLivesDisplay();
         
         // Show notification
         if (this.notificationSystem) {
@@ -608,402 +1031,235 @@ export class GameEngine {
     }
     
     /**
-     * Spawn a new obstacle
+     * Show crash effects and feedback
+     * @param {CollisionEvent} event - The collision
      */
-    spawnObstacle() {
-        const laneWidth = this.canvas.width / GAME_CONFIG.LANE_COUNT;
+    onCollision({ isDead, damage }) {
+        if (this.isSeeking) return;
+        
+        // Create explosion effect
+        this.particleSystem.explosion(
+            this.player.x + this.player.width / 2,
+            this.player.y + this.player.height / 2,
+            PARTICLE_CONFIG.crash
+        );
         
-        // Add smarter lane selection to avoid obstacles too close together
-        let lane;
-        const minSafeDistance = 150; // Minimum safe distance between obstacles
+        if (isDead) return;
         
-        if (this.obstacles.length > 0) {
-            // Check existing obstacles in each lane
-            const lanesWithRecentObstacles = [];
-            
-            this.obstacles.forEach(obs => {
-                if (obs.y < minSafeDistance) {
-                    lanesWithRecentObstacles.push(obs.lane);
-                }
-            });
-            
-            // Filter out lanes that have recent obstacles
-            const safeLanes = Array.from(Array(GAME_CONFIG.LANE_COUNT).keys())
-                .filter(l => !lanesWithRecentObstacles.includes(l));
-            
-            if (safeLanes.length > 0) {
-                // Choose a random safe lane
-                lane = safeLanes[Math.floor(Math.random() * safeLanes.length)];
-            } else {
-                // If all lanes have recent obstacles, just pick a random lane
-                lane = Math.floor(Math.random() * GAME_CONFIG.LANE_COUNT);
-            }
-        } else {
-            lane = Math.floor(Math.random() * GAME_CONFIG.LANE_COUNT);
+        this.updateLivesDisplay();
+        
+        // Show crash notification
+        if (this.notificationSystem) {
+            this.notificationSystem.error(this.rules.lives ?
+                `Crash! Lives: ${this.player.lives}` :
+                `Crash! -${damage} health`);
         }
         
-        this.obstacles.push(new Obstacle(lane, laneWidth));
+        // Play damage sound
+        if (this.sfxEnabled && this.assets && this.assets.audio.crash) {
+            this.assets.audio.crash.play();
+        }
     }
     
     /**
-     * Spawn a new power-up
+     * Show power-up pickup effects and feedback
+     * @param {PowerUpCollectedEvent} event - The pickup
      */
-    spawnPowerUp() {
-        const laneWidth = this.canvas.width / GAME_CONFIG.LANE_COUNT;
+    onPowerUpCollected({ powerUp, remaining }) {
+        if (this.isSeeking) return;
         
-        // Find safe lanes (lanes without obstacles near the top)
-        const safeDistance = 150; // Minimum safe distance from obstacles
-        const occupiedLanes = [];
+        const { message } = powerUp.definition;
         
-        // Check which lanes have obstacles near the top of the screen
-        this.obstacles.forEach(obstacle => {
-            if (obstacle.y < safeDistance) {
-                occupiedLanes.push(obstacle.lane);
-            }
-        });
+        // Timed effects show up in the HUD on the next update; instant ones flash briefly
+        if (!remaining) {
+            this.powerUpHud.flash(powerUp.definition);
+        }
+        this.updateLivesDisplay();
         
-        // Filter out occupied lanes to find safe ones
-        const safeLanes = Array.from(Array(GAME_CONFIG.LANE_COUNT).keys())
-            .filter(lane => !occupiedLanes.includes(lane));
+        if (this.notificationSystem) {
+            this.notificationSystem.success(message);
+        }
         
-        // If no safe lanes, delay power-up spawn
-        if (safeLanes.length === 0) {
-            // Try again later
-            this.lastPowerUpTime = this.gameTime - this.getPowerUpSpawnInterval() + 1000;
-            return;
+        // Play power-up sound
+        if (this.sfxEnabled && this.assets && this.assets.audio.power_up) {
+            this.assets.audio.power_up.play();
         }
         
-        // Select a random safe lane
-        const lane = safeLanes[Math.floor(Math.random() * safeLanes.length)];
+        // Create sparkle effect
+        this.particleSystem.explosion(
+            this.player.x + this.player.width / 2,
+            this.player.y + this.player.height / 2,
+            PARTICLE_CONFIG.sparkle
+        );
+    }
+    
+    /**
+     * Show the near-miss bonus next to the player
+     * @param {NearMissEvent} event - The near miss
+     */
+    onNearMiss({ points, combo, multiplier }) {
+        if (this.isSeeking) return;
         
-        // Bias towards shield and health power-ups to ensure they spawn more often
-        let powerUpType = null;
-        const rand = Math.random();
+        const x = this.player.x + this.player.width / 2;
+        const y = this.player.y - 10;
         
-        // Dynamic spawn rates based on player state
-        if (this.player.lives === 1) {
-            // When player has 1 life left: 60% heart, 30% shield, 10% others
-            if (rand < 0.6) {
-                powerUpType = 'extraLife';
-            } else if (rand < 0.9) {
-                powerUpType = 'shield';
-            }
-        } else if (this.timeSinceLastPowerUp && this.timeSinceLastPowerUpType) {
-            // Track time since last power-up type to ensure variety
-            const timeSinceShield = this.timeSinceLastPowerUpType.shield || 0;
-            const timeSinceHeart = this.timeSinceLastPowerUpType.extraLife || 0;
-            
-            // Boost spawn rate for power-ups that haven't appeared for a while
-            if (timeSinceShield > 30000 && timeSinceHeart > 30000) {
-                // Neither has spawned in 30 seconds: 45% shield, 45% heart, 10% others
-                if (rand < 0.45) {
-                    powerUpType = 'shield';
-                } else if (rand < 0.9) {
-                    powerUpType = 'extraLife';
-                }
-            } else if (timeSinceShield > 30000) {
-                // Shield hasn't spawned in 30 seconds: 60% shield, 20% heart, 20% others
-                if (rand < 0.6) {
-                    powerUpType = 'shield';
-                } else if (rand < 0.8) {
-                    powerUpType = 'extraLife';
-                }
-            } else if (timeSinceHeart > 30000) {
-                // Heart hasn't spawned in 30 seconds: 60% heart, 20% shield, 20% others
-                if (rand < 0.6) {
-                    powerUpType = 'extraLife';
-                } else if (rand < 0.8) {
-                    powerUpType = 'shield';
-                }
-            } else {
-                // Default distribution: 35% shield, 35% heart, 30% others
-                if (rand < 0.35) {
-                    powerUpType = 'shield';
-                } else if (rand < 0.7) {
-                    powerUpType = 'extraLife';
-                }
-            }
-        } else {
-            // First power-ups: 40% shield, 40% heart, 20% others
-            if (rand < 0.4) {
-                powerUpType = 'shield';
-            } else if (rand < 0.8) {
-                powerUpType = 'extraLife';
-            }
+        this.popupTexts.add(`Near Miss! +${formatNumber(points)}`, x, y, { color: '#facc15' });
+        if (combo > 1) {
+            this.popupTexts.add(`Combo x${multiplier}`, x, y + 22, {
+                color: '#38bdf8',
+                size: 14
+            });
         }
+    }
+    
+    /**
+     * Create trail particles behind an important power-up
+     * @param {PowerUp} powerUp - The power-up
+     */
+    onPowerUpTrail(powerUp) {
+        if (this.isSeeking) return;
+        
+        // Create small sparkle effect behind power-up
+        const particleConfig = {
+            count: 3,
+            speed: { min: 5, max: 20 },
+            size: { min: 1, max: 3 },
+            lifetime: { min: 300, max: 600 },
+            colors: [powerUp.trailColor],
+            gravity: 0
+        };
         
-        // Create the power-up
-        this.powerUps.push(new PowerUp(lane, laneWidth, powerUpType));
-        
-        // Track time since specific power-up types
-        const currentTime = Date.now();
-        if (!this.timeSinceLastPowerUpType) {
-            this.timeSinceLastPowerUpType = {};
-        }
+        this.particleSystem.explosion(
+            powerUp.x + powerUp.width / 2,
+            powerUp.y + powerUp.height / 2,
+            particleConfig
+        );
+    }
+    
+    /**
+     * Announce a score milestone
+     * @param {MilestoneEvent} event - The milestone reached
+     */
+    onMilestone({ milestone }) {
+        if (this.isSeeking || !this.notificationSystem) return;
         
-        // Update all power-up type timers
-        const powerUpTypes = POWER_UP_TYPES.map(p => p.type);
-        powerUpTypes.forEach(type => {
-            if (type === powerUpType) {
-                this.timeSinceLastPowerUpType[type] = 0; // Reset timer for spawned type
-            } else {
-                // Increment timer for other types
-                this.timeSinceLastPowerUpType[type] = (this.timeSinceLastPowerUpType[type] || 0) + 
-                    (currentTime - (this.lastPowerUpTypeTime || currentTime));
-            }
-        });
+        this.notificationSystem.success(`Score Milestone: ${formatNumber(milestone)}!`);
         
-        this.lastPowerUpTypeTime = currentTime;
+        // Play achievement sound
+        if (this.sfxEnabled && this.assets && this.assets.audio.achievement) {
+            this.assets.audio.achievement.play();
+        }
     }
     
     /**
-     * Update obstacles
-     * @param {number} deltaTime - Time since last update in seconds
+     * Announce cruise speed increases from difficulty progression
+     * @param {SpeedChangeEvent} event - The speed change
      */
-    updateObstacles(deltaTime) {
-        for (let i = this.obstacles.length - 1; i >= 0; i--) {
-            const obstacle = this.obstacles[i];
-            
-            obstacle.update(deltaTime, this.player.speed, this.canvas.height, this.timeScale);
-            
-            // Remove obstacles that are marked for deletion
-            if (obstacle.markedForDeletion) {
-                this.obstacles.splice(i, 1);
-                
-                // Add points for successfully avoiding obstacle
-                this.score += Math.floor(obstacle.points * this.player.speed * this.scoreMultiplier);
-            }
+    onSpeedChange({ speed, reason }) {
+        if (this.isSeeking) return;
+        
+        if (reason === 'difficulty' && this.notificationSystem) {
+            this.notificationSystem.warning(`Cruise speed increased: ${speed.toFixed(1)}x`);
         }
     }
     
     /**
-     * Update power-ups
-     * @param {number} deltaTime - Time since last update in seconds
+     * Warn that the tank is empty and the car is coasting to a stop
      */
-    updatePowerUps(deltaTime) {
-        for (let i = this.powerUps.length - 1; i >= 0; i--) {
-            const powerUp = this.powerUps[i];
-            
-            powerUp.update(deltaTime, this.player.speed, this.canvas.height, this.timeScale);
-            
-            // Create trail particles for important power-ups if flagged
-            if (powerUp.shouldCreateTrail) {
-                // Create small sparkle effect behind power-up
-                const particleConfig = {
-                    count: 3,
-                    speed: { min: 5, max: 20 },
-                    size: { min: 1, max: 3 },
-                    lifetime: { min: 300, max: 600 },
-                    colors: [powerUp.trailColor],
-                    gravity: 0
-                };
-                
-                this.particleSystem.explosion(
-                    powerUp.x + powerUp.width / 2,
-                    powerUp.y + powerUp.height / 2,
-                    particleConfig
-                );
-                
-                // Reset flag
-                powerUp.shouldCreateTrail = false;
-            }
-            
-            // Remove power-ups that are marked for deletion
-            if (powerUp.markedForDeletion) {
-                this.powerUps.splice(i, 1);
-            }
+    onOutOfFuel() {
+        if (this.isSeeking) return;
+        
+        if (this.notificationSystem) {
+            this.notificationSystem.error('Out of fuel! Grab a fuel can before you stop');
         }
     }
     
     /**
-     * Check for collisions
+     * Show the time bonus for passing a checkpoint
+     * @param {CheckpointEvent} event - The checkpoint passed
      */
-    checkCollisions() {
-        if (this.player.invincible) return;
+    onCheckpoint({ checkpoint, checkpoints, bonusTime }) {
+        if (this.isSeeking) return;
         
-        // Check obstacle collisions
-        for (let i = this.obstacles.length - 1; i >= 0; i--) {
-            const obstacle = this.obstacles[i];
-            
-            if (this.player.isCollidingWith(obstacle.hitbox || obstacle)) {
-                // Create explosion effect
-                this.particleSystem.explosion(
-                    this.player.x + this.player.width / 2,
-                    this.player.y + this.player.height / 2,
-                    PARTICLE_CONFIG.crash
-                );
-                
-                // Handle collision
-                const isDead = this.player.takeDamage();
-                if (isDead) {
-                    this.setState(GAME_STATES.GAME_OVER);
-                } else {
-                    this.updateLivesDisplay();
-                    
-                    // Show crash notification
-                    if (this.notificationSystem) {
-                        this.notificationSystem.error(`Crash! Lives: ${this.player.lives}`);
-                    }
-                    
-                    // Play damage sound
-                    if (this.sfxEnabled && this.assets && this.assets.audio.crash) {
-                        this.assets.audio.crash.play();
-                    }
-                }
-                
-                // Remove the obstacle
-                this.obstacles.splice(i, 1);
-                break;
-            }
+        const bonus = `+${Math.round(bonusTime / 1000)}s`;
+        this.popupTexts.add(bonus, this.player.x + this.player.width / 2, this.player.y - 10, { color: '#4ade80' });
+        
+        if (this.notificationSystem) {
+            this.notificationSystem.success(`Checkpoint ${checkpoint}/${checkpoints}: ${bonus}`);
         }
         
-        // Check power-up collisions
-        for (let i = this.powerUps.length - 1; i >= 0; i--) {
-            const powerUp = this.powerUps[i];
-            
-            if (this.player.isCollidingWith(powerUp)) {
-                // Apply power-up effect
-                this.applyPowerUp(powerUp);
-                
-                // Remove the power-up
-                this.powerUps.splice(i, 1);
-                
-                // Play power-up sound
-                if (this.sfxEnabled && this.assets && this.assets.audio.power_up) {
-                    this.assets.audio.power_up.play();
-                }
-                
-                // Create sparkle effect
-                this.particleSystem.explosion(
-                    this.player.x + this.player.width / 2,
-                    this.player.y + this.player.height / 2,
-                    PARTICLE_CONFIG.sparkle
-                );
-                
-                break;
-            }
+        if (this.sfxEnabled && this.assets && this.assets.audio.power_up) {
+            this.assets.audio.power_up.play();
         }
     }
     
     /**
-     * Apply power-up effect
-     * @param {PowerUp} powerUp - The power-up to apply
+     * Play the lane change sound
      */
-    applyPowerUp(powerUp) {
-        switch (powerUp.effect) {
-            case 'invincibility':
-                this.player.applyPowerUp('invincibility', powerUp.duration);
-                this.showPowerUpIndicator('Shield', powerUp.duration);
-                if (this.notificationSystem) {
-                    this.notificationSystem.info('Shield Activated!');
-                }
-                break;
-                
-            case 'slowMotion':
-                this.timeScale = 0.5;
-                setTimeout(() => {
-                    this.timeScale = 1;
-                }, powerUp.duration);
-                this.player.applyPowerUp('slowMotion', powerUp.duration);
-                this.showPowerUpIndicator('Slow Motion', powerUp.duration);
-                if (this.notificationSystem) {
-                    this.notificationSystem.info('Time Slowed!');
-                }
-                break;
-                
-            case 'addLife':
-                this.player.applyPowerUp('addLife');
-                this.updateLivesDisplay();
-                this.showPowerUpIndicator('Extra Life', 1000);
-                if (this.notificationSystem) {
-                    this.notificationSystem.success('Extra Life!');
-                }
-                break;
-                
-            case 'doubleScore':
-                this.scoreMultiplier = 2;
-                setTimeout(() => {
-                    this.scoreMultiplier = 1;
-                }, powerUp.duration);
-                this.player.applyPowerUp('doubleScore', powerUp.duration);
-                this.showPowerUpIndicator('Double Score', powerUp.duration);
-                if (this.notificationSystem) {
-                    this.notificationSystem.success('Double Score!');
-                }
-                break;
+    onLaneChange() {
+        if (this.isSeeking) return;
+        
+        if (this.sfxEnabled && this.assets && this.assets.audio.lane_change) {
+            this.assets.audio.lane_change.play();
         }
     }
     
     /**
-     * Show power-up indicator
-     * @param {string} text - Text to display
-     * @param {number} duration - Duration to show
+     * Announce a completed mission and the stars it earned
+     * @param {MissionCompletedEvent} event - The completed mission
      */
-    showPowerUpIndicator(text, duration) {
-        // Create or get power-up indicator element
-        let indicator = document.getElementById('power-up-indicator');
-        if (!indicator) {
-            indicator = document.createElement('div');
-            indicator.id = 'power-up-indicator';
-            this.ui.gameUI.appendChild(indicator);
-        }
-        
-        // Create or get progress bar
-        let progressBar = indicator.querySelector('.power-up-timer');
-        if (!progressBar) {
-            const progressContainer = document.createElement('div');
-            progressContainer.className = 'power-up-timer';
-            
-            const progress = document.createElement('div');
-            progress.className = 'power-up-progress';
-            
-            progressContainer.appendChild(progress);
-            progressBar = progressContainer;
-            
-            indicator.innerHTML = '';
-            indicator.textContent = text;
-            indicator.appendChild(progressContainer);
-        } else {
-            indicator.firstChild.textContent = text;
+    onMissionCompleted({ mission, reward }) {
+        if (this.notificationSystem) {
+            this.notificationSystem.success(`Mission complete: ${mission.description} (+${reward} ★)`);
         }
         
-        // Show indicator
-        indicator.classList.remove('hidden');
-        
-        // Animate progress bar
-        const progress = progressBar.querySelector('.power-up-progress');
-        progress.style.width = '100%';
+        if (this.sfxEnabled && this.assets && this.assets.audio.achievement) {
+            this.assets.audio.achievement.play();
+        }
+    }
+    
+    /**
+     * Announce an unlocked achievement
+     * @param {AchievementUnlockedEvent} event - The unlocked achievement
+     */
+    onAchievementUnlocked({ achievement }) {
+        if (this.notificationSystem) {
+            this.notificationSystem.achievement(`${achievement.icon} Achievement unlocked: ${achievement.name}`);
+        }
         
-        // Create animation for progress bar
-        const startTime = Date.now();
-        const updateProgress = () => {
-            const elapsed = Date.now() - startTime;
-            const remaining = Math.max(0, 1 - elapsed / duration);
-            progress.style.width = `${remaining * 100}%`;
-            
-            if (elapsed < duration) {
-                requestAnimationFrame(updateProgress);
-            } else {
-                indicator.classList.add('hidden');
-            }
-        };
+        if (this.sfxEnabled && this.assets && this.assets.audio.achievement) {
+            this.assets.audio.achievement.play();
+        }
+    }
+    
+    /**
+     * Switch to the game over screen when the run ends
+     */
+    onGameOver() {
+        if (this.state === GAME_STATES.REPLAY) {
+            this.finishReplay();
+            return;
+        }
         
-        updateProgress();
+        this.setState(GAME_STATES.GAME_OVER);
     }
     
     /**
      * Draw the road
+     * @param {number} alpha - Interpolation factor between simulation steps
      */
-    drawRoad() {
+    drawRoad(alpha = 1) {
+        const roadOffset = lerp(this.previousRoadOffset, this.roadOffset, alpha);
+        
         // Draw background if available
         if (this.assets && this.assets.images.background) {
             // Create repeating background pattern
             this.ctx.fillStyle = this.ctx.createPattern(this.assets.images.background, 'repeat');
-            this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+            this.ctx.fillRect(0, 0, this.width, this.height);
         } else {
             // Fallback to solid color
             this.ctx.fillStyle = '#222';
-            this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+            this.ctx.fillRect(0, 0, this.width, this.height);
         }
         
         // Road background
@@ -1015,20 +1271,20 @@ export class GameEngine {
             this.ctx.save();
             
             // Translate to create scrolling effect
-            this.ctx.translate(0, this.roadOffset % this.assets.images.road_texture.height);
+            this.ctx.translate(0, roadOffset % this.assets.images.road_texture.height);
             
             this.ctx.fillStyle = pattern;
-            this.ctx.fillRect(0, -this.assets.images.road_texture.height, this.canvas.width, this.canvas.height + this.assets.images.road_texture.height);
+            this.ctx.fillRect(0, -this.assets.images.road_texture.height, this.width, this.height + this.assets.images.road_texture.height);
             
             this.ctx.restore();
         } else {
             // Fallback to solid color
             this.ctx.fillStyle = '#333';
-            this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+            this.ctx.fillRect(0, 0, this.width, this.height);
         }
         
         // Lane dividers
-        const laneWidth = this.canvas.width / GAME_CONFIG.LANE_COUNT;
+        const laneWidth = this.width / GAME_CONFIG.LANE_COUNT;
         this.ctx.strokeStyle = '#fff';
         this.ctx.setLineDash([20, 20]); // Dashed line
         
@@ -1039,7 +1295,7 @@ export class GameEngine {
             this.ctx.beginPath();
             
             // Draw dashed lines with animation
-            for (let y = -this.roadOffset % 40; y < this.canvas.height; y += 40) {
+            for (let y = -roadOffset % 40; y < this.height; y += 40) {
                 this.ctx.moveTo(x, y);
                 this.ctx.lineTo(x, y + 20);
             }
@@ -1054,12 +1310,12 @@ export class GameEngine {
         
         this.ctx.beginPath();
         this.ctx.moveTo(0, 0);
-        this.ctx.lineTo(0, this.canvas.height);
+        this.ctx.lineTo(0, this.height);
         this.ctx.stroke();
         
         this.ctx.beginPath();
-        this.ctx.moveTo(this.canvas.width, 0);
-        this.ctx.lineTo(this.canvas.width, this.canvas.height);
+        this.ctx.moveTo(this.width, 0);
+        this.ctx.lineTo(this.width, this.height);
         this.ctx.stroke();
         
         this.ctx.lineWidth = 1;
@@ -1067,19 +1323,21 @@ export class GameEngine {
     
     /**
      * Draw obstacles
+     * @param {number} alpha - Interpolation factor between simulation steps
      */
-    drawObstacles() {
+    drawObstacles(alpha = 1) {
         for (const obstacle of this.obstacles) {
-            obstacle.draw(this.ctx, this.assets);
+            obstacle.draw(this.ctx, this.assets, alpha);
         }
     }
     
     /**
      * Draw power-ups
+     * @param {number} alpha - Interpolation factor between simulation steps
      */
-    drawPowerUps() {
+    drawPowerUps(alpha = 1) {
         for (const powerUp of this.powerUps) {
-            powerUp.draw(this.ctx, this.assets);
+            powerUp.draw(this.ctx, this.assets, alpha);
         }
     }
     
@@ -1123,6 +1381,20 @@ export class GameEngine {
         if (newLivesDisplay) {
             newLivesDisplay.textContent = this.player ? this.player.lives : GAME_CONFIG.STARTING_LIVES;
         }
+        
+        // Lives only count in classic mode; otherwise the car's health does
+        if (this.ui.healthStat) {
+            const health = this.player ? this.player.health : GAME_CONFIG.MAX_HEALTH;
+            const percent = Math.ceil(health / GAME_CONFIG.MAX_HEALTH * 100);
+            const damageState = this.player ? this.player.getDamageState() : 'intact';
+            
+            this.ui.livesStat.classList.toggle('hidden', !this.rules.lives);
+            this.ui.healthStat.classList.toggle('hidden', this.rules.lives);
+            this.ui.healthStat.classList.toggle('smoking', damageState === 'smoking');
+            this.ui.healthStat.classList.toggle('heavy', damageState === 'heavy');
+            this.ui.healthDisplay.textContent = `${percent}%`;
+            this.ui.healthMeter.style.width = `${percent}%`;
+        }
     }
     
     /**
@@ -1132,36 +1404,29 @@ export class GameEngine {
         this.ui.highScoreDisplay.textContent = formatNumber(this.highScore);
     }
     
+    /**
+     * Read the high score, missions and achievements of the profile just
+     * switched to. The last run belonged to the previous profile, so its
+     * replay is dropped.
+     */
+    loadProfile() {
+        this.highScore = loadData('highScore', 0);
+        this.lastReplay = null;
+        this.missions.load();
+        this.achievements.load();
+        this.updateHighScoreDisplay();
+    }
+    
     /**
      * Handle player input
-     * @param {string} input - Input type: 'left', 'right', 'accelerate', 'decelerate'
+     * @param {string} input - Input type: 'left', 'right', 'accelerate', 'decelerate', 'brake', 'releaseBrake'
      */
     handleInput(input) {
-        if (this.state !== GAME_STATES.PLAYING || !this.player) return;
+        if (this.state !== GAME_STATES.PLAYING) return;
         
-        switch (input) {
-            case 'left':
-                this.player.moveLeft();
-                if (this.sfxEnabled && this.assets && this.assets.audio.lane_change) {
-                    this.assets.audio.lane_change.play();
-                }
-                break;
-                
-            case 'right':
-                this.player.moveRight();
-                if (this.sfxEnabled && this.assets && this.assets.audio.lane_change) {
-                    this.assets.audio.lane_change.play();
-                }
-                break;
-                
-            case 'accelerate':
-                this.player.accelerate();
-                break;
-                
-            case 'decelerate':
-                this.player.decelerate();
-                break;
-        }
+        // Inputs apply before the next simulation step, which is where the replay feeds them back
+        this.recorder.record(this.stepCount, input);
+        super.handleInput(input);
     }
     
     /**
@@ -1189,6 +1454,125 @@ export class GameEngine {
         }
     }
     
+    /**
+     * Show the active power-up effects
+     */
+    updatePowerUpHud() {
+        this.powerUpHud.render(this.effects.getActive());
+    }
+    
+    /**
+     * Show the combo multiplier and how long until it decays
+     */
+    updateComboDisplay() {
+        if (!this.ui.comboStat || this.isSeeking) return;
+        
+        const multiplier = this.combo.getMultiplier();
+        const percent = Math.round(this.combo.getTimeLeft() * 100);
+        const state = `${multiplier}|${percent}`;
+        if (state === this.comboState) return;
+        this.comboState = state;
+        
+        this.ui.comboStat.classList.toggle('hidden', this.combo.count === 0);
+        this.ui.comboDisplay.textContent = `x${multiplier}`;
+        this.ui.comboMeter.style.width = `${percent}%`;
+    }
+    
+    /**
+     * Puff smoke from a damaged car, and throw sparks once the damage is heavy
+     * @param {number} delta - Step length in seconds
+     */
+    updateDamageEffects(delta) {
+        const damageState = this.player.getDamageState();
+        if (damageState === 'intact') return;
+        
+        this.damageEffectTime += delta * 1000;
+        if (this.damageEffectTime < DAMAGE_EFFECT_INTERVAL) return;
+        this.damageEffectTime = 0;
+        
+        // From under the bonnet, which is the top of the car as it drives up the screen
+        const x = this.player.x + this.player.width / 2;
+        const y = this.player.y + this.player.height * 0.25;
+        this.particleSystem.explosion(x, y, PARTICLE_CONFIG.smoke);
+        if (damageState === 'heavy') {
+            this.particleSystem.explosion(x, y, PARTICLE_CONFIG.sparks);
+        }
+    }
+    
+    /**
+     * Update the fuel gauge, shown only in runs with the fuel rule
+     */
+    updateFuelDisplay() {
+        if (!this.ui.fuelStat || this.isSeeking) return;
+        
+        const percent = Math.ceil(this.player.fuel / GAME_CONFIG.FUEL_CAPACITY * 100);
+        const state = `${this.rules.fuel}|${percent}`;
+        if (state === this.fuelState) return;
+        this.fuelState = state;
+        
+        this.ui.fuelStat.classList.toggle('hidden', !this.rules.fuel);
+        this.ui.fuelStat.classList.toggle('low', this.player.fuel < GAME_CONFIG.FUEL_LOW_LEVEL);
+        this.ui.fuelDisplay.textContent = `${percent}%`;
+        this.ui.fuelGauge.style.width = `${percent}%`;
+    }
+    
+    /**
+     * Update the time trial clock and the distance to the next checkpoint,
+     * shown only in the time trial mode
+     */
+    updateTimeTrialDisplay() {
+        if (!this.ui.timeTrialStat || this.isSeeking) return;
+        
+        const timeTrial = this.timeTrial;
+        const tenths = timeTrial ? Math.ceil(timeTrial.timeLeft / 100) : 0;
+        const metresLeft = timeTrial ? Math.max(0, Math.ceil(timeTrial.getNextCheckpointDistance() - timeTrial.getDistance())) : 0;
+        const state = `${this.mode}|${tenths}|${metresLeft}`;
+        if (state === this.timeTrialState) return;
+        this.timeTrialState = state;
+        
+        this.ui.timeTrialStat.classList.toggle('hidden', !timeTrial);
+        if (!timeTrial) return;
+        
+        const isLastLeg = timeTrial.checkpoint >= timeTrial.getCheckpointCount();
+        this.ui.timeTrialStat.classList.toggle('low', timeTrial.timeLeft < GAME_CONFIG.TIME_TRIAL_LOW_TIME);
+        this.ui.timeLeftDisplay.textContent = `${(tenths / 10).toFixed(1)}s`;
+        this.ui.checkpointDisplay.textContent = isLastLeg ?
+            `Finish in ${formatNumber(metresLeft)} m` :
+            `Checkpoint ${timeTrial.checkpoint + 1}/${timeTrial.getCheckpointCount()} in ${formatNumber(metresLeft)} m`;
+    }
+    
+    /**
+     * Show how far ahead of or behind the ghost the player is
+     */
+    updateGhostDisplay() {
+        if (!this.ui.ghostStat) return;
+        
+        this.ui.ghostStat.classList.toggle('hidden', !this.ghost);
+        if (!this.ghost) return;
+        
+        const delta = this.score - this.ghost.getScore();
+        if (delta === this.ghostDelta) return;
+        this.ghostDelta = delta;
+        
+        this.ui.ghostDisplay.textContent = `${delta >= 0 ? '+' : '-'}${formatNumber(Math.abs(delta))}`;
+        this.ui.ghostDisplay.classList.toggle('ghost-ahead', delta >= 0);
+        this.ui.ghostDisplay.classList.toggle('ghost-behind', delta < 0);
+    }
+    
+    /**
+     * Toggle the ghost car
+     * @param {boolean} enabled - Whether to race against the best previous run
+     */
+    toggleGhost(enabled) {
+        this.ghostEnabled = enabled;
+        
+        // Turning the ghost on takes effect from the next run
+        if (!enabled) {
+            this.ghost = null;
+            this.updateGhostDisplay();
+        }
+    }
+    
     /**
      * Toggle sound effects enabled state
      * @param {boolean} enabled - Whether sound effects should be enabled
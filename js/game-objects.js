@@ -1,6 +1,8 @@
 // Game objects classes
-import { GAME_CONFIG, OBSTACLE_TYPES, POWER_UP_TYPES, PARTICLE_CONFIG } from './constants.js';
-import { checkCollision } from './utility.js';
+import { GAME_CONFIG, PARTICLE_CONFIG } from './constants.js';
+import { getObstacleTypes, getObstacleType, getRandomPowerUpTypes, getPowerUpType } from './registry.js';
+import { checkCollision, clamp, lerp } from './utility.js';
+import { SeededRandom } from './random.js';
 
 /**
  * Base class for all game objects
@@ -13,6 +15,63 @@ export class GameObject {
         this.height = height;
         this.color = color;
         this.markedForDeletion = false;
+        
+        // Position at the start of the current simulation step, for interpolated drawing
+        this.prevX = x;
+        this.prevY = y;
+    }
+    
+    /**
+     * Remember the current position as the start of the next simulation step
+     */
+    storePreviousPosition() {
+        this.prevX = this.x;
+        this.prevY = this.y;
+    }
+    
+    /**
+     * Get the position to draw at, interpolated between the last two simulation steps
+     * @param {number} alpha - Interpolation factor (0-1) between previous and current step
+     * @returns {{x: number, y: number}} Render position
+     */
+    getRenderPosition(alpha = 1) {
+        return {
+            x: lerp(this.prevX, this.x, alpha),
+            y: lerp(this.prevY, this.y, alpha)
+        };
+    }
+    
+    /**
+     * Get the names of the fields saved in a snapshot of this object
+     * @returns {string[]} Field names
+     */
+    getSnapshotFields() {
+        return ['x', 'y'];
+    }
+    
+    /**
+     * Capture the object's state as a plain object
+     * @returns {Object} Snapshot of the object
+     */
+    toSnapshot() {
+        const snapshot = {};
+        this.getSnapshotFields().forEach(field => {
+            snapshot[field] = this[field];
+        });
+        return snapshot;
+    }
+    
+    /**
+     * Restore state captured by toSnapshot()
+     * @param {Object} snapshot - Snapshot of the object
+     */
+    restoreSnapshot(snapshot) {
+        this.getSnapshotFields().forEach(field => {
+            if (snapshot[field] !== undefined) {
+                this[field] = snapshot[field];
+            }
+        });
+        this.storePreviousPosition();
     }
     
     /**
@@ -35,10 +94,13 @@ export class GameObject {
     /**
      * Draw game object
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Object} assets - Game assets
+     * @param {number} alpha - Interpolation factor between simulation steps
      */
-    draw(ctx) {
+    draw(ctx, assets, alpha = 1) {
+        const { x, y } = this.getRenderPosition(alpha);
         ctx.fillStyle = this.color;
-        ctx.fillRect(this.x, this.y, this.width, this.height);
+        ctx.fillRect(x, y, this.width, this.height);
     }
 }
 
@@ -61,18 +123,46 @@ export class Player extends GameObject {
         this.laneChangeSpeed = 10; // Speed of lane change animation
         this.baseX = x; // Starting X position for reference
         this.speed = GAME_CONFIG.BASE_GAME_SPEED;
+        this.cruiseSpeed = GAME_CONFIG.BASE_GAME_SPEED; // Speed the car settles at off the throttle and brakes
         this.isAccelerating = false;
+        this.isBraking = false;
+        this.fuel = GAME_CONFIG.FUEL_CAPACITY; // Only burnt when the fuel rule is on
+        this.health = GAME_CONFIG.MAX_HEALTH; // Only lost when the classic (lives) rule is off
         this.lives = GAME_CONFIG.STARTING_LIVES;
         this.invincible = false;
         this.invincibleTime = 0;
         this.hasShield = false;
-        this.power = null;
-        this.powerUpTime = 0;
         
         // Visual effects
         this.blinkInterval = 200; // ms
         this.lastBlinkTime = 0;
         this.visible = true;
+        this.isGhost = false; // Drawn translucent as a replay of a previous run
+    }
+    
+    /**
+     * Rebuild a player from a snapshot
+     * @param {Object} snapshot - Snapshot from toSnapshot()
+     * @param {number} laneWidth - Width of a lane in pixels
+     * @param {number} gameHeight - Height of the game area
+     * @returns {Player} The restored player
+     */
+    static fromSnapshot(snapshot, laneWidth, gameHeight) {
+        const player = new Player(laneWidth, gameHeight);
+        player.restoreSnapshot(snapshot);
+        return player;
+    }
+    
+    /**
+     * Get the names of the fields saved in a snapshot of the player
+     * @returns {string[]} Field names
+     */
+    getSnapshotFields() {
+        return [
+            ...super.getSnapshotFields(),
+            'lane', 'targetLane', 'speed', 'cruiseSpeed', 'isAccelerating', 'isBraking', 'fuel', 'health', 'lives',
+            'invincible', 'invincibleTime', 'hasShield', 'lastBlinkTime', 'visible'
+        ];
     }
     
     /**
@@ -102,45 +192,160 @@ export class Player extends GameObject {
     }
     
     /**
-     * Make player accelerate
+     * Set the speed the car settles at off the throttle and brakes
+     * @param {number} cruiseSpeed - New cruise speed
+     */
+    setCruiseSpeed(cruiseSpeed) {
+        this.cruiseSpeed = cruiseSpeed;
+    }
+    
+    /**
+     * Open the throttle
      */
     accelerate() {
         this.isAccelerating = true;
-        this.speed = Math.min(this.speed * 1.5, GAME_CONFIG.MAX_GAME_SPEED);
     }
     
     /**
-     * Make player decelerate
+     * Release the throttle, letting drag slow the car back to cruise speed
      */
     decelerate() {
         this.isAccelerating = false;
-        this.speed = GAME_CONFIG.BASE_GAME_SPEED;
     }
     
     /**
-     * Apply a power-up to the player
-     * @param {string} powerType - Type of power-up
-     * @param {number} duration - Duration in milliseconds
-     */
-    applyPowerUp(powerType, duration = 5000) {
-        this.power = powerType;
-        this.powerUpTime = duration;
-        
-        switch (powerType) {
-            case 'invincibility':
-                this.invincible = true;
-                this.hasShield = true;
-                break;
-            case 'slowMotion':
-                // Handled in game logic
-                break;
-            case 'addLife':
-                this.lives = Math.min(this.lives + 1, 5); // Max 5 lives
-                break;
-            case 'doubleScore':
-                // Handled in game logic
-                break;
+     * Apply the brakes
+     */
+    brake() {
+        this.isBraking = true;
+    }
+    
+    /**
+     * Release the brakes, letting the car pick up to cruise speed again
+     */
+    releaseBrake() {
+        this.isBraking = false;
+    }
+    
+    /**
+     * Burn fuel for a stretch of road; faster driving burns more per pixel
+     * @param {number} distance - Distance driven in pixels
+     */
+    burnFuel(distance) {
+        const rate = GAME_CONFIG.FUEL_BURN_RATE * (1 + GAME_CONFIG.FUEL_SPEED_PENALTY * this.speed);
+        this.fuel = Math.max(0, this.fuel - distance * rate);
+    }
+    
+    /**
+     * Add fuel, up to the tank's capacity
+     * @param {number} amount - Fuel to add
+     */
+    refuel(amount) {
+        this.fuel = Math.min(this.fuel + amount, GAME_CONFIG.FUEL_CAPACITY);
+    }
+    
+    /**
+     * Whether the tank is empty
+     * @returns {boolean} True once the fuel has run out
+     */
+    isOutOfFuel() {
+        return this.fuel <= 0;
+    }
+    
+    /**
+     * How badly heavy damage is hurting the car
+     * @returns {number} 0 at or above HEAVY_DAMAGE_HEALTH, rising to 1 at zero health
+     */
+    getDamagePenalty() {
+        return clamp(1 - this.health / GAME_CONFIG.HEAVY_DAMAGE_HEALTH, 0, 1);
+    }
+    
+    /**
+     * Visible damage state of the car
+     * @returns {string} 'intact', 'smoking' or 'heavy'
+     */
+    getDamageState() {
+        if (this.health < GAME_CONFIG.HEAVY_DAMAGE_HEALTH) return 'heavy';
+        if (this.health < GAME_CONFIG.SMOKE_HEALTH) return 'smoking';
+        return 'intact';
+    }
+    
+    /**
+     * Top speed, cut by heavy damage
+     * @returns {number} Highest speed the car can reach
+     */
+    getTopSpeed() {
+        return GAME_CONFIG.MAX_GAME_SPEED * lerp(1, GAME_CONFIG.DAMAGED_TOP_SPEED, this.getDamagePenalty());
+    }
+    
+    /**
+     * Lane change speed, cut by heavy damage
+     * @returns {number} Rate at which the car closes on its target lane
+     */
+    getSteering() {
+        return this.laneChangeSpeed * lerp(1, GAME_CONFIG.DAMAGED_STEERING, this.getDamagePenalty());
+    }
+    
+    /**
+     * Lose health in a crash, then stay briefly invincible like after losing a life
+     * @param {number} amount - Health to lose
+     * @returns {boolean} Whether the car was wrecked
+     */
+    applyDamage(amount) {
+        if (this.invincible) return false;
+        
+        this.health = Math.max(0, this.health - amount);
+        
+        if (this.health <= 0) {
+            return true; // Car wrecked
         }
+        
+        this.invincible = true;
+        this.invincibleTime = GAME_CONFIG.INVINCIBILITY_DURATION;
+        return false;
+    }
+    
+    /**
+     * Restore health, up to full
+     * @param {number} amount - Health to restore
+     */
+    repair(amount) {
+        this.health = Math.min(this.health + amount, GAME_CONFIG.MAX_HEALTH);
+    }
+    
+    /**
+     * Acceleration from the engine, which tapers off as the car nears top speed
+     * @param {number} rate - Acceleration from a standstill, in speed per second
+     * @returns {number} Acceleration at the current speed
+     */
+    getAcceleration(rate) {
+        return rate * Math.max(0, 1 - this.speed / this.getTopSpeed());
+    }
+    
+    /**
+     * Advance the speed by one step: the brakes win over the throttle, and
+     * with neither the car drifts towards its cruise speed. With an empty tank
+     * the engine gives nothing and the car coasts to a stop.
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    updateSpeed(deltaTime) {
+        if (this.isOutOfFuel()) {
+            const deceleration = this.isBraking ? GAME_CONFIG.BRAKE_DECELERATION : GAME_CONFIG.COAST_DECELERATION;
+            this.speed = Math.max(0, this.speed - deceleration * deltaTime);
+        } else if (this.isBraking) {
+            const floor = Math.min(this.speed, GAME_CONFIG.MIN_BRAKE_SPEED);
+            this.speed = Math.max(floor, this.speed - GAME_CONFIG.BRAKE_DECELERATION * deltaTime);
+        } else if (this.isAccelerating) {
+            this.speed += this.getAcceleration(GAME_CONFIG.THROTTLE_ACCELERATION) * deltaTime;
+        } else if (this.speed > this.cruiseSpeed) {
+            const drag = (this.speed - this.cruiseSpeed) * GAME_CONFIG.DRAG * deltaTime;
+            this.speed = Math.max(this.cruiseSpeed, this.speed - drag);
+        } else {
+            const acceleration = this.getAcceleration(GAME_CONFIG.CRUISE_ACCELERATION) * deltaTime;
+            this.speed = Math.min(this.cruiseSpeed, this.speed + acceleration);
+        }
+        
+        this.speed = Math.min(this.speed, this.getTopSpeed());
     }
     
     /**
@@ -167,20 +372,22 @@ export class Player extends GameObject {
      * @param {number} deltaTime - Time since last update in seconds
      */
     update(deltaTime) {
+        this.updateSpeed(deltaTime);
+        
         // Smooth lane transition
         const targetX = this.laneWidth * this.targetLane + (this.laneWidth - this.width) / 2;
         const dx = targetX - this.x;
         
         if (Math.abs(dx) > 0.1) {
-            this.x += dx * this.laneChangeSpeed * deltaTime;
+            this.x += dx * this.getSteering() * deltaTime;
         } else {
             this.x = targetX;
             this.lane = this.targetLane;
         }
         
-        // Update invincibility
+        // Update invincibility (a shield keeps it on until the shield expires)
         if (this.invincible) {
-            if (this.power !== 'invincibility') {
+            if (!this.hasShield) {
                 this.invincibleTime -= deltaTime * 1000;
                 
                 if (this.invincibleTime <= 0) {
@@ -196,59 +403,43 @@ export class Player extends GameObject {
                 }
             }
         }
-        
-        // Update power-up timer
-        if (this.power) {
-            this.powerUpTime -= deltaTime * 1000;
-            
-            if (this.powerUpTime <= 0) {
-                // Remove power-up effects
-                switch (this.power) {
-                    case 'invincibility':
-                        this.invincible = false;
-                        this.hasShield = false;
-                        break;
-                    case 'slowMotion':
-                        // Handled in game logic
-                        break;
-                    case 'doubleScore':
-                        // Handled in game logic
-                        break;
-                }
-                
-                this.power = null;
-                this.visible = true;
-            }
-        }
     }
     
     /**
      * Draw the player
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
      * @param {Object} assets - Game assets
+     * @param {number} alpha - Interpolation factor between simulation steps
      */
-    draw(ctx, assets) {
+    draw(ctx, assets, alpha = 1) {
         if (!this.visible) return;
         
+        const { x, y } = this.getRenderPosition(alpha);
+        
+        ctx.save();
+        if (this.isGhost) {
+            ctx.globalAlpha = 0.35;
+        }
+        
         // Use sprite if available
         if (assets && assets.images.player_car) {
-            ctx.drawImage(assets.images.player_car, this.x, this.y, this.width, this.height);
+            ctx.drawImage(assets.images.player_car, x, y, this.width, this.height);
         } else {
             // Fallback to basic drawing
             // Car body
             ctx.fillStyle = this.color;
-            ctx.fillRect(this.x, this.y, this.width, this.height);
+            ctx.fillRect(x, y, this.width, this.height);
             
             // Windows
             ctx.fillStyle = '#87CEEB';
-            ctx.fillRect(this.x + 5, this.y + 5, this.width - 10, this.height * 0.3);
+            ctx.fillRect(x + 5, y + 5, this.width - 10, this.height * 0.3);
             
             // Wheels
             ctx.fillStyle = '#000';
-            ctx.fillRect(this.x - 5, this.y + 10, 5, 20);
-            ctx.fillRect(this.x - 5, this.y + this.height - 30, 5, 20);
-            ctx.fillRect(this.x + this.width, this.y + 10, 5, 20);
-            ctx.fillRect(this.x + this.width, this.y + this.height - 30, 5, 20);
+            ctx.fillRect(x - 5, y + 10, 5, 20);
+            ctx.fillRect(x - 5, y + this.height - 30, 5, 20);
+            ctx.fillRect(x + this.width, y + 10, 5, 20);
+            ctx.fillRect(x + this.width, y + this.height - 30, 5, 20);
         }
         
         // Draw speed effect when accelerating
@@ -256,20 +447,27 @@ export class Player extends GameObject {
             ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
             ctx.setLineDash([5, 15]);
             ctx.beginPath();
-            ctx.moveTo(this.x + this.width / 2, this.y + this.height);
-            ctx.lineTo(this.x + this.width / 2, this.y + this.height + 30);
+            ctx.moveTo(x + this.width / 2, y + this.height);
+            ctx.lineTo(x + this.width / 2, y + this.height + 30);
             ctx.stroke();
             ctx.setLineDash([]);
         }
         
+        // Draw brake lights when braking
+        if (this.isBraking) {
+            ctx.fillStyle = '#ff2a2a';
+            ctx.fillRect(x + 3, y + this.height - 4, 8, 4);
+            ctx.fillRect(x + this.width - 11, y + this.height - 4, 8, 4);
+        }
+        
         // Draw shield effect if active
         if (this.hasShield) {
             ctx.strokeStyle = 'rgba(255, 215, 0, 0.7)';
             ctx.lineWidth = 2;
             ctx.beginPath();
             ctx.arc(
-                this.x + this.width / 2,
-                this.y + this.height / 2,
+                x + this.width / 2,
+                y + this.height / 2,
                 Math.max(this.width, this.height) * 0.7,
                 0,
                 Math.PI * 2
@@ -277,6 +475,8 @@ export class Player extends GameObject {
             ctx.stroke();
             ctx.lineWidth = 1;
         }
+        
+        ctx.restore();
     }
 }
 
@@ -284,18 +484,37 @@ export class Player extends GameObject {
  * Obstacle class
  */
 export class Obstacle extends GameObject {
-    constructor(lane, laneWidth, type) {
-        const obstacleType = type || OBSTACLE_TYPES[Math.floor(Math.random() * OBSTACLE_TYPES.length)];
+    /**
+     * @param {number} lane - Lane index
+     * @param {number} laneWidth - Width of a lane in pixels
+     * @param {Object} type - Optional registered obstacle definition
+     * @param {SeededRandom} rng - Random number generator for type and speed
+     */
+    constructor(lane, laneWidth, type, rng = new SeededRandom()) {
+        const obstacleType = type || rng.pick(getObstacleTypes());
         const x = lane * laneWidth + (laneWidth - obstacleType.width) / 2;
         const y = -obstacleType.height;
         
         super(x, y, obstacleType.width, obstacleType.height, obstacleType.color);
         
-        this.lane = lane;
+        this.definition = obstacleType;
+        this.laneWidth = laneWidth;
+        this.lane = lane; // Lane it is in, or heading for during a lane change
         this.type = obstacleType.type;
-        this.speed = (1 + Math.random() * 0.5);
+        this.speed = rng.range(obstacleType.minSpeed, obstacleType.maxSpeed);
+        this.cruiseSpeed = this.speed; // Speed it returns to when not braking
         this.points = obstacleType.points;
         this.sprite = obstacleType.sprite;
+        this.nearMiss = null; // 'pass' or 'laneChange' once the player has only just missed it
+        this.nearMissScored = false;
+        
+        // Traffic behaviour, driven by TrafficController
+        this.fromLane = null; // Lane being left during a lane change
+        this.signal = 0; // -1 signalling left, 1 signalling right
+        this.signalTime = 0; // Milliseconds since the signal came on
+        this.laneChangeSpeed = 0; // Pixels per second sideways
+        this.isBraking = false;
+        this.keepsLane = false; // Set for obstacles placed by an authored pattern
         
         // Adjust hitbox for more forgiving collisions
         if (obstacleType.hitboxAdjustment) {
@@ -310,6 +529,71 @@ export class Obstacle extends GameObject {
         }
     }
     
+    /**
+     * Rebuild an obstacle from a snapshot
+     * @param {Object} snapshot - Snapshot from toSnapshot()
+     * @param {number} laneWidth - Width of a lane in pixels
+     * @returns {Obstacle} The restored obstacle
+     */
+    static fromSnapshot(snapshot, laneWidth) {
+        const obstacle = new Obstacle(snapshot.lane, laneWidth, getObstacleType(snapshot.type));
+        obstacle.restoreSnapshot(snapshot);
+        return obstacle;
+    }
+    
+    /**
+     * Get the names of the fields saved in a snapshot of the obstacle
+     * @returns {string[]} Field names
+     */
+    getSnapshotFields() {
+        return [
+            ...super.getSnapshotFields(),
+            'lane', 'type', 'speed', 'cruiseSpeed', 'nearMiss', 'nearMissScored',
+            'fromLane', 'signal', 'signalTime', 'laneChangeSpeed', 'isBraking', 'keepsLane'
+        ];
+    }
+    
+    /**
+     * Whether the obstacle is moving over to another lane
+     * @returns {boolean} True during a lane change
+     */
+    isChangingLane() {
+        return this.fromLane !== null;
+    }
+    
+    /**
+     * Whether the obstacle takes up any of a lane (both lanes count during a lane change)
+     * @param {number} lane - Lane index
+     * @returns {boolean} True if the obstacle is in the lane
+     */
+    occupiesLane(lane) {
+        return this.lane === lane || this.fromLane === lane;
+    }
+    
+    /**
+     * Start moving over to a neighbouring lane
+     * @param {number} lane - Lane to move to
+     * @param {number} speed - Sideways speed in pixels per second
+     */
+    startLaneChange(lane, speed) {
+        this.fromLane = this.lane;
+        this.lane = lane;
+        this.laneChangeSpeed = speed;
+    }
+    
+    /**
+     * Restore state captured by toSnapshot(), keeping the hitbox in place
+     * @param {Object} snapshot - Snapshot of the obstacle
+     */
+    restoreSnapshot(snapshot) {
+        super.restoreSnapshot(snapshot);
+        
+        if (this.hitbox !== this) {
+            this.hitbox.x = this.x;
+            this.hitbox.y = this.y;
+        }
+    }
+    
     /**
      * Update obstacle position
      * @param {number} deltaTime - Time since last update in seconds
@@ -320,6 +604,21 @@ export class Obstacle extends GameObject {
     update(deltaTime, playerSpeed, gameHeight, timeScale = 1) {
         this.y += this.speed * playerSpeed * GAME_CONFIG.BASE_SPEED_FACTOR * deltaTime * timeScale;
         
+        // Steer into the new lane during a lane change, switching the signal off on arrival
+        if (this.isChangingLane()) {
+            const targetX = this.lane * this.laneWidth + (this.laneWidth - this.width) / 2;
+            const step = this.laneChangeSpeed * deltaTime * timeScale;
+            
+            if (Math.abs(targetX - this.x) <= step) {
+                this.x = targetX;
+                this.fromLane = null;
+                this.signal = 0;
+                this.signalTime = 0;
+            } else {
+                this.x += Math.sign(targetX - this.x) * step;
+            }
+        }
+        
         // Update hitbox position
         if (this.hitbox !== this) {
             this.hitbox.x = this.x;
@@ -336,40 +635,78 @@ export class Obstacle extends GameObject {
      * Draw the obstacle
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
      * @param {Object} assets - Game assets
+     * @param {number} alpha - Interpolation factor between simulation steps
      */
-    draw(ctx, assets) {
+    draw(ctx, assets, alpha = 1) {
+        const { x, y } = this.getRenderPosition(alpha);
+        
         // Use sprite if available
-        if (assets && assets.images[this.type]) {
-            ctx.drawImage(assets.images[this.type], this.x, this.y, this.width, this.height);
+        if (assets && assets.images[this.sprite]) {
+            ctx.drawImage(assets.images[this.sprite], x, y, this.width, this.height);
         } else {
             // Fallback to basic drawing
             ctx.fillStyle = this.color;
-            ctx.fillRect(this.x, this.y, this.width, this.height);
+            ctx.fillRect(x, y, this.width, this.height);
             
             // Add some details to obstacles
             ctx.fillStyle = '#000';
-            ctx.fillRect(this.x + this.width * 0.1, this.y + this.height * 0.1, this.width * 0.8, this.height * 0.2);
-            ctx.fillRect(this.x + this.width * 0.1, this.y + this.height * 0.7, this.width * 0.8, this.height * 0.2);
+            ctx.fillRect(x + this.width * 0.1, y + this.height * 0.1, this.width * 0.8, this.height * 0.2);
+            ctx.fillRect(x + this.width * 0.1, y + this.height * 0.7, this.width * 0.8, this.height * 0.2);
         }
         
+        this.drawLights(ctx, x, y);
+        
         // Debug: draw hitbox
         // ctx.strokeStyle = 'rgba(255, 0, 0, 0.5)';
         // ctx.strokeRect(this.hitbox.x, this.hitbox.y, this.hitbox.width, this.hitbox.height);
     }
+    
+    /**
+     * Draw the brake lights and blinking turn signal of a vehicle
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} x - Draw position
+     * @param {number} y - Draw position
+     */
+    drawLights(ctx, x, y) {
+        if (!this.isBraking && !this.signal) return;
+        
+        const size = 6;
+        const rearY = y + this.height - size;
+        
+        if (this.isBraking) {
+            ctx.fillStyle = '#ff1a1a';
+            ctx.fillRect(x + 2, rearY, size + 2, size);
+            ctx.fillRect(x + this.width - size - 4, rearY, size + 2, size);
+        }
+        
+        // Blink on game time, so the signal freezes with the game when paused
+        if (this.signal && Math.floor(this.signalTime / 250) % 2 === 0) {
+            const signalX = this.signal < 0 ? x : x + this.width - size;
+            ctx.fillStyle = '#ffb000';
+            ctx.fillRect(signalX, y, size, size);
+            ctx.fillRect(signalX, rearY, size, size);
+        }
+    }
 }
 
 /**
  * Power-up class
  */
 export class PowerUp extends GameObject {
-    constructor(lane, laneWidth, typeOverride = null) {
+    /**
+     * @param {number} lane - Lane index
+     * @param {number} laneWidth - Width of a lane in pixels
+     * @param {string} typeOverride - Optional power-up type to force
+     * @param {SeededRandom} rng - Random number generator for type selection
+     */
+    constructor(lane, laneWidth, typeOverride = null, rng = new SeededRandom()) {
         // Select a power-up type, allowing for an override to force specific types
         let powerUpType;
         if (typeOverride) {
-            powerUpType = POWER_UP_TYPES.find(p => p.type === typeOverride) || 
-                          POWER_UP_TYPES[Math.floor(Math.random() * POWER_UP_TYPES.length)];
+            powerUpType = getPowerUpType(typeOverride) || 
+                          rng.pick(getRandomPowerUpTypes());
         } else {
-            powerUpType = POWER_UP_TYPES[Math.floor(Math.random() * POWER_UP_TYPES.length)];
+            powerUpType = rng.pick(getRandomPowerUpTypes());
         }
         
         // Calculate size and position
@@ -380,10 +717,10 @@ export class PowerUp extends GameObject {
         
         super(x, y, width, height, powerUpType.color);
         
+        this.definition = powerUpType;
         this.lane = lane;
         this.type = powerUpType.type;
-        this.effect = powerUpType.effect;
-        this.duration = powerUpType.duration || 0;
+        this.duration = powerUpType.duration;
         this.sprite = powerUpType.sprite;
         this.pulseDirection = 1;
         this.pulseAmount = 0;
@@ -408,7 +745,7 @@ export class PowerUp extends GameObject {
             this.height += 5;
             
             // Custom trail particles
-            this.lastTrailTime = 0;
+            this.trailTimer = 0;
             this.trailInterval = 100; // ms between trail particles
             
             // Distinctive colors
@@ -420,6 +757,30 @@ export class PowerUp extends GameObject {
         }
     }
     
+    /**
+     * Rebuild a power-up from a snapshot
+     * @param {Object} snapshot - Snapshot from toSnapshot()
+     * @param {number} laneWidth - Width of a lane in pixels
+     * @returns {PowerUp} The restored power-up
+     */
+    static fromSnapshot(snapshot, laneWidth) {
+        const powerUp = new PowerUp(snapshot.lane, laneWidth, snapshot.type);
+        powerUp.restoreSnapshot(snapshot);
+        return powerUp;
+    }
+    
+    /**
+     * Get the names of the fields saved in a snapshot of the power-up
+     * @returns {string[]} Field names
+     */
+    getSnapshotFields() {
+        return [
+            ...super.getSnapshotFields(),
+            'lane', 'type', 'pulseDirection', 'pulseAmount', 'spinAngle',
+            'glowOpacity', 'glowDirection', 'trailTimer'
+        ];
+    }
+    
     /**
      * Update power-up
      * @param {number} deltaTime - Time since last update in seconds
@@ -464,12 +825,14 @@ export class PowerUp extends GameObject {
             }
         }
         
-        // Trail particles for important power-ups
-        if ((this.type === 'shield' || this.type === 'extraLife') && 
-            Date.now() - this.lastTrailTime > this.trailInterval) {
-            // We can't directly create particles here, but we can flag for creation
-            this.shouldCreateTrail = true;
-            this.lastTrailTime = Date.now();
+        // Trail particles for important power-ups, timed on game time
+        if (this.type === 'shield' || this.type === 'extraLife') {
+            this.trailTimer += scaledDelta * 1000;
+            if (this.trailTimer > this.trailInterval) {
+                // We can't directly create particles here, but we can flag for creation
+                this.shouldCreateTrail = true;
+                this.trailTimer = 0;
+            }
         }
         
         // Mark for deletion if off screen
@@ -482,8 +845,11 @@ export class PowerUp extends GameObject {
      * Draw the power-up
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
      * @param {Object} assets - Game assets
+     * @param {number} alpha - Interpolation factor between simulation steps
      */
-    draw(ctx, assets) {
+    draw(ctx, assets, alpha = 1) {
+        const { x, y } = this.getRenderPosition(alpha);
+        
         ctx.save();
         
         // Enhanced glow effect for shield and extra life
@@ -500,8 +866,8 @@ export class PowerUp extends GameObject {
             // Draw halo around important power-ups
             ctx.beginPath();
             ctx.arc(
-                this.x + this.width / 2,
-                this.y + this.height / 2,
+                x + this.width / 2,
+                y + this.height / 2,
                 this.width * 0.75 + this.pulseAmount,
                 0,
                 Math.PI * 2
@@ -515,17 +881,12 @@ export class PowerUp extends GameObject {
         }
         
         // Translate to center of the power-up for rotation
-        ctx.translate(this.x + this.width / 2, this.y + this.height / 2);
+        ctx.translate(x + this.width / 2, y + this.height / 2);
         ctx.rotate(this.spinAngle);
         
-        // Get sprite based on type
-        const spriteKey = this.type === 'shield' ? 'shield' : 
-                         this.type === 'slowTime' ? 'clock' :
-                         this.type === 'extraLife' ? 'heart' : 'coin';
-        
         // Draw sprite if available, otherwise draw a colored rectangle
-        if (assets && assets.images && assets.images[spriteKey]) {
-            const sprite = assets.images[spriteKey];
+        if (assets && assets.images && assets.images[this.sprite]) {
+            const sprite = assets.images[this.sprite];
             ctx.drawImage(
                 sprite,
                 -this.width / 2 - this.pulseAmount / 2,
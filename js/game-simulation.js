@@ -0,0 +1,1048 @@
+// Game simulation core (no DOM, canvas or audio, so it also runs under Node)
+import { GAME_CONFIG, DIFFICULTY_PRESETS, DEFAULT_RULES, DEFAULT_MODIFIERS, GAME_MODES, TIME_TRIAL_COURSES } from './constants.js';
+import { Player, Obstacle, PowerUp } from './game-objects.js';
+import { getObstacleType, getRandomPowerUpTypes, getPowerUpType } from './registry.js';
+import { EffectManager } from './effect-manager.js';
+import { ComboTracker } from './combo.js';
+import { TrafficController } from './traffic.js';
+import { ObstaclePatternGenerator } from './obstacle-patterns.js';
+import { TimeTrial } from './time-trial.js';
+import { getDailyChallenge, isDateKey } from './daily-challenge.js';
+import './builtin-content.js';
+import { SeededRandom } from './random.js';
+import { EventBus, GAME_EVENTS } from './events.js';
+
+// Numeric run state saved in a snapshot, alongside the rng state and game objects
+const SNAPSHOT_FIELDS = [
+    'score', 'previousScore', 'gameTime', 'stepCount',
+    'lastSpeedIncreaseTime', 'lastPowerUpTime', 'lastFuelCanTime',
+    'timeScale', 'scoreMultiplier', 'scoreRemainder',
+    'distance', 'roadOffset', 'difficulty', 'collisions',
+    'nearMisses', 'bestCombo'
+];
+
+/**
+ * Deterministic game logic: spawning, movement, collisions, power-ups and scoring.
+ * Everything that happens in a run is announced on the `events` bus (see
+ * GAME_EVENTS); presentation (drawing, sound, notifications) lives in GameEngine,
+ * which extends this class and subscribes to those events.
+ */
+export class GameSimulation {
+    /**
+     * @param {Object} options - Simulation options
+     * @param {number} options.width - World width in pixels
+     * @param {number} options.height - World height in pixels
+     * @param {string} options.difficulty - Optional difficulty preset to apply
+     * @param {Object} options.rules - Optional rules to apply (see DEFAULT_RULES)
+     * @param {string} options.mode - Optional game mode from GAME_MODES
+     * @param {string} options.variant - Time trial course or daily challenge date, with those modes
+     * @param {Object} options.modifiers - Optional modifiers to apply after the mode's own (see DEFAULT_MODIFIERS)
+     */
+    constructor(options = {}) {
+        // World dimensions are fixed so a seed plays out the same on every screen
+        this.width = options.width || GAME_CONFIG.WORLD_WIDTH;
+        this.height = options.height || GAME_CONFIG.WORLD_HEIGHT;
+        
+        // Run state
+        this.score = 0;
+        this.gameTime = 0; // Simulated milliseconds since the run started
+        this.stepCount = 0; // Fixed steps simulated since the run started
+        this.lastSpeedIncreaseTime = 0;
+        this.lastPowerUpTime = 0;
+        this.lastFuelCanTime = 0;
+        this.timeScale = 1; // For slow motion effects
+        this.scoreMultiplier = 1;
+        this.scoreRemainder = 0; // Fractional distance score carried between steps
+        this.distance = 0;
+        this.roadOffset = 0;
+        this.previousRoadOffset = 0;
+        this.difficulty = 1;
+        this.difficultyPreset = 'medium';
+        this.rules = { ...DEFAULT_RULES };
+        this.mode = GAME_MODES.ENDLESS;
+        this.timeTrial = null; // Clock and checkpoints of the course, in the time trial mode
+        this.dailyChallenge = null; // The day's seed, difficulty and modifiers, in the daily challenge mode
+        this.modifiers = { ...DEFAULT_MODIFIERS };
+        this.collisions = 0;
+        this.nearMisses = 0;
+        this.bestCombo = 0;
+        this.isGameOver = false;
+        this.endReason = null; // 'crash', 'outOfFuel', 'finished' or 'timeUp' once the run is over
+        
+        // Track previous scores for milestone detection
+        this.previousScore = 0;
+        
+        // Seeded randomness so a run can be reproduced from its seed
+        this.seed = SeededRandom.createSeed();
+        this.rng = new SeededRandom(this.seed);
+        
+        // Game objects
+        this.player = null;
+        this.obstacles = [];
+        this.powerUps = [];
+        
+        // Run events for presentation, audio, achievements and analytics
+        this.events = new EventBus();
+        
+        // Active power-up effects, ticked on game time
+        this.effects = new EffectManager(this);
+        
+        // Near-miss combo, lost on a crash
+        this.combo = new ComboTracker();
+        
+        // Lane changes and braking of vehicle obstacles
+        this.traffic = new TrafficController(this);
+        
+        // Plans the rows of obstacles so there is always a way through
+        this.patterns = new ObstaclePatternGenerator(this);
+        
+        if (options.difficulty) {
+            this.setDifficulty(options.difficulty);
+        }
+        if (options.rules) {
+            this.setRules(options.rules);
+        }
+        if (options.mode) {
+            this.setMode(options.mode, options.variant);
+        }
+        if (options.modifiers) {
+            this.setModifiers(options.modifiers);
+        }
+    }
+    
+    /**
+     * Get the width of a single lane
+     * @returns {number} Lane width in pixels
+     */
+    getLaneWidth() {
+        return this.width / GAME_CONFIG.LANE_COUNT;
+    }
+    
+    /**
+     * Reset all run state and start a new run
+     * @param {number|string} seed - Seed for the run's random sequence
+     */
+    reset(seed = SeededRandom.createSeed()) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.rng.reset(this.seed);
+        
+        this.score = 0;
+        this.previousScore = 0;
+        this.gameTime = 0;
+        this.stepCount = 0;
+        this.lastSpeedIncreaseTime = 0;
+        this.lastPowerUpTime = 0;
+        this.lastFuelCanTime = 0;
+        this.timeScale = 1;
+        this.scoreMultiplier = 1;
+        this.effects.clear();
+        this.combo.reset();
+        this.patterns.reset();
+        if (this.timeTrial) {
+            this.timeTrial.reset();
+        }
+        this.scoreRemainder = 0;
+        this.distance = 0;
+        this.roadOffset = 0;
+        this.previousRoadOffset = 0;
+        this.difficulty = 1;
+        this.collisions = 0;
+        this.nearMisses = 0;
+        this.bestCombo = 0;
+        this.isGameOver = false;
+        this.endReason = null;
+        this.timeSinceLastPowerUpType = null;
+        this.lastPowerUpTypeTime = null;
+        
+        // Clear existing objects
+        this.obstacles = [];
+        this.powerUps = [];
+        
+        // Initialize player
+        this.player = new Player(this.getLaneWidth(), this.height);
+    }
+    
+    /**
+     * Advance the simulation by one fixed step
+     * @param {number} delta - Step length in seconds
+     */
+    update(delta) {
+        if (this.isGameOver) return;
+        
+        // Remember positions for interpolated rendering
+        this.player.storePreviousPosition();
+        this.obstacles.forEach(obstacle => obstacle.storePreviousPosition());
+        this.powerUps.forEach(powerUp => powerUp.storePreviousPosition());
+        this.previousRoadOffset = this.roadOffset;
+        
+        // Advance game time
+        this.gameTime += delta * 1000;
+        this.stepCount++;
+        
+        // Update player
+        this.player.update(delta);
+        
+        // Update timed power-up effects; they only tick here, so pausing never eats into them
+        this.effects.update(delta);
+        
+        // Let the near-miss combo decay
+        this.combo.update(delta);
+        
+        // Update road animation
+        this.roadOffset += this.player.speed * 200 * delta * this.timeScale;
+        if (this.roadOffset >= this.height) {
+            this.roadOffset -= this.height;
+            this.previousRoadOffset -= this.height;
+        }
+        
+        // Let traffic signal, change lanes and brake, then move every obstacle
+        this.traffic.update(delta);
+        this.updateObstacles(delta);
+        
+        // Update power-ups
+        this.updatePowerUps(delta);
+        
+        // Check for collisions
+        this.checkCollisions();
+        if (this.isGameOver) return;
+        
+        // Score obstacles that were only just missed
+        this.checkNearMisses();
+        
+        // Spawn the next planned rows of obstacles
+        this.patterns.update(delta);
+        
+        // Spawn new power-ups
+        if (this.gameTime - this.lastPowerUpTime > this.getPowerUpSpawnInterval()) {
+            if (this.rng.chance(GAME_CONFIG.POWER_UP_SPAWN_CHANCE)) {
+                this.spawnPowerUp();
+            }
+            this.lastPowerUpTime = this.gameTime;
+        }
+        
+        // Burn fuel and drop in fuel cans when the fuel rule is on
+        if (this.rules.fuel) {
+            this.updateFuel(delta);
+            if (this.isGameOver) return;
+        }
+        
+        // Increase difficulty over time
+        if (this.gameTime - this.lastSpeedIncreaseTime > GAME_CONFIG.SPEED_INCREASE_INTERVAL) {
+            this.increaseDifficulty();
+            this.lastSpeedIncreaseTime = this.gameTime;
+        }
+        
+        // Update score based on distance traveled, carrying fractions between steps
+        const speedFactor = this.player.speed * this.scoreMultiplier;
+        this.scoreRemainder += delta * this.timeScale * speedFactor * GAME_CONFIG.SCORE_MULTIPLIER;
+        const distancePoints = Math.floor(this.scoreRemainder);
+        this.scoreRemainder -= distancePoints;
+        this.score += distancePoints;
+        this.distance += this.player.speed * GAME_CONFIG.BASE_SPEED_FACTOR * delta * this.timeScale;
+        
+        // Check for score milestones (every 1000 points)
+        if (Math.floor(this.score / 1000) > Math.floor(this.previousScore / 1000)) {
+            this.events.emit(GAME_EVENTS.MILESTONE, {
+                milestone: Math.floor(this.score / 1000) * 1000,
+                score: this.score
+            });
+        }
+        this.previousScore = this.score;
+        
+        // Run the time trial clock and check for checkpoints and the finish line
+        if (this.timeTrial) {
+            this.timeTrial.update(delta);
+        }
+    }
+    
+    /**
+     * Calculate the time between obstacle patterns based on score
+     * @returns {number} Interval in milliseconds
+     */
+    getObstacleSpawnInterval() {
+        return Math.max(
+            GAME_CONFIG.MIN_OBSTACLE_INTERVAL,
+            GAME_CONFIG.BASE_OBSTACLE_INTERVAL - this.score * GAME_CONFIG.OBSTACLE_INTERVAL_DECREASE_RATE
+        ) / this.modifiers.trafficDensity;
+    }
+    
+    /**
+     * Calculate power-up spawn interval
+     * @returns {number} Interval in milliseconds
+     */
+    getPowerUpSpawnInterval() {
+        // Use minimum power-up spawn interval as a base; heavier traffic leaves power-ups as they were
+        return Math.max(
+            GAME_CONFIG.POWER_UP_MIN_SPAWN_INTERVAL,
+            this.getObstacleSpawnInterval() * this.modifiers.trafficDensity * 3
+        );
+    }
+    
+    /**
+     * Increase game difficulty
+     */
+    increaseDifficulty() {
+        this.difficulty += GAME_CONFIG.DIFFICULTY_INCREASE_RATE;
+        
+        // Gradually raise the cruise speed up to max speed; the car picks up to it by itself
+        if (this.player && this.player.cruiseSpeed < GAME_CONFIG.MAX_GAME_SPEED) {
+            const newSpeed = Math.min(
+                this.player.cruiseSpeed + GAME_CONFIG.SPEED_INCREMENT,
+                GAME_CONFIG.MAX_GAME_SPEED
+            );
+            
+            const previousSpeed = this.player.cruiseSpeed;
+            this.player.setCruiseSpeed(newSpeed);
+            this.events.emit(GAME_EVENTS.SPEED_CHANGE, { speed: newSpeed, previousSpeed, reason: 'difficulty' });
+        }
+    }
+    
+    /**
+     * Set game difficulty based on preset
+     * @param {string} difficulty - Difficulty level: 'easy', 'medium', 'hard', 'extreme'
+     * @returns {boolean} Whether the preset exists
+     */
+    setDifficulty(difficulty) {
+        const preset = DIFFICULTY_PRESETS[difficulty.toUpperCase()];
+        if (!preset) return false;
+        
+        this.difficultyPreset = difficulty.toLowerCase();
+        
+        // Apply difficulty settings
+        GAME_CONFIG.BASE_GAME_SPEED = preset.BASE_GAME_SPEED;
+        GAME_CONFIG.MAX_GAME_SPEED = preset.MAX_GAME_SPEED;
+        GAME_CONFIG.SPEED_INCREASE_INTERVAL = preset.SPEED_INCREASE_INTERVAL;
+        GAME_CONFIG.POWER_UP_SPAWN_CHANCE = preset.POWER_UP_SPAWN_CHANCE;
+        GAME_CONFIG.STARTING_LIVES = preset.STARTING_LIVES;
+        GAME_CONFIG.OBSTACLE_INTERVAL_DECREASE_RATE = preset.OBSTACLE_INTERVAL_DECREASE_RATE;
+        GAME_CONFIG.TRAFFIC_PROFILE = preset.TRAFFIC_PROFILE;
+        
+        // Reset player if exists
+        if (this.player) {
+            this.player.lives = GAME_CONFIG.STARTING_LIVES;
+            this.player.setSpeed(GAME_CONFIG.BASE_GAME_SPEED);
+            this.player.setCruiseSpeed(GAME_CONFIG.BASE_GAME_SPEED);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Choose the optional rules for the next run
+     * @param {Object} rules - Rules to turn on or off; anything left out takes its default
+     */
+    setRules(rules) {
+        this.rules = { ...DEFAULT_RULES };
+        Object.keys(DEFAULT_RULES).forEach(rule => {
+            if (rules && typeof rules[rule] === 'boolean') {
+                this.rules[rule] = rules[rule];
+            }
+        });
+    }
+    
+    /**
+     * Choose the game mode for the next run. The daily challenge brings its own
+     * modifiers; the other modes play without any.
+     * @param {string} mode - Mode from GAME_MODES
+     * @param {string} variant - Course from TIME_TRIAL_COURSES for the time trial mode,
+     *        or the day ('YYYY-MM-DD') of the daily challenge
+     * @returns {boolean} Whether the mode (and course or day) exist
+     */
+    setMode(mode, variant = null) {
+        if (mode === GAME_MODES.TIME_TRIAL && !TIME_TRIAL_COURSES[variant]) return false;
+        if (mode === GAME_MODES.DAILY && !isDateKey(variant)) return false;
+        if (!Object.values(GAME_MODES).includes(mode)) return false;
+        
+        this.mode = mode;
+        this.timeTrial = mode === GAME_MODES.TIME_TRIAL ? new TimeTrial(this, variant) : null;
+        this.dailyChallenge = mode === GAME_MODES.DAILY ? getDailyChallenge(variant) : null;
+        this.setModifiers(this.dailyChallenge ? this.dailyChallenge.modifiers : DEFAULT_MODIFIERS);
+        return true;
+    }
+    
+    /**
+     * Get the course or day the current mode is played on
+     * @returns {string|null} Time trial course, daily challenge date, or null in the endless mode
+     */
+    getModeVariant() {
+        if (this.timeTrial) return this.timeTrial.courseId;
+        if (this.dailyChallenge) return this.dailyChallenge.date;
+        return null;
+    }
+    
+    /**
+     * Get the seed a new run should start from: time trial courses and daily
+     * challenges always use their own, the endless mode a fresh one
+     * @returns {number|null} The mode's seed, or null if any seed will do
+     */
+    getModeSeed() {
+        if (this.timeTrial) return this.timeTrial.course.seed;
+        if (this.dailyChallenge) return this.dailyChallenge.seed;
+        return null;
+    }
+    
+    /**
+     * Apply run modifiers
+     * @param {Object} modifiers - Modifiers to apply; anything left out takes its default
+     */
+    setModifiers(modifiers) {
+        const { bannedPowerUps, trafficDensity } = modifiers || {};
+        this.modifiers = {
+            bannedPowerUps: Array.isArray(bannedPowerUps) ?
+                bannedPowerUps.filter(type => typeof type === 'string') :
+                [...DEFAULT_MODIFIERS.bannedPowerUps],
+            trafficDensity: Number.isFinite(trafficDensity) && trafficDensity > 0 ?
+                trafficDensity :
+                DEFAULT_MODIFIERS.trafficDensity
+        };
+    }
+    
+    /**
+     * Get the obstacles close enough to a stretch of road that the player could
+     * not slip through next to them
+     * @param {number} top - Top of the stretch
+     * @param {number} bottom - Bottom of the stretch
+     * @param {Obstacle} ignore - Optional obstacle to leave out
+     * @returns {Obstacle[]} Obstacles within PASSABLE_GAP of the stretch
+     */
+    getObstaclesNear(top, bottom, ignore = null) {
+        return this.obstacles.filter(obstacle =>
+            obstacle !== ignore &&
+            obstacle.y < bottom + GAME_CONFIG.PASSABLE_GAP &&
+            obstacle.y + obstacle.height > top - GAME_CONFIG.PASSABLE_GAP
+        );
+    }
+    
+    /**
+     * Check whether taking up some lanes along a stretch of road would leave
+     * the player no lane to drive through
+     * @param {number[]} lanes - Lanes that would be taken up
+     * @param {number} top - Top of the stretch
+     * @param {number} bottom - Bottom of the stretch
+     * @param {Obstacle} ignore - Optional obstacle to leave out (the one being moved)
+     * @returns {boolean} True if every lane would be blocked
+     */
+    wouldBlockRoad(lanes, top, bottom, ignore = null) {
+        const blocked = new Set(lanes);
+        
+        this.getObstaclesNear(top, bottom, ignore).forEach(obstacle => {
+            blocked.add(obstacle.lane);
+            if (obstacle.isChangingLane()) {
+                blocked.add(obstacle.fromLane);
+            }
+        });
+        
+        return blocked.size >= GAME_CONFIG.LANE_COUNT;
+    }
+    
+    /**
+     * Pick a lane for a pickup away from the obstacles near the top of the road
+     * @returns {number|null} Lane index, or null if every lane is occupied
+     */
+    findSafeLane() {
+        // Find safe lanes (lanes without obstacles near the top)
+        const safeDistance = 150; // Minimum safe distance from obstacles
+        const occupiedLanes = [];
+        
+        // Check which lanes have obstacles near the top of the screen
+        this.obstacles.forEach(obstacle => {
+            if (obstacle.y < safeDistance) {
+                occupiedLanes.push(obstacle.lane);
+            }
+        });
+        
+        // Filter out occupied lanes to find safe ones
+        const safeLanes = Array.from(Array(GAME_CONFIG.LANE_COUNT).keys())
+            .filter(lane => !occupiedLanes.includes(lane));
+        
+        if (safeLanes.length === 0) return null;
+        
+        // Select a random safe lane
+        return this.rng.pick(safeLanes);
+    }
+    
+    /**
+     * Spawn a new power-up
+     */
+    spawnPowerUp() {
+        const laneWidth = this.getLaneWidth();
+        const lane = this.findSafeLane();
+        
+        // If no safe lanes, delay power-up spawn
+        if (lane === null) {
+            // Try again later
+            this.lastPowerUpTime = this.gameTime - this.getPowerUpSpawnInterval() + 1000;
+            return;
+        }
+        
+        // Bias towards shield and health power-ups to ensure they spawn more often;
+        // health comes as an extra life in classic mode and as a repair otherwise
+        let powerUpType = null;
+        const rand = this.rng.next();
+        const healType = this.rules.lives ? 'extraLife' : 'repair';
+        const needsHealing = this.rules.lives ?
+            this.player.lives === 1 :
+            this.player.health < GAME_CONFIG.HEAVY_DAMAGE_HEALTH;
+        
+        // Dynamic spawn rates based on player state
+        if (needsHealing) {
+            // When player has 1 life left or heavy damage: 60% heart, 30% shield, 10% others
+            if (rand < 0.6) {
+                powerUpType = healType;
+            } else if (rand < 0.9) {
+                powerUpType = 'shield';
+            }
+        } else if (this.timeSinceLastPowerUp && this.timeSinceLastPowerUpType) {
+            // Track time since last power-up type to ensure variety
+            const timeSinceShield = this.timeSinceLastPowerUpType.shield || 0;
+            const timeSinceHeart = this.timeSinceLastPowerUpType[healType] || 0;
+            
+            // Boost spawn rate for power-ups that haven't appeared for a while
+            if (timeSinceShield > 30000 && timeSinceHeart > 30000) {
+                // Neither has spawned in 30 seconds: 45% shield, 45% heart, 10% others
+                if (rand < 0.45) {
+                    powerUpType = 'shield';
+                } else if (rand < 0.9) {
+                    powerUpType = healType;
+                }
+            } else if (timeSinceShield > 30000) {
+                // Shield hasn't spawned in 30 seconds: 60% shield, 20% heart, 20% others
+                if (rand < 0.6) {
+                    powerUpType = 'shield';
+                } else if (rand < 0.8) {
+                    powerUpType = healType;
+                }
+            } else if (timeSinceHeart > 30000) {
+                // Heart hasn't spawned in 30 seconds: 60% heart, 20% shield, 20% others
+                if (rand < 0.6) {
+                    powerUpType = healType;
+                } else if (rand < 0.8) {
+                    powerUpType = 'shield';
+                }
+            } else {
+                // Default distribution: 35% shield, 35% heart, 30% others
+                if (rand < 0.35) {
+                    powerUpType = 'shield';
+                } else if (rand < 0.7) {
+                    powerUpType = healType;
+                }
+            }
+        } else {
+            // First power-ups: 40% shield, 40% heart, 20% others
+            if (rand < 0.4) {
+                powerUpType = 'shield';
+            } else if (rand < 0.8) {
+                powerUpType = healType;
+            }
+        }
+        
+        // Otherwise (or if the favoured type is forbidden today) any power-up this run can use
+        if (!powerUpType || this.modifiers.bannedPowerUps.includes(powerUpType)) {
+            powerUpType = this.rng.pick(getRandomPowerUpTypes(this)).type;
+        }
+        
+        // Create the power-up
+        this.powerUps.push(new PowerUp(lane, laneWidth, powerUpType, this.rng));
+        
+        // Track game time since specific power-up types
+        const currentTime = this.gameTime;
+        if (!this.timeSinceLastPowerUpType) {
+            this.timeSinceLastPowerUpType = {};
+        }
+        
+        // Update all power-up type timers
+        const powerUpTypes = getRandomPowerUpTypes(this).map(p => p.type);
+        powerUpTypes.forEach(type => {
+            if (type === powerUpType) {
+                this.timeSinceLastPowerUpType[type] = 0; // Reset timer for spawned type
+            } else {
+                // Increment timer for other types
+                this.timeSinceLastPowerUpType[type] = (this.timeSinceLastPowerUpType[type] || 0) +
+                    (currentTime - (this.lastPowerUpTypeTime || currentTime));
+            }
+        });
+        
+        this.lastPowerUpTypeTime = currentTime;
+    }
+    
+    /**
+     * Calculate the time between fuel cans, which come faster when the tank runs low
+     * @returns {number} Interval in milliseconds
+     */
+    getFuelCanSpawnInterval() {
+        const interval = GAME_CONFIG.FUEL_CAN_INTERVAL;
+        return this.player.fuel < GAME_CONFIG.FUEL_LOW_LEVEL ? interval / 2 : interval;
+    }
+    
+    /**
+     * Spawn a fuel can in a safe lane
+     * @returns {boolean} Whether a lane was free; if not, the next step tries again
+     */
+    spawnFuelCan() {
+        const lane = this.findSafeLane();
+        if (lane === null) return false;
+        
+        this.powerUps.push(new PowerUp(lane, this.getLaneWidth(), 'fuelCan', this.rng));
+        return true;
+    }
+    
+    /**
+     * Burn fuel for the distance driven this step, spawn fuel cans, and end the
+     * run once the car has coasted to a stop on an empty tank
+     * @param {number} delta - Step length in seconds
+     */
+    updateFuel(delta) {
+        const hadFuel = !this.player.isOutOfFuel();
+        this.player.burnFuel(this.player.speed * GAME_CONFIG.BASE_SPEED_FACTOR * delta * this.timeScale);
+        
+        if (hadFuel && this.player.isOutOfFuel()) {
+            this.events.emit(GAME_EVENTS.OUT_OF_FUEL, { speed: this.player.speed });
+        }
+        
+        if (this.gameTime - this.lastFuelCanTime > this.getFuelCanSpawnInterval() && this.spawnFuelCan()) {
+            this.lastFuelCanTime = this.gameTime;
+        }
+        
+        if (this.player.isOutOfFuel() && this.player.speed <= 0) {
+            this.endRun('outOfFuel');
+        }
+    }
+    
+    /**
+     * Update obstacles
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    updateObstacles(deltaTime) {
+        for (let i = this.obstacles.length - 1; i >= 0; i--) {
+            const obstacle = this.obstacles[i];
+            
+            obstacle.update(deltaTime, this.player.speed, this.height, this.timeScale);
+            if (obstacle.definition.onUpdate) {
+                obstacle.definition.onUpdate(this, obstacle, deltaTime);
+            }
+            
+            // Remove obstacles that are marked for deletion
+            if (obstacle.markedForDeletion) {
+                this.obstacles.splice(i, 1);
+                
+                // Add points for successfully avoiding obstacle, boosted by the combo
+                const points = Math.floor(
+                    obstacle.points * this.player.speed * this.scoreMultiplier * this.combo.getMultiplier()
+                );
+                this.score += points;
+                this.events.emit(GAME_EVENTS.OBSTACLE_AVOIDED, { obstacle, points });
+            }
+        }
+    }
+    
+    /**
+     * Update power-ups
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    updatePowerUps(deltaTime) {
+        for (let i = this.powerUps.length - 1; i >= 0; i--) {
+            const powerUp = this.powerUps[i];
+            
+            powerUp.update(deltaTime, this.player.speed, this.height, this.timeScale);
+            
+            // Let the presentation layer draw trails for important power-ups if flagged;
+            // this is purely cosmetic, so it is a hook rather than a run event
+            if (powerUp.shouldCreateTrail) {
+                this.onPowerUpTrail(powerUp);
+                powerUp.shouldCreateTrail = false;
+            }
+            
+            // Remove power-ups that are marked for deletion
+            if (powerUp.markedForDeletion) {
+                this.powerUps.splice(i, 1);
+            }
+        }
+    }
+    
+    /**
+     * Check for collisions
+     */
+    checkCollisions() {
+        if (this.player.invincible) return;
+        
+        // Check obstacle collisions
+        for (let i = this.obstacles.length - 1; i >= 0; i--) {
+            const obstacle = this.obstacles[i];
+            
+            if (this.player.isCollidingWith(obstacle.hitbox || obstacle)) {
+                // Handle collision; a crash loses the combo and either a life
+                // (classic mode) or health depending on how hard the hit was
+                this.collisions++;
+                this.combo.reset();
+                const damage = this.rules.lives ? 0 : this.getImpactDamage(obstacle);
+                const isDead = this.rules.lives ? this.player.takeDamage() : this.player.applyDamage(damage);
+                
+                // Remove the obstacle
+                this.obstacles.splice(i, 1);
+                
+                const { lives, health } = this.player;
+                this.events.emit(GAME_EVENTS.COLLISION, { obstacle, isDead, lives, damage, health });
+                if (this.rules.lives) {
+                    this.events.emit(GAME_EVENTS.LIFE_LOST, { lives, obstacle });
+                }
+                if (obstacle.definition.onHit) {
+                    obstacle.definition.onHit(this, obstacle);
+                }
+                if (isDead) {
+                    this.endRun('crash');
+                    return;
+                }
+                break;
+            }
+        }
+        
+        // Check power-up collisions
+        for (let i = this.powerUps.length - 1; i >= 0; i--) {
+            const powerUp = this.powerUps[i];
+            
+            if (this.player.isCollidingWith(powerUp)) {
+                // Apply power-up effect
+                this.applyPowerUp(powerUp);
+                
+                // Remove the power-up
+                this.powerUps.splice(i, 1);
+                break;
+            }
+        }
+    }
+    
+    /**
+     * Work out the health a crash into an obstacle costs. Part of the obstacle's
+     * damage is fixed and the rest scales with how fast the two close on each other.
+     * @param {Obstacle} obstacle - The obstacle that was hit
+     * @returns {number} Health lost
+     */
+    getImpactDamage(obstacle) {
+        const impactSpeed = obstacle.speed * this.player.speed;
+        const weight = GAME_CONFIG.IMPACT_SPEED_WEIGHT;
+        return Math.round(obstacle.definition.damage * (1 - weight + weight * impactSpeed));
+    }
+    
+    /**
+     * Check for near misses. An obstacle counts once it is behind the player if
+     * it passed alongside in the next lane with at most NEAR_MISS_GAP to spare,
+     * or if the player left its lane just before impact (see handleInput).
+     */
+    checkNearMisses() {
+        const player = this.player;
+        
+        this.obstacles.forEach(obstacle => {
+            if (obstacle.nearMissScored) return;
+            
+            const hitbox = obstacle.hitbox || obstacle;
+            const isAlongside = hitbox.y < player.y + player.height && hitbox.y + hitbox.height > player.y;
+            
+            if (!obstacle.nearMiss && isAlongside) {
+                const gap = Math.max(hitbox.x - (player.x + player.width), player.x - (hitbox.x + hitbox.width));
+                if (gap >= 0 && gap <= GAME_CONFIG.NEAR_MISS_GAP) {
+                    obstacle.nearMiss = 'pass';
+                }
+            }
+            
+            if (obstacle.nearMiss && hitbox.y >= player.y + player.height) {
+                obstacle.nearMissScored = true;
+                this.scoreNearMiss(obstacle);
+            }
+        });
+    }
+    
+    /**
+     * Mark obstacles the player has just swerved away from as near-miss candidates
+     * @param {number} fromLane - Lane the player is leaving
+     */
+    markLaneChangeNearMisses(fromLane) {
+        const player = this.player;
+        const closingSpeed = obstacle =>
+            obstacle.speed * player.speed * GAME_CONFIG.BASE_SPEED_FACTOR * this.timeScale;
+        
+        this.obstacles.forEach(obstacle => {
+            if (obstacle.lane !== fromLane || obstacle.nearMiss) return;
+            
+            const hitbox = obstacle.hitbox || obstacle;
+            const distance = player.y - (hitbox.y + hitbox.height);
+            const timeToImpact = distance / closingSpeed(obstacle) * 1000;
+            
+            if (distance >= 0 && timeToImpact <= GAME_CONFIG.NEAR_MISS_REACTION_TIME) {
+                obstacle.nearMiss = 'laneChange';
+            }
+        });
+    }
+    
+    /**
+     * Add a near miss to the combo and award its bonus
+     * @param {Obstacle} obstacle - The obstacle that was missed
+     */
+    scoreNearMiss(obstacle) {
+        const combo = this.combo.addNearMiss();
+        const multiplier = this.combo.getMultiplier();
+        const points = Math.floor(
+            GAME_CONFIG.NEAR_MISS_POINTS * this.player.speed * this.scoreMultiplier * multiplier
+        );
+        
+        this.score += points;
+        this.nearMisses++;
+        this.bestCombo = Math.max(this.bestCombo, combo);
+        
+        this.events.emit(GAME_EVENTS.NEAR_MISS, { obstacle, kind: obstacle.nearMiss, points, combo, multiplier });
+    }
+    
+    /**
+     * Apply power-up effect through the effect manager
+     * @param {PowerUp} powerUp - The power-up to apply
+     */
+    applyPowerUp(powerUp) {
+        const effect = this.effects.apply(powerUp);
+        
+        this.events.emit(GAME_EVENTS.POWER_UP_COLLECTED, {
+            powerUp,
+            type: powerUp.type,
+            duration: powerUp.duration,
+            remaining: effect ? effect.remaining : 0,
+            stacks: effect ? effect.stacks : 0
+        });
+    }
+    
+    /**
+     * Handle player input
+     * @param {string} input - Input type: 'left', 'right', 'accelerate' and 'decelerate'
+     *                         (throttle on and off), 'brake' and 'releaseBrake'
+     */
+    handleInput(input) {
+        if (!this.player || this.isGameOver) return;
+        
+        const fromLane = this.player.targetLane;
+        
+        switch (input) {
+            case 'left':
+                this.player.moveLeft();
+                break;
+            
+            case 'right':
+                this.player.moveRight();
+                break;
+            
+            case 'accelerate':
+                this.player.accelerate();
+                break;
+            
+            case 'decelerate':
+                this.player.decelerate();
+                break;
+            
+            case 'brake':
+                this.player.brake();
+                break;
+            
+            case 'releaseBrake':
+                this.player.releaseBrake();
+                break;
+        }
+        
+        if (this.player.targetLane !== fromLane) {
+            this.markLaneChangeNearMisses(fromLane);
+            this.events.emit(GAME_EVENTS.LANE_CHANGE, { direction: input, fromLane, toLane: this.player.targetLane });
+        }
+
+    }
+    
+    /**
+     * End the current run
+     * @param {string} reason - Why the run ended: 'crash', 'outOfFuel', 'finished' or 'timeUp'
+     */
+    endRun(reason = 'crash') {
+        this.isGameOver = true;
+        this.endReason = reason;
+        this.events.emit(GAME_EVENTS.GAME_OVER, { report: this.getReport() });
+    }
+    
+    /**
+     * Run the simulation headlessly with scripted inputs until the run ends
+     * or the time limit is reached
+     * @param {Object} options - Run options
+     * @param {number|string} options.seed - Seed for the run
+     * @param {Array<{time?: number, step?: number, action: string}>} options.inputs - Scripted
+     *        inputs, timed either in milliseconds of game time or in fixed steps
+     * @param {number} options.duration - Maximum game time to simulate in milliseconds
+     * @returns {Object} Run report from getReport()
+     */
+    run({ seed, inputs = [], duration = 60000 } = {}) {
+        this.reset(seed);
+        
+        const stepLength = 1 / GAME_CONFIG.SIMULATION_RATE;
+        const maxSteps = Math.ceil(duration / 1000 * GAME_CONFIG.SIMULATION_RATE);
+        const schedule = inputs
+            .map(input => ({
+                step: input.step !== undefined ? input.step :
+                    Math.round(input.time / 1000 * GAME_CONFIG.SIMULATION_RATE),
+                action: input.action
+            }))
+            .sort((a, b) => a.step - b.step);
+        let nextInput = 0;
+        
+        while (!this.isGameOver && this.stepCount < maxSteps) {
+            // Apply inputs scheduled before this step
+            while (nextInput < schedule.length && schedule[nextInput].step <= this.stepCount) {
+                this.handleInput(schedule[nextInput].action);
+                nextInput++;
+            }
+            
+            this.update(stepLength);
+        }
+        
+        return this.getReport();
+    }
+    
+    /**
+     * Capture the full state of the run so it can be continued later
+     * @returns {Object} Plain-object snapshot that survives JSON serialization
+     */
+    createSnapshot() {
+        const snapshot = {
+            seed: this.seed,
+            rngState: this.rng.getState(),
+            difficultyPreset: this.difficultyPreset,
+            rules: { ...this.rules },
+            mode: this.mode,
+            timeTrial: this.timeTrial ? this.timeTrial.toSnapshot() : null,
+            challenge: this.dailyChallenge ? this.dailyChallenge.date : null,
+            modifiers: { ...this.modifiers },
+            timeSinceLastPowerUpType: this.timeSinceLastPowerUpType || null,
+            lastPowerUpTypeTime: this.lastPowerUpTypeTime,
+            effects: this.effects.toSnapshot(),
+            combo: this.combo.toSnapshot(),
+            patterns: this.patterns.toSnapshot(),
+            player: this.player.toSnapshot(),
+            obstacles: this.obstacles.map(obstacle => obstacle.toSnapshot()),
+            powerUps: this.powerUps.map(powerUp => powerUp.toSnapshot())
+        };
+        
+        SNAPSHOT_FIELDS.forEach(field => {
+            snapshot[field] = this[field];
+        });
+        
+        return snapshot;
+    }
+    
+    /**
+     * Continue a run from a snapshot, rebuilding the player, obstacles and power-ups.
+     * The snapshot's difficulty preset is applied first, so it should be validated
+     * with GameSimulation.isValidSnapshot() beforehand. Active power-ups resume with
+     * their remaining time; onApply is not run again, since the state it changed is
+     * part of the snapshot.
+     * @param {Object} snapshot - Snapshot from createSnapshot()
+     */
+    restoreSnapshot(snapshot) {
+        // Apply the preset without going through subclasses, which would announce it
+        GameSimulation.prototype.setDifficulty.call(this, snapshot.difficultyPreset);
+        this.setRules(snapshot.rules);
+        this.setMode(snapshot.mode, snapshot.timeTrial ? snapshot.timeTrial.course : snapshot.challenge);
+        this.setModifiers(snapshot.modifiers);
+        if (this.timeTrial) {
+            this.timeTrial.restoreSnapshot(snapshot.timeTrial);
+        }
+        
+        this.seed = snapshot.seed;
+        this.rng.reset(this.seed);
+        this.rng.setState(snapshot.rngState);
+        
+        SNAPSHOT_FIELDS.forEach(field => {
+            this[field] = snapshot[field];
+        });
+        this.previousRoadOffset = this.roadOffset;
+        this.timeSinceLastPowerUpType = snapshot.timeSinceLastPowerUpType;
+        this.lastPowerUpTypeTime = snapshot.lastPowerUpTypeTime;
+        this.effects.restoreSnapshot(snapshot.effects);
+        this.combo.restoreSnapshot(snapshot.combo);
+        this.patterns.restoreSnapshot(snapshot.patterns);
+        this.isGameOver = false;
+        
+        const laneWidth = this.getLaneWidth();
+        this.player = Player.fromSnapshot(snapshot.player, laneWidth, this.height);
+        this.obstacles = snapshot.obstacles.map(data => Obstacle.fromSnapshot(data, laneWidth));
+        this.powerUps = snapshot.powerUps.map(data => PowerUp.fromSnapshot(data, laneWidth));
+    }
+    
+    /**
+     * Check that a snapshot can be restored
+     * @param {Object} snapshot - Data to validate
+     * @returns {boolean} True if the snapshot describes a run in progress
+     */
+    static isValidSnapshot(snapshot) {
+        if (!snapshot || typeof snapshot !== 'object') return false;
+        
+        const isLane = lane => Number.isInteger(lane) && lane >= 0 && lane < GAME_CONFIG.LANE_COUNT;
+        const isPositioned = object => Boolean(object) &&
+            Number.isFinite(object.x) && Number.isFinite(object.y) && isLane(object.lane);
+        const { player } = snapshot;
+        
+        return Number.isInteger(snapshot.seed) &&
+            Number.isInteger(snapshot.rngState) &&
+            typeof snapshot.difficultyPreset === 'string' &&
+            Boolean(DIFFICULTY_PRESETS[snapshot.difficultyPreset.toUpperCase()]) &&
+            Boolean(snapshot.rules) && typeof snapshot.rules === 'object' &&
+            (snapshot.mode === GAME_MODES.ENDLESS ||
+                (snapshot.mode === GAME_MODES.TIME_TRIAL && TimeTrial.isValidSnapshot(snapshot.timeTrial)) ||
+                (snapshot.mode === GAME_MODES.DAILY && isDateKey(snapshot.challenge))) &&
+            Boolean(snapshot.modifiers) && typeof snapshot.modifiers === 'object' &&
+            SNAPSHOT_FIELDS.every(field => Number.isFinite(snapshot[field])) &&
+            isPositioned(player) &&
+            isLane(player.targetLane) &&
+            Number.isFinite(player.speed) &&
+            Number.isFinite(player.cruiseSpeed) &&
+            Number.isFinite(player.fuel) &&
+            Number.isFinite(player.health) && player.health > 0 &&
+            Number.isInteger(player.lives) && player.lives > 0 &&
+            Array.isArray(snapshot.obstacles) &&
+            snapshot.obstacles.every(obstacle => isPositioned(obstacle) &&
+                Number.isFinite(obstacle.speed) &&
+                Number.isFinite(obstacle.cruiseSpeed) &&
+                (obstacle.fromLane === null || isLane(obstacle.fromLane)) &&
+                Boolean(getObstacleType(obstacle.type))) &&
+            Array.isArray(snapshot.powerUps) &&
+            snapshot.powerUps.every(powerUp => isPositioned(powerUp) &&
+                Boolean(getPowerUpType(powerUp.type))) &&
+            EffectManager.isValidSnapshot(snapshot.effects) &&
+            ComboTracker.isValidSnapshot(snapshot.combo) &&
+            ObstaclePatternGenerator.isValidSnapshot(snapshot.patterns);
+    }
+    
+    /**
+     * Summarize the current run
+     * @returns {Object} Seed, difficulty, rules, mode, modifiers, score, lives, health, collisions,
+     *          near misses, distance, timing, how the run ended, the daily challenge date and the
+     *          time trial result (null in other modes)
+     */
+    getReport() {
+        return {
+            seed: this.seed,
+            difficulty: this.difficultyPreset,
+            rules: { ...this.rules },
+            mode: this.mode,
+            modifiers: { ...this.modifiers },
+            score: this.score,
+            lives: this.player ? this.player.lives : GAME_CONFIG.STARTING_LIVES,
+            health: this.player ? this.player.health : GAME_CONFIG.MAX_HEALTH,
+            collisions: this.collisions,
+            nearMisses: this.nearMisses,
+            bestCombo: this.bestCombo,
+            distance: Math.floor(this.distance),
+            gameTime: this.gameTime,
+            steps: this.stepCount,
+            gameOver: this.isGameOver,
+            endReason: this.endReason,
+            challenge: this.dailyChallenge ? this.dailyChallenge.date : null,
+            timeTrial: this.timeTrial ? this.timeTrial.getResult() : null
+        };
+    }
+    
+    /**
+     * Called when an important power-up is due to leave a particle trail
+     * @param {PowerUp} powerUp - The power-up
+     */
+    onPowerUpTrail(powerUp) {}
+}
@@ -0,0 +1,67 @@
+// Ghost car that replays the best previous run alongside the player
+import { GameSimulation } from './game-simulation.js';
+import { ReplayPlayer, getReplayVariant } from './replay.js';
+
+/**
+ * Runs a recorded replay in its own headless simulation, in lockstep with the
+ * live run, so its car position and score are exact at every step
+ */
+export class GhostRunner {
+    /**
+     * @param {Object} replay - Replay of the run to race against
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.inputs = new ReplayPlayer(replay);
+        this.simulation = new GameSimulation({
+            difficulty: replay.difficulty,
+            rules: replay.rules,
+            mode: replay.mode,
+            variant: getReplayVariant(replay),
+            modifiers: replay.modifiers
+        });
+        this.simulation.reset(replay.seed);
+        this.simulation.player.isGhost = true;
+    }
+    
+    /**
+     * Whether the ghost's run has ended
+     * @returns {boolean} True once the recorded run is over
+     */
+    isFinished() {
+        return this.simulation.isGameOver || this.inputs.isFinished(this.simulation.stepCount);
+    }
+    
+    /**
+     * Get the ghost's current score
+     * @returns {number} Score of the recorded run at this point
+     */
+    getScore() {
+        return this.simulation.score;
+    }
+    
+    /**
+     * Advance the ghost by one fixed step
+     * @param {number} delta - Step length in seconds
+     */
+    update(delta) {
+        if (this.isFinished()) return;
+        
+        this.inputs.takeInputs(this.simulation.stepCount).forEach(action => {
+            this.simulation.handleInput(action);
+        });
+        this.simulation.update(delta);
+    }
+    
+    /**
+     * Draw the ghost car
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Object} assets - Game assets
+     * @param {number} alpha - Interpolation factor between simulation steps
+     */
+    draw(ctx, assets, alpha = 1) {
+        if (this.isFinished()) return;
+        
+        this.simulation.player.draw(ctx, assets, alpha);
+    }
+}
@@ -1,4 +1,7 @@
 // Input controller
+import { GAME_CONFIG } from './constants.js';
+import { GAME_EVENTS } from './events.js';
+
 export class InputController {
     constructor(gameEngine) {
         this.game = gameEngine;
@@ -11,6 +14,7 @@ export class InputController {
             ArrowLeft: false,
             ArrowRight: false,
             ArrowUp: false,
+            ArrowDown: false,
             Escape: false
         };
         
@@ -59,6 +63,9 @@ export class InputController {
                         case 'ArrowUp':
                             this.game.handleInput('accelerate');
                             break;
+                        case 'ArrowDown':
+                            this.game.handleInput('brake');
+                            break;
                     }
                 }
             }
@@ -75,6 +82,11 @@ export class InputController {
             if (e.key === 'ArrowUp' && this.game.state === 'playing') {
                 this.game.handleInput('decelerate');
             }
+            
+            // Handle braking end
+            if (e.key === 'ArrowDown' && this.game.state === 'playing') {
+                this.game.handleInput('releaseBrake');
+            }
         });
     }
     
@@ -196,8 +208,13 @@ export class InputController {
                         this.game.handleInput('decelerate');
                     }, 500);
                 } else {
-                    // Swipe down - brake or pause
-                    this.game.setState('paused');
+                    // Swipe down - brake
+                    this.game.handleInput('brake');
+                    
+                    // Release the brakes after a short period
+                    setTimeout(() => {
+                        this.game.handleInput('releaseBrake');
+                    }, 500);
                 }
             }
         } else if (touchDuration < 300) {
@@ -274,6 +291,7 @@ export class InputController {
         const leftButton = document.getElementById('left-button');
         const rightButton = document.getElementById('right-button');
         const accelerateButton = document.getElementById('accelerate-button');
+        const brakeButton = document.getElementById('brake-button');
         
         // Start and restart buttons
         const startButton = document.getElementById('start-button');
@@ -284,6 +302,7 @@ export class InputController {
         const closeSettingsButton = document.getElementById('close-settings');
         const musicToggle = document.getElementById('music-toggle');
         const sfxToggle = document.getElementById('sfx-toggle');
+        const ghostToggle = document.getElementById('ghost-toggle');
         
         // Mobile control buttons
         if (leftButton) {
@@ -352,6 +371,42 @@ export class InputController {
             });
         }
         
+        if (brakeButton) {
+            // Touch events
+            brakeButton.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                if (this.game.state === 'playing') {
+                    this.game.handleInput('brake');
+                }
+            }, { passive: false });
+            
+            brakeButton.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                if (this.game.state === 'playing') {
+                    this.game.handleInput('releaseBrake');
+                }
+            }, { passive: false });
+            
+            // Mouse events
+            brakeButton.addEventListener('mousedown', () => {
+                if (this.game.state === 'playing') {
+                    this.game.handleInput('brake');
+                }
+            });
+            
+            brakeButton.addEventListener('mouseup', () => {
+                if (this.game.state === 'playing') {
+                    this.game.handleInput('releaseBrake');
+                }
+            });
+            
+            brakeButton.addEventListener('mouseleave', () => {
+                if (this.game.state === 'playing') {
+                    this.game.handleInput('releaseBrake');
+                }
+            });
+        }
+        
         // Start and restart buttons
         if (startButton) {
             startButton.addEventListener('click', () => {
@@ -390,6 +445,12 @@ export class InputController {
             });
         }
         
+        if (ghostToggle) {
+            ghostToggle.addEventListener('change', () => {
+                this.game.toggleGhost(ghostToggle.checked);
+            });
+        }
+        
         // Add pause button for mobile
         this.createPauseButton();
     }
@@ -417,8 +478,8 @@ export class InputController {
             });
             
             // Show pause button when game is playing
-            this.game.on('stateChange', (newState) => {
-                if (newState === 'playing') {
+            this.game.events.on(GAME_EVENTS.STATE_CHANGE, ({ state }) => {
+                if (state === 'playing') {
                     pauseButton.classList.remove('hidden');
                 } else {
                     pauseButton.classList.add('hidden');
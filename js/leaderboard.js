@@ -0,0 +1,144 @@
+// Local leaderboards: the best runs by game mode and difficulty, with the player's initials
+import { GAME_CONFIG, GAME_MODES, DIFFICULTY_PRESETS, LEADERBOARD } from './constants.js';
+import { loadData, saveData } from './storage.js';
+import { isBetterResult } from './time-trial.js';
+
+/**
+ * Clean up initials typed by the player
+ * @param {string} text - Raw input
+ * @returns {string} Up to LEADERBOARD.INITIALS_LENGTH upper-case letters and digits
+ */
+export function normalizeInitials(text) {
+    return String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, LEADERBOARD.INITIALS_LENGTH);
+}
+
+/**
+ * Get the initials entered last, to prefill the next prompt
+ * @returns {string} Initials, or '' if none were entered yet
+ */
+export function loadLastInitials() {
+    return normalizeInitials(loadData('lastInitials', ''));
+}
+
+/**
+ * Check whether one leaderboard entry ranks above another. Time trial boards rank
+ * by the course result, like the best result of a course; the others by score.
+ * @param {string} mode - Mode from GAME_MODES of the board
+ * @param {Object} entry - Entry to rank
+ * @param {Object} other - Entry already on the board
+ * @returns {boolean} True if entry ranks above other
+ */
+function ranksAbove(mode, entry, other) {
+    if (mode !== GAME_MODES.TIME_TRIAL) return entry.score > other.score;
+    
+    const result = item => ({ finished: Boolean(item.finished), time: item.time, distance: item.distance });
+    return isBetterResult(result(entry), result(other));
+}
+
+/**
+ * Get a leaderboard, best first
+ * @param {string} mode - Mode from GAME_MODES
+ * @param {string} difficulty - Difficulty preset
+ * @returns {Array<Object>} Entries with initials, score, distance (metres), duration
+ *          (milliseconds of game time) and date (ISO timestamp). Time trial entries
+ *          also say whether the course was finished, and the finishing time.
+ */
+export function getLeaderboard(mode, difficulty) {
+    const boards = loadData('leaderboards', {});
+    return (boards[mode] && boards[mode][difficulty]) || [];
+}
+
+/**
+ * Check whether a run would make it onto the leaderboard of its mode and difficulty
+ * @param {Object} report - Final run report from GameSimulation.getReport()
+ * @returns {boolean} True if the run earns a place
+ */
+export function qualifiesForLeaderboard(report) {
+    if (report.score <= 0) return false;
+    
+    const entries = getLeaderboard(report.mode, report.difficulty);
+    return entries.length < LEADERBOARD.SIZE ||
+        ranksAbove(report.mode, createEntry(report), entries[entries.length - 1]);
+}
+
+/**
+ * Turn a run report into a leaderboard entry
+ * @param {Object} report - Final run report from GameSimulation.getReport()
+ * @param {string} initials - The player's initials
+ * @returns {Object} Entry as kept on the leaderboard
+ */
+function createEntry(report, initials = '') {
+    const entry = {
+        initials: normalizeInitials(initials) || '???',
+        score: report.score,
+        distance: Math.floor(report.distance / GAME_CONFIG.PIXELS_PER_METRE),
+        duration: Math.round(report.gameTime),
+        date: new Date().toISOString()
+    };
+    
+    if (report.timeTrial) {
+        entry.finished = report.timeTrial.finished;
+        entry.time = report.timeTrial.time;
+    }
+    
+    return entry;
+}
+
+/**
+ * Put a finished run on the leaderboard of its mode and difficulty
+ * @param {Object} report - Final run report from GameSimulation.getReport()
+ * @param {string} initials - The player's initials
+ * @returns {number|null} The run's place from 1, or null if it did not make the board
+ */
+export function addLeaderboardEntry(report, initials) {
+    const boards = loadData('leaderboards', {});
+    const board = boards[report.mode] || {};
+    const entries = board[report.difficulty] || [];
+    
+    const entry = createEntry(report, initials);
+    
+    // Ties keep the earlier entry ahead
+    let rank = entries.findIndex(other => ranksAbove(report.mode, entry, other));
+    if (rank === -1) rank = entries.length;
+    if (rank >= LEADERBOARD.SIZE) return null;
+    
+    entries.splice(rank, 0, entry);
+    board[report.difficulty] = entries.slice(0, LEADERBOARD.SIZE);
+    boards[report.mode] = board;
+    saveData('leaderboards', boards);
+    saveData('lastInitials', entry.initials);
+    
+    return rank + 1;
+}
+
+/**
+ * Add the entries of leaderboards imported from a save file, keeping the best
+ * of both on every board. Entries already on a board are not added twice.
+ * @param {Object} boards - Imported leaderboards, by mode and difficulty
+ */
+export function mergeLeaderboards(boards) {
+    const merged = loadData('leaderboards', {});
+    const isEntry = entry => entry && typeof entry.initials === 'string' && Number.isFinite(entry.score) &&
+        Number.isFinite(entry.distance) && Number.isFinite(entry.duration) && typeof entry.date === 'string';
+    const isSameEntry = (a, b) => a.initials === b.initials && a.score === b.score && a.date === b.date;
+    const difficulties = Object.keys(DIFFICULTY_PRESETS).map(preset => preset.toLowerCase());
+    
+    Object.entries(boards).forEach(([mode, board]) => {
+        if (!Object.values(GAME_MODES).includes(mode) || !board || typeof board !== 'object') return;
+        
+        Object.entries(board).forEach(([difficulty, entries]) => {
+            if (!difficulties.includes(difficulty) || !Array.isArray(entries)) return;
+            
+            const current = (merged[mode] && merged[mode][difficulty]) || [];
+            const added = entries.filter(entry => isEntry(entry) && !current.some(other => isSameEntry(entry, other)));
+            
+            // The sort is stable, so ties keep the entries already here ahead
+            merged[mode] = merged[mode] || {};
+            merged[mode][difficulty] = current.concat(added)
+                .sort((a, b) => ranksAbove(mode, a, b) ? -1 : ranksAbove(mode, b, a) ? 1 : 0)
+                .slice(0, LEADERBOARD.SIZE);
+        });
+    });
+    
+    saveData('leaderboards', merged);
+}
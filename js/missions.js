@@ -0,0 +1,312 @@
+// Missions: goals carried across runs, a few at a time, that earn stars
+import { GAME_CONFIG } from './constants.js';
+import { GAME_EVENTS } from './events.js';
+import { loadData, saveData } from './storage.js';
+
+// Missions offered at once; a completed one is replaced by the next in the catalogue
+const ACTIVE_MISSION_COUNT = 3;
+
+/**
+ * Mission catalogue, offered in this order. A 'run' mission has to be done
+ * within a single run, and its progress is the best run so far; a 'total'
+ * mission adds up over every run.
+ *
+ * Progress moves on the game events listed under `events` (collisions and
+ * pickups from checkCollisions and applyPowerUp, lane changes from
+ * handleInput, ...) and, for missions with an `update`, on every step. Both
+ * return the new progress. `appliesTo` limits a mission to some runs.
+ */
+export const MISSIONS = [
+    {
+        id: 'collectShields',
+        description: 'Collect 3 shields in one run',
+        scope: 'run',
+        goal: 3,
+        reward: 2,
+        events: {
+            [GAME_EVENTS.POWER_UP_COLLECTED]: (progress, { type }) => progress + (type === 'shield' ? 1 : 0)
+        }
+    },
+    {
+        id: 'laneChanges',
+        description: 'Change lanes 50 times',
+        scope: 'total',
+        goal: 50,
+        reward: 1,
+        events: {
+            [GAME_EVENTS.LANE_CHANGE]: progress => progress + 1
+        }
+    },
+    {
+        id: 'surviveHard',
+        description: 'Survive 60 seconds on Hard or Extreme without a crash',
+        scope: 'run',
+        goal: 60,
+        reward: 3,
+        appliesTo: game => game.difficultyPreset === 'hard' || game.difficultyPreset === 'extreme',
+        update: (progress, delta) => progress + delta,
+        events: {
+            [GAME_EVENTS.COLLISION]: () => 0
+        }
+    },
+    {
+        id: 'nearMisses',
+        description: 'Pull off 10 near misses in one run',
+        scope: 'run',
+        goal: 10,
+        reward: 2,
+        events: {
+            [GAME_EVENTS.NEAR_MISS]: progress => progress + 1
+        }
+    },
+    {
+        id: 'avoidObstacles',
+        description: 'Get past 150 obstacles',
+        scope: 'total',
+        goal: 150,
+        reward: 1,
+        events: {
+            [GAME_EVENTS.OBSTACLE_AVOIDED]: progress => progress + 1
+        }
+    },
+    {
+        id: 'drive2000',
+        description: 'Drive 2,000 m in one run',
+        scope: 'run',
+        goal: 2000,
+        reward: 2,
+        update: (progress, delta, game) => Math.floor(game.distance / GAME_CONFIG.PIXELS_PER_METRE)
+    },
+    {
+        id: 'collectPowerUps',
+        description: 'Collect 20 power-ups',
+        scope: 'total',
+        goal: 20,
+        reward: 1,
+        events: {
+            [GAME_EVENTS.POWER_UP_COLLECTED]: progress => progress + 1
+        }
+    },
+    {
+        id: 'combo5',
+        description: 'Build a x5 near-miss combo',
+        scope: 'run',
+        goal: 5,
+        reward: 2,
+        events: {
+            [GAME_EVENTS.NEAR_MISS]: (progress, { combo }) => Math.max(progress, combo)
+        }
+    },
+    {
+        id: 'score5000',
+        description: 'Score 5,000 points in one run',
+        scope: 'run',
+        goal: 5000,
+        reward: 2,
+        update: (progress, delta, game) => game.score
+    },
+    {
+        id: 'checkpoints',
+        description: 'Pass 10 time trial checkpoints',
+        scope: 'total',
+        goal: 10,
+        reward: 2,
+        events: {
+            [GAME_EVENTS.CHECKPOINT]: progress => progress + 1
+        }
+    },
+    {
+        id: 'doubleScores',
+        description: 'Collect 2 Double Score power-ups in one run',
+        scope: 'run',
+        goal: 2,
+        reward: 1,
+        events: {
+            [GAME_EVENTS.POWER_UP_COLLECTED]: (progress, { type }) => progress + (type === 'scoreBoost' ? 1 : 0)
+        }
+    }
+];
+
+/**
+ * Look up a mission in the catalogue
+ * @param {string} id - Mission id
+ * @returns {Object|undefined} The mission definition
+ */
+export function getMission(id) {
+    return MISSIONS.find(mission => mission.id === id);
+}
+
+/**
+ * Keeps the active missions and their progress, and moves them on from the
+ * game's events while a run is being tracked. Replays are never tracked, so
+ * watching a run again cannot complete anything.
+ */
+export class MissionTracker {
+    /**
+     * @param {GameSimulation} game - The game whose runs count towards the missions
+     */
+    constructor(game) {
+        this.game = game;
+        this.tracking = false;
+        this.runProgress = new Map(); // Mission id -> progress in the current run
+        this.completedThisRun = [];
+        this.load();
+        
+        // Subscribe once to every event some mission listens to
+        const events = new Set(MISSIONS.flatMap(mission => Object.keys(mission.events || {})));
+        events.forEach(event => {
+            this.game.events.on(event, payload => this.onEvent(event, payload));
+        });
+    }
+    
+    /**
+     * Read the active profile's missions, dropping any no longer in the catalogue
+     */
+    load() {
+        const saved = loadData('missions', null);
+        
+        this.active = saved && Array.isArray(saved.active) ?
+            saved.active.filter(entry => getMission(entry.id) && Number.isFinite(entry.progress)) : [];
+        this.next = saved && Number.isInteger(saved.next) ? saved.next : 0;
+        this.stars = saved && Number.isInteger(saved.stars) ? saved.stars : 0;
+        this.completed = saved && Number.isInteger(saved.completed) ? saved.completed : 0;
+        
+        while (this.active.length < ACTIVE_MISSION_COUNT) {
+            this.active.push(this.drawMission());
+        }
+    }
+    
+    /**
+     * Save the missions to the active profile
+     */
+    save() {
+        saveData('missions', {
+            active: this.active,
+            next: this.next,
+            stars: this.stars,
+            completed: this.completed
+        });
+    }
+    
+    /**
+     * Take the next mission in the catalogue that is not already active
+     * @returns {Object} New active entry with no progress
+     */
+    drawMission() {
+        let mission;
+        do {
+            mission = MISSIONS[this.next % MISSIONS.length];
+            this.next = (this.next + 1) % MISSIONS.length;
+        } while (this.active.some(entry => entry.id === mission.id));
+        
+        return { id: mission.id, progress: 0 };
+    }
+    
+    /**
+     * Get the active missions for display
+     * @returns {Array<{mission: Object, progress: number}>} One entry per active mission
+     */
+    getActive() {
+        return this.active.map(entry => {
+            const mission = getMission(entry.id);
+            return { mission, progress: Math.min(entry.progress, mission.goal) };
+        });
+    }
+    
+    /**
+     * Start counting a run towards the missions
+     */
+    startRun() {
+        this.tracking = true;
+        this.runProgress.clear();
+        this.completedThisRun = [];
+    }
+    
+    /**
+     * Stop counting the run and keep its progress
+     */
+    endRun() {
+        if (!this.tracking) return;
+        
+        this.tracking = false;
+        this.runProgress.clear();
+        this.save();
+    }
+    
+    /**
+     * Move on the missions that progress every step
+     * @param {number} delta - Step length in seconds
+     */
+    update(delta) {
+        if (!this.tracking) return;
+        
+        this.active.slice().forEach(entry => {
+            const mission = getMission(entry.id);
+            if (mission.update) {
+                this.advance(entry, mission, progress => mission.update(progress, delta, this.game));
+            }
+        });
+    }
+    
+    /**
+     * Move on the missions that listen to a game event
+     * @param {string} event - Event name from GAME_EVENTS
+     * @param {Object} payload - Event payload
+     */
+    onEvent(event, payload) {
+        if (!this.tracking) return;
+        
+        this.active.slice().forEach(entry => {
+            const mission = getMission(entry.id);
+            const handler = mission.events && mission.events[event];
+            if (handler) {
+                this.advance(entry, mission, progress => handler(progress, payload, this.game));
+            }
+        });
+    }
+    
+    /**
+     * Apply a progress change to an active mission and complete it at its goal
+     * @param {Object} entry - Active entry
+     * @param {Object} mission - Its definition
+     * @param {Function} step - Maps the current progress to the new one
+     */
+    advance(entry, mission, step) {
+        if (mission.appliesTo && !mission.appliesTo(this.game)) return;
+        
+        if (mission.scope === 'run') {
+            const runProgress = step(this.runProgress.get(entry.id) || 0);
+            this.runProgress.set(entry.id, runProgress);
+            entry.progress = Math.max(entry.progress, runProgress);
+        } else {
+            entry.progress = step(entry.progress);
+        }
+        
+        if (entry.progress >= mission.goal) {
+            this.complete(entry, mission);
+        }
+    }
+    
+    /**
+     * Award a completed mission's stars and rotate the next one in
+     * @param {Object} entry - Active entry that reached its goal
+     * @param {Object} mission - Its definition
+     */
+    complete(entry, mission) {
+        this.stars += mission.reward;
+        this.completed++;
+        this.completedThisRun.push(mission);
+        this.runProgress.delete(entry.id);
+        
+        const index = this.active.indexOf(entry);
+        this.active.splice(index, 1);
+        this.active.splice(index, 0, this.drawMission());
+        this.save();
+        
+        this.game.events.emit(GAME_EVENTS.MISSION_COMPLETED, {
+            mission,
+            reward: mission.reward,
+            stars: this.stars
+        });
+    }
+}
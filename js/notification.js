@@ -18,7 +18,7 @@ export class NotificationSystem {
     /**
      * Show a notification message
      * @param {string} message - Notification text
-     * @param {string} type - Notification type (info, success, warning, error)
+     * @param {string} type - Notification type (info, success, warning, error, achievement)
      * @param {number} duration - Duration in milliseconds
      */
     show(message, type = 'info', duration = 3000) {
@@ -37,6 +37,9 @@ export class NotificationSystem {
             case 'error':
                 notification.classList.add('bg-red-500');
                 break;
+            case 'achievement':
+                notification.classList.add('bg-yellow-500');
+                break;
             default: // info
                 notification.classList.add('bg-blue-500');
                 break;
@@ -138,6 +141,10 @@ export class NotificationSystem {
                 return `<svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                     <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
                 </svg>`;
+            case 'achievement':
+                return `<svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z" />
+                </svg>`;
             default: // info
                 return `<svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                     <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
@@ -172,6 +179,15 @@ export class NotificationSystem {
         return this.show(message, 'error', duration);
     }
     
+    /**
+     * Show an achievement notification, kept up longer than the others
+     * @param {string} message - Notification text
+     * @param {number} duration - Duration in milliseconds
+     */
+    achievement(message, duration = 5000) {
+        return this.show(message, 'achievement', duration);
+    }
+    
     /**
      * Show an info notification
      * @param {string} message - Notification text
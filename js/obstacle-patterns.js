@@ -0,0 +1,400 @@
+// Obstacle patterns: plans upcoming rows of traffic so a way through always exists
+import { GAME_CONFIG } from './constants.js';
+import { Obstacle } from './game-objects.js';
+import { getObstacleType, getObstacleTypes } from './registry.js';
+import { clamp, lerp } from './utility.js';
+
+// Obstacle type for each template letter; '?' picks any registered type
+const TEMPLATE_TYPES = {
+    c: 'car',
+    t: 'truck',
+    d: 'debris'
+};
+
+/**
+ * Authored patterns. Each row lists what goes in every lane, left to right:
+ * 'c' car, 't' truck, 'd' debris, '?' any registered obstacle, '.' empty.
+ * `gap` is the space in pixels before the next row at the lowest difficulty.
+ * Patterns may be mirrored, `shift` ones are also moved across the road, and
+ * none is used before the run's intensity (0-1) reaches `minIntensity`.
+ */
+export const OBSTACLE_PATTERNS = [
+    {
+        name: 'slalom',
+        weight: 2,
+        minIntensity: 0,
+        rows: [
+            { lanes: '.cc', gap: 170 },
+            { lanes: 'c.c', gap: 170 },
+            { lanes: 'cc.', gap: 170 }
+        ]
+    },
+    {
+        name: 'truckConvoy',
+        weight: 2,
+        minIntensity: 0.15,
+        shift: true,
+        rows: [
+            { lanes: 't..', gap: 25 },
+            { lanes: 't..', gap: 25 },
+            { lanes: 't..', gap: 25 }
+        ]
+    },
+    {
+        name: 'gates',
+        weight: 2,
+        minIntensity: 0.3,
+        rows: [
+            { lanes: 'd.d', gap: 150 },
+            { lanes: '.dd', gap: 150 },
+            { lanes: 'd.d', gap: 150 },
+            { lanes: 'dd.', gap: 150 }
+        ]
+    },
+    {
+        name: 'doubleConvoy',
+        weight: 1,
+        minIntensity: 0.5,
+        rows: [
+            { lanes: 't.t', gap: 25 },
+            { lanes: 't.t', gap: 25 },
+            { lanes: 'c.c', gap: 25 }
+        ]
+    }
+];
+
+// Weight of a procedural plan against the authored patterns
+const PROCEDURAL_WEIGHT = 4;
+
+// Gap between procedural rows at the lowest difficulty
+const PROCEDURAL_GAP = 200; // pixels
+
+/**
+ * Plans rows of obstacles from the authored patterns and procedural ones, and
+ * spawns them as the road scrolls. Every row leaves at least one lane free,
+ * and the gap before each row is stretched until the player, changing lanes
+ * at their car's lane-change speed and driving at the preset's top speed, can
+ * get from a lane that was reachable in the previous row to a free lane in it.
+ *
+ * All obstacles of a plan share one speed so its rows hold their spacing, and
+ * obstacles from authored patterns keep their lanes so traffic cannot undo
+ * the way through.
+ */
+export class ObstaclePatternGenerator {
+    /**
+     * @param {GameSimulation} game - The simulation obstacles are spawned into
+     */
+    constructor(game) {
+        this.game = game;
+        this.reset();
+    }
+    
+    /**
+     * Forget the current plan (used when a run resets)
+     */
+    reset() {
+        this.queue = []; // Planned rows not yet spawned
+        this.distance = 0; // Distance the last spawned row has moved since it spawned
+        this.speed = 0; // Speed of the last spawned row
+        this.lastRowHeight = 0;
+        this.reachableLanes = Array.from(Array(GAME_CONFIG.LANE_COUNT).keys());
+    }
+    
+    /**
+     * How far the run's difficulty has progressed, for picking and spacing patterns
+     * @returns {number} Intensity from 0 to 1
+     */
+    getIntensity() {
+        return clamp(this.game.difficulty - 1, 0, 1);
+    }
+    
+    /**
+     * Advance by one step, planning and spawning rows as the road scrolls
+     * @param {number} delta - Step length in seconds
+     */
+    update(delta) {
+        const game = this.game;
+        this.distance += this.speed * game.player.speed * GAME_CONFIG.BASE_SPEED_FACTOR * delta * game.timeScale;
+        
+        if (this.queue.length === 0) {
+            this.planNext();
+        }
+        
+        if (this.distance >= this.queue[0].spacing) {
+            this.spawnRow(this.queue.shift());
+        }
+    }
+    
+    /**
+     * Pick the next pattern and queue its rows
+     */
+    planNext() {
+        const intensity = this.getIntensity();
+        const patterns = OBSTACLE_PATTERNS.filter(pattern =>
+            intensity >= pattern.minIntensity &&
+            pattern.rows.every(row => row.lanes.length === GAME_CONFIG.LANE_COUNT)
+        );
+        
+        // Weighted pick between the procedural plan and the authored patterns
+        const totalWeight = patterns.reduce((sum, pattern) => sum + pattern.weight, PROCEDURAL_WEIGHT);
+        let roll = this.game.rng.next() * totalWeight - PROCEDURAL_WEIGHT;
+        const pattern = roll < 0 ? null : patterns.find(candidate => (roll -= candidate.weight) < 0);
+        
+        const rows = pattern ? this.buildPatternRows(pattern) : this.buildProceduralRows(intensity);
+        this.queuePlan(rows, intensity);
+    }
+    
+    /**
+     * Turn an authored pattern into rows of obstacle types
+     * @param {Object} pattern - Pattern from OBSTACLE_PATTERNS
+     * @returns {Array<{lanes: Array<string|null>, gap: number, keepsLane: boolean}>} Planned rows
+     */
+    buildPatternRows(pattern) {
+        const rng = this.game.rng;
+        const mirror = rng.chance(0.5);
+        const shift = pattern.shift ? rng.int(0, GAME_CONFIG.LANE_COUNT - 1) : 0;
+        
+        return pattern.rows.map(row => {
+            const cells = Array.from(mirror ? [...row.lanes].reverse().join('') : row.lanes);
+            const shifted = cells.map((cell, lane) => cells[(lane - shift + cells.length) % cells.length]);
+            
+            return {
+                lanes: shifted.map(cell => this.resolveType(cell)),
+                gap: row.gap,
+                keepsLane: true
+            };
+        });
+    }
+    
+    /**
+     * Make up a few rows, blocking more lanes as the intensity rises
+     * @param {number} intensity - Current intensity from 0 to 1
+     * @returns {Array<{lanes: Array<string|null>, gap: number, keepsLane: boolean}>} Planned rows
+     */
+    buildProceduralRows(intensity) {
+        const rng = this.game.rng;
+        const rowCount = 1 + rng.int(0, Math.round(intensity * 2));
+        const rows = [];
+        
+        for (let i = 0; i < rowCount; i++) {
+            const blocked = rng.chance(0.2 + intensity * 0.5) ? GAME_CONFIG.LANE_COUNT - 1 : 1;
+            const freeLanes = Array.from(Array(GAME_CONFIG.LANE_COUNT).keys());
+            const lanes = freeLanes.map(() => null);
+            
+            for (let j = 0; j < blocked; j++) {
+                const lane = rng.pick(freeLanes);
+                freeLanes.splice(freeLanes.indexOf(lane), 1);
+                lanes[lane] = this.resolveType('?');
+            }
+            
+            rows.push({ lanes, gap: PROCEDURAL_GAP, keepsLane: false });
+        }
+        
+        return rows;
+    }
+    
+    /**
+     * Turn a template letter into a registered obstacle type name
+     * @param {string} cell - Template letter
+     * @returns {string|null} Obstacle type name, or null for an empty lane
+     */
+    resolveType(cell) {
+        if (cell === '.') return null;
+        
+        const type = TEMPLATE_TYPES[cell];
+        if (type && getObstacleType(type)) return type;
+        
+        return this.game.rng.pick(getObstacleTypes()).type;
+    }
+    
+    /**
+     * Give the planned rows a shared speed and the spacing that keeps a way
+     * through, then queue them
+     * @param {Array<Object>} rows - Planned rows
+     * @param {number} intensity - Current intensity from 0 to 1
+     */
+    queuePlan(rows, intensity) {
+        const game = this.game;
+        const definitions = rows.flatMap(row => row.lanes.filter(Boolean)).map(type => getObstacleType(type));
+        const minSpeed = Math.max(...definitions.map(definition => definition.minSpeed));
+        const maxSpeed = Math.min(...definitions.map(definition => definition.maxSpeed));
+        const speed = game.rng.range(Math.min(minSpeed, maxSpeed), Math.max(minSpeed, maxSpeed));
+        const previousSpeed = this.speed || speed;
+        
+        // At the start of a run, measure the lead-in at the first plan's speed
+        this.speed = previousSpeed;
+        
+        // Space plans like single obstacles used to be, plus the ground a faster
+        // plan makes up on the previous one before that leaves the road
+        const spawnInterval = game.getObstacleSpawnInterval() / 1000;
+        let leadGap = spawnInterval * previousSpeed * game.player.speed * GAME_CONFIG.BASE_SPEED_FACTOR;
+        if (speed > previousSpeed) {
+            leadGap += (game.height + this.lastRowHeight) * (speed / previousSpeed - 1);
+        }
+        
+        let reachable = this.reachableLanes;
+        let previousHeight = this.lastRowHeight;
+        let gapBefore = leadGap;
+        const gapScale = lerp(1.5, 1, intensity);
+        
+        rows.forEach(row => {
+            const freeLanes = row.lanes.map((type, lane) => (type ? null : lane)).filter(lane => lane !== null);
+            const crossing = this.getFewestLanesToCross(reachable, freeLanes);
+            const gap = Math.max(gapBefore, this.getMinimumGap(crossing, speed));
+            
+            // Lanes the player can be in when this row passes. The gap was sized
+            // for the fewest lanes to cross, so those lanes count as reached
+            // without comparing times that rounding can leave a hair apart.
+            const time = this.getTimeBetweenRows(gap, speed);
+            reachable = freeLanes.filter(lane => reachable.some(from => {
+                const lanes = Math.abs(from - lane);
+                return lanes <= crossing || this.getLaneChangeTime(lanes) <= time;
+            }));
+            
+            const heights = row.lanes.filter(Boolean).map(type => getObstacleType(type).height);
+            const height = Math.max(0, ...heights);
+            
+            this.queue.push({
+                lanes: row.lanes,
+                spacing: previousHeight + gap,
+                height,
+                speed,
+                keepsLane: row.keepsLane
+            });
+            
+            previousHeight = height;
+            gapBefore = row.gap * gapScale;
+        });
+        
+        this.reachableLanes = reachable;
+    }
+    
+    /**
+     * Fewest lanes the player has to cross from any of one set of lanes to any of another
+     * @param {number[]} fromLanes - Lanes the player can be in
+     * @param {number[]} toLanes - Lanes the player needs to reach
+     * @returns {number} Number of lanes to cross
+     */
+    getFewestLanesToCross(fromLanes, toLanes) {
+        let fewest = GAME_CONFIG.LANE_COUNT;
+        fromLanes.forEach(from => {
+            toLanes.forEach(to => {
+                fewest = Math.min(fewest, Math.abs(from - to));
+            });
+        });
+        return fewest;
+    }
+    
+    /**
+     * Time the player needs to get across some lanes, reaction time included
+     * @param {number} lanes - Number of lanes to cross
+     * @returns {number} Time in seconds
+     */
+    getLaneChangeTime(lanes) {
+        // Plan for the slowest steering the car can have by the time the row
+        // arrives, which is with heavy damage unless crashes cost lives instead
+        const { game } = this;
+        const steeringLeft = game.rules.lives ? 1 : GAME_CONFIG.DAMAGED_STEERING;
+        const laneChangeSpeed = game.player.laneChangeSpeed * steeringLeft;
+        
+        // The car closes on its target lane exponentially; count it as there
+        // once it is within a tenth of a lane
+        const steering = lanes > 0 ? Math.log(10 * lanes) / laneChangeSpeed : 0;
+        return steering + GAME_CONFIG.PATTERN_REACTION_TIME / 1000;
+    }
+    
+    /**
+     * Time the player has to change lanes between two rows, at the preset's top speed
+     * @param {number} gap - Gap between the rows in pixels
+     * @param {number} speed - Speed of the rows
+     * @returns {number} Time in seconds
+     */
+    getTimeBetweenRows(gap, speed) {
+        const closingSpeed = speed * GAME_CONFIG.MAX_GAME_SPEED * GAME_CONFIG.BASE_SPEED_FACTOR;
+        return (gap - GAME_CONFIG.PLAYER_HEIGHT) / closingSpeed;
+    }
+    
+    /**
+     * Smallest gap between two rows that leaves time to cross some lanes
+     * @param {number} lanes - Number of lanes to cross
+     * @param {number} speed - Speed of the rows
+     * @returns {number} Gap in pixels
+     */
+    getMinimumGap(lanes, speed) {
+        const closingSpeed = speed * GAME_CONFIG.MAX_GAME_SPEED * GAME_CONFIG.BASE_SPEED_FACTOR;
+        return GAME_CONFIG.PLAYER_HEIGHT + this.getLaneChangeTime(lanes) * closingSpeed;
+    }
+    
+    /**
+     * Spawn a planned row at the top of the road
+     * @param {Object} row - Row from the queue
+     */
+    spawnRow(row) {
+        const game = this.game;
+        const laneWidth = game.getLaneWidth();
+        
+        row.lanes.forEach((type, lane) => {
+            if (!type) return;
+            
+            const obstacle = new Obstacle(lane, laneWidth, getObstacleType(type), game.rng);
+            obstacle.speed = row.speed;
+            obstacle.cruiseSpeed = row.speed;
+            obstacle.keepsLane = row.keepsLane;
+            game.obstacles.push(obstacle);
+        });
+        
+        this.distance = 0;
+        this.speed = row.speed;
+        this.lastRowHeight = row.height;
+    }
+    
+    /**
+     * Capture the plan
+     * @returns {Object} Plain-object snapshot
+     */
+    toSnapshot() {
+        return {
+            queue: this.queue.map(row => ({ ...row, lanes: [...row.lanes] })),
+            distance: this.distance,
+            speed: this.speed,
+            lastRowHeight: this.lastRowHeight,
+            reachableLanes: [...this.reachableLanes]
+        };
+    }
+    
+    /**
+     * Restore a plan captured by toSnapshot()
+     * @param {Object} snapshot - Snapshot of the plan
+     */
+    restoreSnapshot(snapshot) {
+        this.queue = snapshot.queue.map(row => ({ ...row, lanes: [...row.lanes] }));
+        this.distance = snapshot.distance;
+        this.speed = snapshot.speed;
+        this.lastRowHeight = snapshot.lastRowHeight;
+        
+        // Plans saved after the way through was lost start again from every lane
+        this.reachableLanes = snapshot.reachableLanes.length > 0 ?
+            [...snapshot.reachableLanes] :
+            Array.from(Array(GAME_CONFIG.LANE_COUNT).keys());
+    }
+    
+    /**
+     * Check that a plan snapshot can be restored
+     * @param {Object} snapshot - Data to validate
+     * @returns {boolean} True if every planned row uses registered obstacle types
+     */
+    static isValidSnapshot(snapshot) {
+        const isLane = lane => Number.isInteger(lane) && lane >= 0 && lane < GAME_CONFIG.LANE_COUNT;
+        
+        return Boolean(snapshot) &&
+            Array.isArray(snapshot.queue) &&
+            snapshot.queue.every(row => Boolean(row) &&
+                Array.isArray(row.lanes) &&
+                row.lanes.length === GAME_CONFIG.LANE_COUNT &&
+                row.lanes.every(type => type === null || Boolean(getObstacleType(type))) &&
+                ['spacing', 'height', 'speed'].every(field => Number.isFinite(row[field]))) &&
+            ['distance', 'speed', 'lastRowHeight'].every(field => Number.isFinite(snapshot[field])) &&
+            Array.isArray(snapshot.reachableLanes) &&
+            snapshot.reachableLanes.every(isLane);
+    }
+}
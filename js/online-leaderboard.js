@@ -0,0 +1,250 @@
+// Online leaderboard client: submits scores over HTTP and keeps them queued while offline
+import { GAME_CONFIG, ONLINE_LEADERBOARD } from './constants.js';
+import { loadData, saveData } from './storage.js';
+import { createId } from './utility.js';
+
+/**
+ * Error from a request the server answered but refused (4xx). Such scores
+ * are not retried, since sending them again would fail the same way.
+ */
+export class LeaderboardRejectedError extends Error {
+    /**
+     * @param {string} message - The server's reason
+     * @param {number} status - HTTP status code
+     */
+    constructor(message, status) {
+        super(message);
+        this.name = 'LeaderboardRejectedError';
+        this.status = status;
+    }
+}
+
+/**
+ * Get the id the active profile submits scores under, creating it on first use
+ * @returns {string} Random player id
+ */
+export function getPlayerId() {
+    let playerId = loadData('playerId', null);
+    if (!playerId) {
+        playerId = createId();
+        saveData('playerId', playerId);
+    }
+    return playerId;
+}
+
+/**
+ * Client for the leaderboard API. The contract is three calls:
+ *
+ *   POST {endpoint}/scores              body: submission   -> { id, rank, total }
+ *   GET  {endpoint}/scores?mode=&difficulty=&limit=        -> { entries: [{ name, score, distance, duration, date }] }
+ *   GET  {endpoint}/rank?mode=&difficulty=&playerId=       -> { rank, score, total } (rank null if not on the board)
+ *
+ * Submissions that fail for network or server errors are queued in
+ * localStorage and sent again later, oldest first.
+ */
+export class OnlineLeaderboard {
+    /**
+     * @param {Object} options
+     * @param {string|null} options.endpoint - Base URL of the API, or null to stay offline
+     */
+    constructor({ endpoint = ONLINE_LEADERBOARD.ENDPOINT } = {}) {
+        this.endpoint = null;
+        this.retryTimer = null;
+        this.flushing = null; // Promise of the queue flush in progress
+        this.setEndpoint(endpoint);
+    }
+    
+    /**
+     * Point the client at a server, sending any queued scores to it
+     * @param {string|null} endpoint - Base URL of the API, or null to stay offline
+     */
+    setEndpoint(endpoint) {
+        this.endpoint = endpoint ? endpoint.replace(/\/+$/, '') : null;
+        if (this.isEnabled()) {
+            this.flushQueue();
+        }
+    }
+    
+    /**
+     * Whether an endpoint is configured
+     * @returns {boolean} True if scores are sent online
+     */
+    isEnabled() {
+        return this.endpoint !== null;
+    }
+    
+    /**
+     * Send a request to the API
+     * @param {string} path - Path and query below the endpoint
+     * @param {Object} options - fetch() options
+     * @returns {Promise<Object>} The parsed JSON response
+     */
+    async request(path, options = {}) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), ONLINE_LEADERBOARD.REQUEST_TIMEOUT);
+        
+        try {
+            const response = await fetch(`${this.endpoint}${path}`, { ...options, signal: controller.signal });
+            const body = await response.json().catch(() => ({}));
+            
+            if (response.status >= 400 && response.status < 500) {
+                throw new LeaderboardRejectedError(body.error || `Request refused (${response.status})`, response.status);
+            }
+            if (!response.ok) {
+                throw new Error(body.error || `Server error (${response.status})`);
+            }
+            return body;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+    
+    /**
+     * Build the query string for a board
+     * @param {Object} params - Query parameters
+     * @returns {string} Encoded query, starting with '?'
+     */
+    static query(params) {
+        return `?${new URLSearchParams(params).toString()}`;
+    }
+    
+    /**
+     * Submit a finished run. If it cannot be sent now it is queued and retried.
+     * @param {Object} report - Final run report from GameSimulation.getReport()
+     * @param {Object} details
+     * @param {string} details.name - Name shown on the board
+     * @param {Object|null} details.replay - The run's replay, so the server can check the score
+     * @returns {Promise<Object|null>} The server's { id, rank, total }, or null if the score was queued
+     */
+    async submitScore(report, { name, replay = null }) {
+        if (!this.isEnabled()) return null;
+        
+        const submission = {
+            playerId: getPlayerId(),
+            name,
+            mode: report.mode,
+            difficulty: report.difficulty,
+            score: report.score,
+            distance: Math.floor(report.distance / GAME_CONFIG.PIXELS_PER_METRE),
+            duration: Math.round(report.gameTime),
+            replay,
+            submittedAt: new Date().toISOString()
+        };
+        
+        // Queued scores go first, so the board sees them in the order they were set
+        await this.flushQueue();
+        
+        try {
+            return await this.send(submission);
+        } catch (error) {
+            if (error instanceof LeaderboardRejectedError) throw error;
+            this.enqueue(submission);
+            return null;
+        }
+    }
+    
+    /**
+     * POST one submission
+     * @param {Object} submission - Score submission
+     * @returns {Promise<Object>} The server's { id, rank, total }
+     */
+    send(submission) {
+        return this.request('/scores', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(submission)
+        });
+    }
+    
+    /**
+     * Fetch the top of a board
+     * @param {string} mode - Mode from GAME_MODES
+     * @param {string} difficulty - Difficulty preset
+     * @param {number} limit - Number of entries
+     * @returns {Promise<Array<Object>>} Entries, best first
+     */
+    async fetchTop(mode, difficulty, limit = ONLINE_LEADERBOARD.TOP_COUNT) {
+        const { entries } = await this.request(`/scores${OnlineLeaderboard.query({ mode, difficulty, limit })}`);
+        return Array.isArray(entries) ? entries : [];
+    }
+    
+    /**
+     * Fetch this player's place on a board
+     * @param {string} mode - Mode from GAME_MODES
+     * @param {string} difficulty - Difficulty preset
+     * @returns {Promise<Object>} { rank, score, total }; rank is null if the player has no score there
+     */
+    fetchMyRank(mode, difficulty) {
+        return this.request(`/rank${OnlineLeaderboard.query({ mode, difficulty, playerId: getPlayerId() })}`);
+    }
+    
+    /**
+     * Get the submissions waiting to be sent
+     * @returns {Array<Object>} Queued submissions, oldest first
+     */
+    getQueue() {
+        return loadData('scoreQueue', []);
+    }
+    
+    /**
+     * Keep a submission for later, dropping the oldest if the queue is full
+     * @param {Object} submission - Score submission
+     */
+    enqueue(submission) {
+        const queue = [...this.getQueue(), submission].slice(-ONLINE_LEADERBOARD.MAX_QUEUED);
+        saveData('scoreQueue', queue);
+        this.scheduleRetry();
+    }
+    
+    /**
+     * Try the queue again after RETRY_INTERVAL
+     */
+    scheduleRetry() {
+        if (this.retryTimer) return;
+        
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.flushQueue();
+        }, ONLINE_LEADERBOARD.RETRY_INTERVAL);
+    }
+    
+    /**
+     * Send the queued submissions in order, stopping at the first that fails
+     * for a reason worth retrying
+     * @returns {Promise<number>} Number of submissions sent
+     */
+    flushQueue() {
+        if (!this.isEnabled()) return Promise.resolve(0);
+        if (!this.flushing) {
+            this.flushing = this.sendQueued().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+    
+    /**
+     * Work through the queue for flushQueue()
+     * @returns {Promise<number>} Number of submissions sent
+     */
+    async sendQueued() {
+        let sent = 0;
+        
+        while (this.getQueue().length > 0) {
+            const [submission] = this.getQueue();
+            try {
+                await this.send(submission);
+                sent++;
+            } catch (error) {
+                if (!(error instanceof LeaderboardRejectedError)) {
+                    this.scheduleRetry();
+                    break;
+                }
+                console.warn('Queued score refused by the leaderboard:', error.message);
+            }
+            saveData('scoreQueue', this.getQueue().slice(1));
+        }
+        
+        return sent;
+    }
+}
@@ -1,14 +1,27 @@
 // Particle system for visual effects
-import { randomNumber } from './utility.js';
 import { GAME_CONFIG } from './constants.js';
+import { SeededRandom } from './random.js';
 
 export class ParticleSystem {
-    constructor(ctx) {
+    /**
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {SeededRandom} rng - Random number generator for particle spread
+     */
+    constructor(ctx, rng = new SeededRandom()) {
         this.ctx = ctx;
+        this.rng = rng;
         this.particles = [];
         this.emitters = [];
     }
     
+    /**
+     * Replace the random number generator used for particle spread
+     * @param {SeededRandom} rng - Random number generator
+     */
+    setRandom(rng) {
+        this.rng = rng;
+    }
+    
     /**
      * Create a particle emitter
      * @param {Object} config - Emitter configuration
@@ -63,11 +76,11 @@ export class ParticleSystem {
                 this.particles.shift();
             }
             
-            const angle = Math.random() * Math.PI * 2;
-            const speed = randomNumber(emitter.speed.min, emitter.speed.max);
-            const size = randomNumber(emitter.size.min, emitter.size.max);
-            const lifetime = randomNumber(emitter.lifetime.min, emitter.lifetime.max);
-            const color = emitter.colors[Math.floor(Math.random() * emitter.colors.length)];
+            const angle = this.rng.range(0, Math.PI * 2);
+            const speed = this.rng.int(emitter.speed.min, emitter.speed.max);
+            const size = this.rng.int(emitter.size.min, emitter.size.max);
+            const lifetime = this.rng.int(emitter.lifetime.min, emitter.lifetime.max);
+            const color = this.rng.pick(emitter.colors);
             
             this.particles.push({
                 x: emitter.x,
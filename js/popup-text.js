@@ -0,0 +1,77 @@
+// Floating text drawn on the canvas, such as near-miss bonuses
+
+// How long a popup stays on screen
+const POPUP_LIFETIME = 900; // milliseconds
+
+// How fast a popup drifts up the screen
+const POPUP_RISE_SPEED = 60; // pixels per second
+
+/**
+ * Short-lived text popups in world coordinates that rise and fade out.
+ * They age on game time, so they hold still while the game is paused.
+ */
+export class PopupTextSystem {
+    constructor() {
+        this.popups = [];
+    }
+    
+    /**
+     * Show a popup
+     * @param {string} text - Text to show
+     * @param {number} x - X position of the text's centre
+     * @param {number} y - Y position of the text's baseline
+     * @param {Object} options - Display options
+     * @param {string} options.color - Text colour
+     * @param {number} options.size - Font size in pixels
+     */
+    add(text, x, y, { color = '#ffffff', size = 18 } = {}) {
+        this.popups.push({ text, x, y, color, size, age: 0 });
+    }
+    
+    /**
+     * Move and age the popups
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        for (let i = this.popups.length - 1; i >= 0; i--) {
+            const popup = this.popups[i];
+            
+            popup.age += delta * 1000;
+            popup.y -= POPUP_RISE_SPEED * delta;
+            
+            if (popup.age >= POPUP_LIFETIME) {
+                this.popups.splice(i, 1);
+            }
+        }
+    }
+    
+    /**
+     * Draw all popups
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     */
+    draw(ctx) {
+        if (this.popups.length === 0) return;
+        
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+        
+        for (const popup of this.popups) {
+            ctx.globalAlpha = 1 - popup.age / POPUP_LIFETIME;
+            ctx.font = `bold ${popup.size}px sans-serif`;
+            ctx.strokeText(popup.text, popup.x, popup.y);
+            ctx.fillStyle = popup.color;
+            ctx.fillText(popup.text, popup.x, popup.y);
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Remove all popups
+     */
+    clear() {
+        this.popups = [];
+    }
+}
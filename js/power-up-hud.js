@@ -0,0 +1,149 @@
+// HUD listing the active power-up effects
+
+// Effects with less time than this left are flagged as about to expire
+const EXPIRY_WARNING_TIME = 1500; // milliseconds
+
+// How long an instant power-up (such as an extra life) stays on the HUD
+const INSTANT_FLASH_TIME = 1000; // milliseconds
+
+/**
+ * Shows one slot per active effect with its icon, remaining time and stack
+ * count. It is driven entirely by the simulation's game time, so the bars stop
+ * while the game is paused and follow the run when a replay is scrubbed.
+ */
+export class PowerUpHud {
+    /**
+     * @param {HTMLElement} container - Element the slots are rendered into
+     */
+    constructor(container) {
+        this.container = container;
+        this.slots = new Map(); // type -> { element, time, bar, stacks, state }
+        this.flashes = new Map(); // instant power-up type -> { definition, remaining }
+    }
+    
+    /**
+     * Remove every slot (used when a run starts)
+     */
+    clear() {
+        this.slots.forEach(slot => slot.element.remove());
+        this.slots.clear();
+        this.flashes.clear();
+    }
+    
+    /**
+     * Briefly show an instant power-up that has no lasting effect
+     * @param {Object} definition - Registered power-up definition
+     */
+    flash(definition) {
+        this.flashes.set(definition.type, { definition, remaining: INSTANT_FLASH_TIME });
+    }
+    
+    /**
+     * Advance instant pickups by one simulation step
+     * @param {number} delta - Step length in seconds
+     */
+    tick(delta) {
+        this.flashes.forEach((flash, type) => {
+            flash.remaining -= delta * 1000;
+            if (flash.remaining <= 0) {
+                this.flashes.delete(type);
+            }
+        });
+    }
+    
+    /**
+     * Bring the slots in line with the active effects
+     * @param {Array<Object>} effects - Active effects from EffectManager.getActive()
+     */
+    render(effects) {
+        const entries = [
+            ...effects,
+            ...Array.from(this.flashes, ([type, flash]) => ({
+                type,
+                definition: flash.definition,
+                remaining: flash.remaining,
+                duration: INSTANT_FLASH_TIME,
+                stacks: 0,
+                instant: true
+            }))
+        ];
+        
+        // Drop slots whose effect has ended
+        const activeTypes = new Set(entries.map(entry => entry.type));
+        this.slots.forEach((slot, type) => {
+            if (!activeTypes.has(type)) {
+                slot.element.remove();
+                this.slots.delete(type);
+            }
+        });
+        
+        entries.forEach(entry => this.renderSlot(entry));
+        this.container.classList.toggle('hidden', entries.length === 0);
+    }
+    
+    /**
+     * Create or update the slot for one effect, touching the DOM only when
+     * something visible changed
+     * @param {Object} entry - Active effect, or an instant pickup being flashed
+     */
+    renderSlot(entry) {
+        let slot = this.slots.get(entry.type);
+        if (!slot) {
+            slot = this.createSlot(entry.definition);
+            this.slots.set(entry.type, slot);
+            this.container.appendChild(slot.element);
+        }
+        
+        const seconds = entry.instant ? '' : `${Math.ceil(entry.remaining / 1000)}s`;
+        const stacks = entry.stacks > 1 ? `×${entry.stacks}` : '';
+        const percent = Math.round(entry.remaining / entry.duration * 100);
+        const expiring = !entry.instant && entry.remaining < EXPIRY_WARNING_TIME;
+        const state = `${seconds}|${stacks}|${percent}|${expiring}`;
+        
+        if (state === slot.state) return;
+        slot.state = state;
+        
+        slot.time.textContent = seconds;
+        slot.stacks.textContent = stacks;
+        slot.stacks.classList.toggle('hidden', !stacks);
+        slot.bar.style.width = `${percent}%`;
+        slot.element.classList.toggle('expiring', expiring);
+    }
+    
+    /**
+     * Build the DOM for a slot
+     * @param {Object} definition - Registered power-up definition
+     * @returns {Object} The slot's elements
+     */
+    createSlot(definition) {
+        const element = document.createElement('div');
+        element.className = 'power-up-slot';
+        element.style.setProperty('--power-up-color', definition.color);
+        
+        const icon = document.createElement('img');
+        icon.className = 'power-up-icon';
+        icon.alt = definition.label;
+        if (definition.sprite) {
+            icon.src = definition.sprite;
+        }
+        
+        const label = document.createElement('span');
+        label.className = 'power-up-label';
+        label.textContent = definition.label;
+        
+        const time = document.createElement('span');
+        time.className = 'power-up-time';
+        
+        const stacks = document.createElement('span');
+        stacks.className = 'power-up-stacks hidden';
+        
+        const timer = document.createElement('div');
+        timer.className = 'power-up-timer';
+        const bar = document.createElement('div');
+        bar.className = 'power-up-progress';
+        timer.appendChild(bar);
+        
+        element.append(icon, label, stacks, time, timer);
+        return { element, time, bar, stacks, state: null };
+    }
+}
@@ -0,0 +1,123 @@
+// Seeded pseudo-random number generator
+import { hashString } from './utility.js';
+
+/**
+ * Deterministic random number generator (mulberry32).
+ * Two generators created with the same seed produce the same sequence,
+ * which lets a run be reproduced exactly from its seed.
+ */
+export class SeededRandom {
+    /**
+     * @param {number|string} seed - Seed value; strings are hashed to a number
+     */
+    constructor(seed = SeededRandom.createSeed()) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+    
+    /**
+     * Create a new random seed
+     * @returns {number} A 32-bit unsigned seed
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+    
+    /**
+     * Convert a seed value to a 32-bit unsigned integer
+     * @param {number|string} seed - Seed value
+     * @returns {number} Normalized seed
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'string') {
+            return hashString(seed);
+        }
+        
+        return Math.floor(Number(seed) || 0) >>> 0;
+    }
+    
+    /**
+     * Reset the generator to the start of its sequence
+     * @param {number|string} seed - Optional new seed
+     */
+    reset(seed = this.seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+    
+    /**
+     * Get the next random number
+     * @returns {number} A number in the range [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    /**
+     * Get a random float between min (inclusive) and max (exclusive)
+     * @param {number} min - The minimum value
+     * @param {number} max - The maximum value
+     * @returns {number} A random float
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+    
+    /**
+     * Get a random integer between min and max (inclusive)
+     * @param {number} min - The minimum value
+     * @param {number} max - The maximum value
+     * @returns {number} A random integer
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+    
+    /**
+     * Pick a random element from an array
+     * @param {Array} items - Array to pick from
+     * @returns {*} A random element, or undefined for an empty array
+     */
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+    
+    /**
+     * Return true with the given probability
+     * @param {number} probability - Probability between 0 and 1
+     * @returns {boolean} Whether the roll succeeded
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+    
+    /**
+     * Create an independent generator derived from this one.
+     * Useful for cosmetic randomness that must not shift the gameplay sequence.
+     * @param {number|string} salt - Value mixed into the derived seed
+     * @returns {SeededRandom} A new generator
+     */
+    fork(salt = 0) {
+        return new SeededRandom((this.seed ^ SeededRandom.normalizeSeed(salt)) >>> 0);
+    }
+    
+    /**
+     * Get the internal state, for saving a generator mid-sequence
+     * @returns {number} Current state
+     */
+    getState() {
+        return this.state;
+    }
+    
+    /**
+     * Restore a previously saved internal state
+     * @param {number} state - State from getState()
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
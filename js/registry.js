@@ -0,0 +1,184 @@
+// Registry of obstacle and power-up types, so new content can ship as self-contained modules
+
+// Registered types in registration order; spawning picks from these lists with the
+// seeded rng, so the order must be the same on every load for replays to hold
+const powerUpTypes = [];
+const obstacleTypes = [];
+
+/**
+ * @typedef {Object} PowerUpDefinition
+ * @property {string} type - Unique type name, e.g. 'shield'
+ * @property {string} sprite - Image path, preloaded with the other assets
+ * @property {number} duration - Effect length in milliseconds of game time (0 for instant effects)
+ * @property {string} stacking - Repeat pickups while active: 'refresh' restarts the timer,
+ *                               'extend' adds the duration to the time left
+ * @property {number} maxDuration - Longest an 'extend' effect can last, in milliseconds
+ * @property {string} label - Display name, e.g. 'Slow Motion'
+ * @property {string} message - Notification shown on pickup
+ * @property {string} color - Fallback colour when the sprite is missing
+ * @property {number} width - Width in pixels
+ * @property {number} height - Height in pixels
+ * @property {boolean|Function} randomSpawn - Whether regular power-up spawns can pick it: false for
+ *                                            pickups that something else spawns, such as fuel cans,
+ *                                            or (game) => boolean to decide per run
+ * @property {Function} onApply - (game, powerUp) => void, called when the effect starts
+ * @property {Function} onExpire - (game) => void, called when a timed effect runs out
+ * @property {Function} onUpdate - (game, delta, remaining) => void, called every step while active
+ */
+
+/**
+ * @typedef {Object} ObstacleDefinition
+ * @property {string} type - Unique type name, e.g. 'truck'
+ * @property {string} sprite - Image path, preloaded with the other assets
+ * @property {string} color - Fallback colour when the sprite is missing
+ * @property {number} width - Width in pixels
+ * @property {number} height - Height in pixels
+ * @property {number} points - Points for avoiding the obstacle, before speed and multiplier
+ * @property {number} damage - Health lost hitting it at an impact speed of 1; part of it
+ *                             scales with the impact speed (see IMPACT_SPEED_WEIGHT)
+ * @property {Object} hitboxAdjustment - Optional {x, y, width, height} added to the hitbox
+ * @property {number} minSpeed - Slowest speed relative to the road
+ * @property {number} maxSpeed - Fastest speed relative to the road
+ * @property {boolean} traffic - Whether it drives as traffic: signals and changes lanes,
+ *                               and brakes rather than run into the vehicle ahead
+ * @property {Function} onUpdate - (game, obstacle, delta) => void, called every step
+ * @property {Function} onHit - (game, obstacle) => void, called after the player hits it
+ */
+
+/**
+ * Check the fields shared by every content definition
+ * @param {Object} definition - Definition to check
+ * @param {Object[]} registered - Types already registered in the same category
+ * @param {string} kind - Category name for error messages
+ */
+function validateDefinition(definition, registered, kind) {
+    if (!definition || typeof definition.type !== 'string' || !definition.type) {
+        throw new Error(`${kind} definition needs a type name`);
+    }
+    if (registered.some(existing => existing.type === definition.type)) {
+        throw new Error(`${kind} type already registered: ${definition.type}`);
+    }
+    if (!(definition.width > 0) || !(definition.height > 0)) {
+        throw new Error(`${kind} ${definition.type} needs a positive width and height`);
+    }
+    ['onApply', 'onExpire', 'onUpdate', 'onHit'].forEach(hook => {
+        if (definition[hook] !== undefined && typeof definition[hook] !== 'function') {
+            throw new Error(`${kind} ${definition.type}: ${hook} must be a function`);
+        }
+    });
+}
+
+/**
+ * Register a power-up type
+ * @param {PowerUpDefinition} definition - The power-up type
+ * @returns {PowerUpDefinition} The registered definition, with defaults filled in
+ */
+export function registerPowerUp(definition) {
+    validateDefinition(definition, powerUpTypes, 'Power-up');
+    if (definition.stacking !== undefined && !['refresh', 'extend'].includes(definition.stacking)) {
+        throw new Error(`Power-up ${definition.type}: stacking must be 'refresh' or 'extend'`);
+    }
+    
+    const powerUp = {
+        duration: 0,
+        stacking: 'refresh',
+        maxDuration: (definition.duration || 0) * 3,
+        color: '#ffffff',
+        sprite: null,
+        label: definition.type,
+        message: `${definition.label || definition.type}!`,
+        randomSpawn: true,
+        ...definition
+    };
+    
+    powerUpTypes.push(powerUp);
+    return powerUp;
+}
+
+/**
+ * Register an obstacle type
+ * @param {ObstacleDefinition} definition - The obstacle type
+ * @returns {ObstacleDefinition} The registered definition, with defaults filled in
+ */
+export function registerObstacle(definition) {
+    validateDefinition(definition, obstacleTypes, 'Obstacle');
+    
+    const obstacle = {
+        color: '#ff0000',
+        sprite: null,
+        points: 10,
+        damage: 25,
+        hitboxAdjustment: null,
+        minSpeed: 1,
+        maxSpeed: 1.5,
+        traffic: false,
+        ...definition
+    };
+    
+    obstacleTypes.push(obstacle);
+    return obstacle;
+}
+
+/**
+ * Get every registered power-up type
+ * @returns {PowerUpDefinition[]} Power-up types in registration order
+ */
+export function getPowerUpTypes() {
+    return powerUpTypes;
+}
+
+/**
+ * Get the power-up types regular power-up spawns pick from
+ * @param {GameSimulation} game - Run to check per-run `randomSpawn` functions and banned
+ *                                power-ups against; without one, function types are left out
+ * @returns {PowerUpDefinition[]} Power-up types in registration order
+ */
+export function getRandomPowerUpTypes(game = null) {
+    return powerUpTypes.filter(definition => {
+        if (game && game.modifiers.bannedPowerUps.includes(definition.type)) return false;
+        
+        return typeof definition.randomSpawn === 'function' ?
+            Boolean(game) && definition.randomSpawn(game) :
+            definition.randomSpawn;
+    });
+}
+
+/**
+ * Look up a power-up type
+ * @param {string} type - Type name
+ * @returns {PowerUpDefinition|undefined} The definition, if registered
+ */
+export function getPowerUpType(type) {
+    return powerUpTypes.find(definition => definition.type === type);
+}
+
+/**
+ * Get every registered obstacle type
+ * @returns {ObstacleDefinition[]} Obstacle types in registration order
+ */
+export function getObstacleTypes() {
+    return obstacleTypes;
+}
+
+/**
+ * Look up an obstacle type
+ * @param {string} type - Type name
+ * @returns {ObstacleDefinition|undefined} The definition, if registered
+ */
+export function getObstacleType(type) {
+    return obstacleTypes.find(definition => definition.type === type);
+}
+
+/**
+ * Get the sprites of all registered content for preloading
+ * @returns {Object} Map of image key to path; the key is the path itself
+ */
+export function getSpriteAssets() {
+    const sprites = {};
+    [...obstacleTypes, ...powerUpTypes].forEach(definition => {
+        if (definition.sprite) {
+            sprites[definition.sprite] = definition.sprite;
+        }
+    });
+    return sprites;
+}
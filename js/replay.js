@@ -0,0 +1,287 @@
+// Replay recording, playback and storage
+import { GAME_MODES, TIME_TRIAL_COURSES, DEFAULT_RULES, DEFAULT_MODIFIERS } from './constants.js';
+import { isDateKey } from './daily-challenge.js';
+import { loadData, saveData } from './storage.js';
+
+// Bump when the replay format changes in an incompatible way
+export const REPLAY_VERSION = 3;
+
+// Maximum number of replays kept in localStorage
+const MAX_SAVED_REPLAYS = 10;
+
+// Compact codes for recorded inputs
+const INPUT_CODES = {
+    left: 'L',
+    right: 'R',
+    accelerate: 'A',
+    decelerate: 'D',
+    brake: 'B',
+    releaseBrake: 'E'
+};
+
+const INPUT_ACTIONS = Object.fromEntries(
+    Object.entries(INPUT_CODES).map(([action, code]) => [code, action])
+);
+
+/**
+ * Records the inputs of a run so it can be replayed from its seed
+ */
+export class ReplayRecorder {
+    constructor() {
+        this.replay = null;
+    }
+    
+    /**
+     * Start recording a new run
+     * @param {Object} options - Run settings
+     * @param {number} options.seed - Seed of the run
+     * @param {string} options.difficulty - Difficulty preset of the run
+     * @param {Object} options.rules - Optional rules the run is played under
+     * @param {string} options.mode - Game mode of the run
+     * @param {string|null} options.course - Time trial course, or null in other modes
+     * @param {string|null} options.challenge - Daily challenge date, or null in other modes
+     * @param {Object} options.modifiers - Modifiers the run is played with
+     */
+    start({ seed, difficulty, rules, mode = GAME_MODES.ENDLESS, course = null, challenge = null, modifiers = {} }) {
+        this.replay = {
+            version: REPLAY_VERSION,
+            seed,
+            difficulty,
+            rules: { ...rules },
+            mode,
+            course,
+            challenge,
+            modifiers: { ...modifiers },
+            inputs: [],
+            steps: 0,
+            score: 0,
+            recordedAt: null
+        };
+    }
+    
+    /**
+     * Stop recording without keeping the run
+     */
+    cancel() {
+        this.replay = null;
+    }
+    
+    /**
+     * Record an input
+     * @param {number} step - Simulation step the input applies before
+     * @param {string} action - Input action passed to handleInput
+     */
+    record(step, action) {
+        if (!this.replay || !INPUT_CODES[action]) return;
+        this.replay.inputs.push([step, INPUT_CODES[action]]);
+    }
+    
+    /**
+     * Stop recording and return the finished replay
+     * @param {Object} report - Final run report from GameSimulation.getReport()
+     * @returns {Object|null} The replay, or null if nothing was being recorded
+     */
+    finish(report) {
+        if (!this.replay) return null;
+        
+        const replay = this.replay;
+        replay.steps = report.steps;
+        replay.score = report.score;
+        replay.recordedAt = new Date().toISOString();
+        
+        this.replay = null;
+        return replay;
+    }
+}
+
+/**
+ * Feeds the inputs of a recorded replay back step by step
+ */
+export class ReplayPlayer {
+    /**
+     * @param {Object} replay - A replay produced by ReplayRecorder
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.cursor = 0;
+    }
+    
+    /**
+     * Rewind to the first input
+     */
+    rewind() {
+        this.cursor = 0;
+    }
+    
+    /**
+     * Get the inputs that apply before the given step, advancing the cursor
+     * @param {number} step - Simulation step about to run
+     * @returns {string[]} Input actions in recorded order
+     */
+    takeInputs(step) {
+        const actions = [];
+        const inputs = this.replay.inputs;
+        
+        while (this.cursor < inputs.length && inputs[this.cursor][0] <= step) {
+            actions.push(INPUT_ACTIONS[inputs[this.cursor][1]]);
+            this.cursor++;
+        }
+        
+        return actions;
+    }
+    
+    /**
+     * Whether every recorded step has been played
+     * @param {number} step - Current simulation step
+     * @returns {boolean} True at the end of the replay
+     */
+    isFinished(step) {
+        return step >= this.replay.steps;
+    }
+}
+
+/**
+ * Check that an object is a usable replay
+ * @param {Object} replay - Data to validate
+ * @returns {boolean} True if the replay can be played
+ */
+export function isValidReplay(replay) {
+    return Boolean(replay) &&
+        replay.version === REPLAY_VERSION &&
+        Number.isInteger(replay.seed) &&
+        typeof replay.difficulty === 'string' &&
+        // Replays recorded before rules existed have none and play with the defaults
+        (replay.rules === undefined || (Boolean(replay.rules) && typeof replay.rules === 'object')) &&
+        // Likewise, replays from before game modes are endless runs
+        (replay.mode === undefined || replay.mode === GAME_MODES.ENDLESS ||
+            (replay.mode === GAME_MODES.TIME_TRIAL && Boolean(TIME_TRIAL_COURSES[replay.course])) ||
+            (replay.mode === GAME_MODES.DAILY && isDateKey(replay.challenge))) &&
+        (replay.modifiers === undefined || (Boolean(replay.modifiers) && typeof replay.modifiers === 'object')) &&
+        Number.isInteger(replay.steps) &&
+        Array.isArray(replay.inputs) &&
+        replay.inputs.every(input =>
+            Array.isArray(input) &&
+            Number.isInteger(input[0]) &&
+            INPUT_ACTIONS[input[1]] !== undefined
+        );
+}
+
+/**
+ * Get the course or day a replay's mode was played on, for GameSimulation.setMode()
+ * @param {Object} replay - A valid replay
+ * @returns {string|null} Time trial course, daily challenge date, or null for an endless run
+ */
+export function getReplayVariant(replay) {
+    if (replay.mode === GAME_MODES.TIME_TRIAL) return replay.course;
+    if (replay.mode === GAME_MODES.DAILY) return replay.challenge;
+    return null;
+}
+
+/**
+ * Get the replays saved in localStorage, newest first
+ * @returns {Object[]} Saved replays
+ */
+export function loadSavedReplays() {
+    return loadData('replays', []).filter(isValidReplay);
+}
+
+/**
+ * Save a replay to localStorage, keeping only the most recent ones
+ * @param {Object} replay - The replay to save
+ */
+export function saveReplay(replay) {
+    const replays = loadSavedReplays().filter(saved => saved.recordedAt !== replay.recordedAt);
+    replays.unshift(replay);
+    saveData('replays', replays.slice(0, MAX_SAVED_REPLAYS));
+}
+
+/**
+ * Get the key the best run played a given way is kept under: its difficulty
+ * preset, followed by its mode unless it is endless, the rules it was played
+ * under and any modifiers changed from the defaults, so a ghost only races
+ * runs played the same way
+ * @param {Object} run - Replay, or run report from GameSimulation.getReport()
+ * @returns {string} Key such as 'hard' or 'hard+fuel'
+ */
+function getBestReplayKey({ mode = GAME_MODES.ENDLESS, difficulty, rules = {}, modifiers = {} }) {
+    const parts = mode === GAME_MODES.ENDLESS ? [difficulty] : [difficulty, mode];
+    Object.keys(DEFAULT_RULES).filter(rule => rules[rule]).forEach(rule => parts.push(rule));
+    Object.entries({ ...DEFAULT_MODIFIERS, ...modifiers })
+        .filter(([name, value]) => JSON.stringify(value) !== JSON.stringify(DEFAULT_MODIFIERS[name]))
+        .forEach(([name, value]) => parts.push(`${name}=${value}`));
+    return parts.join('+');
+}
+
+/**
+ * Get the best recorded run played the same way as a new one
+ * @param {Object} run - Mode, difficulty, rules and modifiers of the new run, as in
+ *        GameSimulation.getReport()
+ * @returns {Object|null} The best replay, or null if none is stored
+ */
+export function loadBestReplay(run) {
+    const replay = loadData('bestReplays', {})[getBestReplayKey(run)];
+    return isValidReplay(replay) ? replay : null;
+}
+
+/**
+ * Store a replay as the best run for its mode, difficulty, rules and modifiers
+ * if it beats the current one
+ * @param {Object} replay - The replay of a finished run
+ * @returns {boolean} True if the replay became the new best run
+ */
+export function saveBestReplay(replay) {
+    const bestReplays = loadData('bestReplays', {});
+    const key = getBestReplayKey(replay);
+    const best = bestReplays[key];
+    
+    if (isValidReplay(best) && best.score >= replay.score) {
+        return false;
+    }
+    
+    bestReplays[key] = replay;
+    saveData('bestReplays', bestReplays);
+    return true;
+}
+
+/**
+ * Download a replay as a JSON file
+ * @param {Object} replay - The replay to export
+ */
+export function exportReplay(replay) {
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `highway-racer-replay-${replay.difficulty}-${replay.score}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Read a replay from a JSON file
+ * @param {File} file - File chosen by the player
+ * @returns {Promise<Object>} A promise that resolves to the replay
+ */
+export function importReplay(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const replay = JSON.parse(reader.result);
+                if (isValidReplay(replay)) {
+                    resolve(replay);
+                } else {
+                    reject(new Error('File is not a valid replay'));
+                }
+            } catch (error) {
+                reject(new Error('File is not a valid replay'));
+            }
+        };
+        reader.onerror = () => reject(new Error(`Failed to read replay: ${file.name}`));
+        reader.readAsText(file);
+    });
+}
@@ -0,0 +1,115 @@
+// Save files: every profile and its progress in one JSON file, to move them between browsers
+import { STORAGE_VERSION, readAllData, migrateData, getDataProfiles, findProfileConflicts, importProfiles } from './storage.js';
+import { mergeLeaderboards } from './leaderboard.js';
+import { hashString } from './utility.js';
+
+// Tells save files apart from replays and other JSON files
+const SAVE_FILE_FORMAT = 'highway-racer-save';
+
+/**
+ * Get the checksum of a save file's data, which catches files that were
+ * damaged or edited by hand
+ * @param {Object} data - The file's data
+ * @returns {string} Hash of the data as 8 hex digits
+ */
+function getChecksum(data) {
+    return hashString(JSON.stringify(data)).toString(16).padStart(8, '0');
+}
+
+/**
+ * Build a save file of everything stored: the profiles with all their
+ * progress, and the local leaderboards
+ * @returns {Object} Save file contents
+ */
+export function createSaveFile() {
+    const data = readAllData();
+    return {
+        format: SAVE_FILE_FORMAT,
+        version: STORAGE_VERSION,
+        exportedAt: new Date().toISOString(),
+        checksum: getChecksum(data),
+        data
+    };
+}
+
+/**
+ * Download a save file
+ */
+export function exportSaveData() {
+    const saveFile = createSaveFile();
+    const blob = new Blob([JSON.stringify(saveFile)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `highway-racer-save-${saveFile.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Check a save file and bring its data up to the current version
+ * @param {Object} saveFile - Parsed save file
+ * @returns {{data: Object, profiles: Array<Object>, conflicts: Array<Object>}} The upgraded
+ *          data, the profiles in it, and those that clash with profiles here
+ *          (see findProfileConflicts)
+ * @throws {Error} If it is not a save file, is damaged or comes from a newer version of the game
+ */
+export function readSaveFile(saveFile) {
+    if (!saveFile || saveFile.format !== SAVE_FILE_FORMAT || !saveFile.data || typeof saveFile.data !== 'object') {
+        throw new Error('File is not a Highway Racer save');
+    }
+    if (saveFile.checksum !== getChecksum(saveFile.data)) {
+        throw new Error('Save file is damaged or was edited (checksum mismatch)');
+    }
+    if (!Number.isInteger(saveFile.version) || saveFile.version > STORAGE_VERSION) {
+        throw new Error('Save file is from a newer version of the game');
+    }
+    
+    const data = migrateData(saveFile.data);
+    const profiles = getDataProfiles(data);
+    if (!profiles) {
+        throw new Error('Save file has no readable profiles');
+    }
+    
+    return { data, profiles, conflicts: findProfileConflicts(data) };
+}
+
+/**
+ * Read a save file chosen by the player
+ * @param {File} file - File chosen by the player
+ * @returns {Promise<Object>} A promise that resolves to the checked file, as from readSaveFile()
+ */
+export function loadSaveFile(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                resolve(readSaveFile(JSON.parse(reader.result)));
+            } catch (error) {
+                reject(error instanceof SyntaxError ? new Error('File is not a Highway Racer save') : error);
+            }
+        };
+        reader.onerror = () => reject(new Error(`Failed to read save file: ${file.name}`));
+        reader.readAsText(file);
+    });
+}
+
+/**
+ * Import the profiles of a checked save file and merge its leaderboards with the local ones
+ * @param {Object} saveImport - Checked file from readSaveFile()
+ * @param {boolean} replace - Whether profiles that clash replace the ones here, rather
+ *        than being added next to them
+ * @throws {Error} If there is no room for the new profiles
+ */
+export function importSaveData({ data }, replace) {
+    const shared = importProfiles(data, replace);
+    
+    // Queued online scores stay with the browser that played them
+    if (shared.leaderboards) {
+        mergeLeaderboards(shared.leaderboards);
+    }
+}
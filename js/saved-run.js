@@ -0,0 +1,50 @@
+// Saved mid-run state, so a run can be continued after the page is closed
+import { GameSimulation } from './game-simulation.js';
+import { loadData, saveData, removeData } from './storage.js';
+
+// Bump when the snapshot format changes in an incompatible way
+export const SAVED_RUN_VERSION = 11;
+
+// Saved runs older than this are discarded
+const SAVED_RUN_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const STORAGE_KEY = 'gameState';
+
+/**
+ * Save a snapshot of the current run
+ * @param {Object} snapshot - Snapshot from GameSimulation.createSnapshot()
+ */
+export function saveRun(snapshot) {
+    saveData(STORAGE_KEY, {
+        version: SAVED_RUN_VERSION,
+        savedAt: Date.now(),
+        snapshot
+    });
+}
+
+/**
+ * Get the saved run, discarding it if it is stale or invalid
+ * @returns {Object|null} The saved snapshot, or null if there is none to continue
+ */
+export function loadSavedRun() {
+    const saved = loadData(STORAGE_KEY, null);
+    if (!saved) return null;
+    
+    const isCurrent = saved.version === SAVED_RUN_VERSION &&
+        Number.isFinite(saved.savedAt) &&
+        Date.now() - saved.savedAt < SAVED_RUN_MAX_AGE;
+    
+    if (!isCurrent || !GameSimulation.isValidSnapshot(saved.snapshot)) {
+        clearSavedRun();
+        return null;
+    }
+    
+    return saved.snapshot;
+}
+
+/**
+ * Delete the saved run
+ */
+export function clearSavedRun() {
+    removeData(STORAGE_KEY);
+}
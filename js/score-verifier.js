@@ -0,0 +1,73 @@
+// Score verification: re-runs a replay headlessly and checks the score it claims
+import { GAME_CONFIG, GAME_MODES } from './constants.js';
+import { GameSimulation } from './game-simulation.js';
+import { ReplayPlayer, isValidReplay, getReplayVariant } from './replay.js';
+
+// Longest run worth re-simulating, so a forged replay cannot tie up the verifier
+const MAX_VERIFIED_STEPS = GAME_CONFIG.SIMULATION_RATE * 60 * 60; // One hour of game time
+
+/**
+ * Re-run a replay's seed, difficulty, rules, mode and inputs in a fresh
+ * GameSimulation, the same game logic the browser runs (GameEngine.update
+ * steps GameSimulation.update, with its spawners and checkCollisions), and
+ * check that it ends the way the submission says it did.
+ *
+ * A run is accepted only if the replay is well formed, the simulation ends on
+ * exactly the recorded step, and it finishes with the claimed score.
+ * Difficulty presets are applied to the shared GAME_CONFIG, so runs must be
+ * verified one at a time.
+ *
+ * @param {Object} replay - Replay recorded by ReplayRecorder
+ * @param {Object} claim - What the submission says about the run
+ * @param {number} claim.score - Claimed final score
+ * @param {string} claim.mode - Claimed game mode, if any
+ * @param {string} claim.difficulty - Claimed difficulty preset, if any
+ * @returns {{valid: boolean, reason: string|null, report: Object|null}} The verdict, why a
+ *          run was refused, and the re-simulated run's report
+ */
+export function verifyReplay(replay, claim) {
+    if (!isValidReplay(replay)) {
+        return { valid: false, reason: 'Malformed replay', report: null };
+    }
+    if (replay.steps <= 0 || replay.steps > MAX_VERIFIED_STEPS) {
+        return { valid: false, reason: 'Replay length out of range', report: null };
+    }
+    if (replay.inputs.some((input, index) => input[0] > replay.steps ||
+        (index > 0 && input[0] < replay.inputs[index - 1][0]))) {
+        return { valid: false, reason: 'Replay inputs out of order', report: null };
+    }
+    if ((claim.mode !== undefined && claim.mode !== (replay.mode || GAME_MODES.ENDLESS)) ||
+        (claim.difficulty !== undefined && claim.difficulty !== replay.difficulty)) {
+        return { valid: false, reason: 'Replay was recorded in another mode or difficulty', report: null };
+    }
+    
+    const simulation = new GameSimulation({
+        difficulty: replay.difficulty,
+        rules: replay.rules,
+        mode: replay.mode,
+        variant: getReplayVariant(replay),
+        modifiers: replay.modifiers
+    });
+    if (simulation.difficultyPreset !== replay.difficulty) {
+        return { valid: false, reason: 'Unknown difficulty preset', report: null };
+    }
+    
+    // Feed the inputs back exactly as the engine did while the run was played
+    const inputs = new ReplayPlayer(replay);
+    const stepLength = 1 / GAME_CONFIG.SIMULATION_RATE;
+    simulation.reset(replay.seed);
+    while (!simulation.isGameOver && simulation.stepCount < replay.steps) {
+        inputs.takeInputs(simulation.stepCount).forEach(action => simulation.handleInput(action));
+        simulation.update(stepLength);
+    }
+    
+    const report = simulation.getReport();
+    if (!simulation.isGameOver || report.steps !== replay.steps) {
+        return { valid: false, reason: 'Replay does not end where it was recorded to', report };
+    }
+    if (report.score !== claim.score) {
+        return { valid: false, reason: `Score does not match the replay (${report.score})`, report };
+    }
+    
+    return { valid: true, reason: null, report };
+}
@@ -0,0 +1,31 @@
+// Player settings, kept with the active profile
+import { loadData, saveData } from './storage.js';
+
+const DEFAULT_SETTINGS = {
+    music: true,
+    sfx: true,
+    ghost: true,
+    difficulty: 'medium',
+    rules: { fuel: false, lives: false }
+};
+
+/**
+ * Get the active profile's settings, with defaults for any never changed
+ * @returns {Object} Audio and ghost toggles, and the difficulty and rules last picked
+ */
+export function loadSettings() {
+    const saved = loadData('settings', {});
+    return {
+        ...DEFAULT_SETTINGS,
+        ...saved,
+        rules: { ...DEFAULT_SETTINGS.rules, ...saved.rules }
+    };
+}
+
+/**
+ * Change some of the active profile's settings
+ * @param {Object} changes - Settings to change, as in loadSettings()
+ */
+export function saveSettings(changes) {
+    saveData('settings', { ...loadSettings(), ...changes });
+}
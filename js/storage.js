@@ -0,0 +1,412 @@
+// Save data: one namespaced store for everything the game keeps, split by player profile
+import { PROFILES } from './constants.js';
+import { createId, loadFromLocalStorage, saveToLocalStorage, removeFromLocalStorage } from './utility.js';
+
+const PREFIX = 'highwayRacer';
+const INDEX_KEY = `${PREFIX}:profiles`;
+
+// Data kept once per browser instead of per profile: the local leaderboards
+// are shared by everyone playing on it, and queued online scores already
+// carry the player id they were sent under
+const SHARED_KEYS = ['leaderboards', 'scoreQueue'];
+
+// Bare keys written before the data had a version
+const LEGACY_KEYS = [
+    'highScore', 'gameState', 'replays', 'bestReplays', 'timeTrialBests', 'dailyResults',
+    'missions', 'achievements', 'lastInitials', 'playerId', 'leaderboards', 'scoreQueue'
+];
+
+/**
+ * Upgrades of the stored data, oldest first. Each one turns the data of the
+ * version before it, a map of localStorage key to value, into the layout of
+ * its own version in place. Version 0 is whatever was saved before the data
+ * had a version. They run on localStorage when the game loads and on save
+ * files when they are imported.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Move the bare keys saved before profiles into a first profile, upgrading the high score and saved run',
+        migrate(data) {
+            const profile = { id: createId(), name: PROFILES.DEFAULT_NAME, createdAt: new Date().toISOString() };
+            data[INDEX_KEY] = { version: 1, active: profile.id, profiles: [profile] };
+            
+            // The high score was a bare number
+            const highScore = Number(data.highScore);
+            data.highScore = Number.isFinite(highScore) && highScore > 0 ? Math.floor(highScore) : null;
+            
+            // The first saved runs were loose fields ({ score, lives, lane, obstacles, ... })
+            // with no seed to resume them from. They never ended, so their score is not a
+            // high score either; they are dropped.
+            const gameState = data.gameState;
+            if (gameState && !Number.isInteger(gameState.version)) {
+                data.gameState = null;
+            }
+            
+            LEGACY_KEYS.forEach(key => {
+                if (data[key] !== undefined && data[key] !== null) {
+                    data[getStorageKey(key, profile.id)] = data[key];
+                }
+                delete data[key];
+            });
+        }
+    }
+];
+
+// Version of the current layout
+export const STORAGE_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// The profile list, read once: { version, active, profiles: [{ id, name, createdAt }] }
+let profileIndex = null;
+
+/**
+ * Check the shape of a profile list
+ * @param {*} index - Stored or imported profile list
+ * @returns {boolean} True if it lists at least one profile, with the active one among them
+ */
+function isValidIndex(index) {
+    return Boolean(index) && Array.isArray(index.profiles) && index.profiles.length > 0 &&
+        index.profiles.every(profile => profile && typeof profile.id === 'string' && typeof profile.name === 'string') &&
+        index.profiles.some(profile => profile.id === index.active);
+}
+
+/**
+ * Get the profile list, upgrading the stored data first if it is from an older version
+ * @returns {Object} The profile index
+ */
+function getIndex() {
+    if (!profileIndex) {
+        upgradeStorage();
+        const saved = loadFromLocalStorage(INDEX_KEY, null);
+        profileIndex = isValidIndex(saved) ? saved : createIndex();
+    }
+    return profileIndex;
+}
+
+/**
+ * Start a new profile list with a single empty profile, when the stored one cannot be read
+ * @returns {Object} The new profile index
+ */
+function createIndex() {
+    const profile = { id: createId(), name: PROFILES.DEFAULT_NAME, createdAt: new Date().toISOString() };
+    profileIndex = { version: STORAGE_VERSION, active: profile.id, profiles: [profile] };
+    saveToLocalStorage(INDEX_KEY, profileIndex);
+    return profileIndex;
+}
+
+/**
+ * Get the localStorage key a value is kept under
+ * @param {string} key - Name of the value
+ * @param {string} profileId - Profile it belongs to, if not the active one
+ * @returns {string} Namespaced key
+ */
+function getStorageKey(key, profileId = getIndex().active) {
+    return SHARED_KEYS.includes(key) ? `${PREFIX}:${key}` : `${PREFIX}:profile:${profileId}:${key}`;
+}
+
+/**
+ * Get the version of some save data
+ * @param {Object} data - Map of localStorage key to value
+ * @returns {number} Its version, 0 if it predates versions
+ */
+function getDataVersion(data) {
+    const index = data[INDEX_KEY];
+    return index && Number.isInteger(index.version) ? index.version : 0;
+}
+
+/**
+ * Run the migrations that save data is missing, bringing it up to STORAGE_VERSION
+ * @param {Object} data - Map of localStorage key to value, changed in place
+ * @returns {Object} The upgraded data
+ */
+export function migrateData(data) {
+    const version = getDataVersion(data);
+    MIGRATIONS.filter(migration => migration.version > version).forEach(migration => {
+        migration.migrate(data);
+        data[INDEX_KEY].version = migration.version;
+    });
+    return data;
+}
+
+/**
+ * Read everything the game has saved in localStorage
+ * @returns {Object} Map of localStorage key to value
+ */
+export function readAllData() {
+    const data = {};
+    try {
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key.startsWith(`${PREFIX}:`) || LEGACY_KEYS.includes(key)) {
+                data[key] = loadFromLocalStorage(key, null);
+            }
+        }
+    } catch (error) {
+        console.error('Error loading from localStorage:', error);
+    }
+    return data;
+}
+
+/**
+ * Upgrade the data in localStorage if it is from an older version, writing
+ * back only the keys that changed
+ */
+function upgradeStorage() {
+    if (getDataVersion({ [INDEX_KEY]: loadFromLocalStorage(INDEX_KEY, null) }) >= STORAGE_VERSION) return;
+    
+    const stored = readAllData();
+    const data = migrateData(readAllData());
+    Object.keys(stored).forEach(key => {
+        if (!(key in data)) {
+            removeFromLocalStorage(key);
+        }
+    });
+    Object.entries(data).forEach(([key, value]) => {
+        if (JSON.stringify(value) !== JSON.stringify(stored[key])) {
+            saveToLocalStorage(key, value);
+        }
+    });
+}
+
+/**
+ * Load a value saved for the active profile
+ * @param {string} key - Name of the value
+ * @param {any} defaultValue - Value returned when nothing is saved
+ * @returns {any} The saved value
+ */
+export function loadData(key, defaultValue) {
+    return loadFromLocalStorage(getStorageKey(key), defaultValue);
+}
+
+/**
+ * Save a value for the active profile
+ * @param {string} key - Name of the value
+ * @param {any} data - Value to save
+ */
+export function saveData(key, data) {
+    saveToLocalStorage(getStorageKey(key), data);
+}
+
+/**
+ * Remove a value saved for the active profile
+ * @param {string} key - Name of the value
+ */
+export function removeData(key) {
+    removeFromLocalStorage(getStorageKey(key));
+}
+
+/**
+ * Get every profile, in the order they were created
+ * @returns {Array<{id: string, name: string, createdAt: string}>} The profiles
+ */
+export function getProfiles() {
+    return getIndex().profiles.slice();
+}
+
+/**
+ * Get the profile being played
+ * @returns {{id: string, name: string, createdAt: string}} The active profile
+ */
+export function getActiveProfile() {
+    const { active, profiles } = getIndex();
+    return profiles.find(profile => profile.id === active);
+}
+
+/**
+ * Tidy a profile name and check it can be used
+ * @param {string} name - Name as entered
+ * @param {string} exceptId - Profile being renamed, which may keep its own name
+ * @returns {string} The name to store
+ * @throws {Error} If the name is empty or taken by another profile
+ */
+function checkProfileName(name, exceptId = null) {
+    const tidy = String(name || '').trim().replace(/\s+/g, ' ').slice(0, PROFILES.NAME_LENGTH);
+    if (!tidy) {
+        throw new Error('Enter a name for the profile');
+    }
+    const taken = getIndex().profiles.some(profile =>
+        profile.id !== exceptId && profile.name.toLowerCase() === tidy.toLowerCase());
+    if (taken) {
+        throw new Error(`There is already a profile called ${tidy}`);
+    }
+    return tidy;
+}
+
+/**
+ * Add a profile with no save data. The active profile stays the same.
+ * @param {string} name - Name of the new profile
+ * @returns {Object} The new profile
+ * @throws {Error} If the name cannot be used or there are already too many profiles
+ */
+export function createProfile(name) {
+    const index = getIndex();
+    if (index.profiles.length >= PROFILES.MAX_PROFILES) {
+        throw new Error(`There can be at most ${PROFILES.MAX_PROFILES} profiles`);
+    }
+    
+    const profile = { id: createId(), name: checkProfileName(name), createdAt: new Date().toISOString() };
+    index.profiles.push(profile);
+    saveToLocalStorage(INDEX_KEY, index);
+    return profile;
+}
+
+/**
+ * Rename a profile
+ * @param {string} id - Profile id
+ * @param {string} name - New name
+ * @throws {Error} If the name cannot be used
+ */
+export function renameProfile(id, name) {
+    const index = getIndex();
+    const profile = index.profiles.find(candidate => candidate.id === id);
+    if (!profile) return;
+    
+    profile.name = checkProfileName(name, id);
+    saveToLocalStorage(INDEX_KEY, index);
+}
+
+/**
+ * Remove every value saved for a profile
+ * @param {string} id - Profile id
+ */
+function removeProfileData(id) {
+    const prefix = getStorageKey('', id);
+    try {
+        for (let i = localStorage.length - 1; i >= 0; i--) {
+            const key = localStorage.key(i);
+            if (key.startsWith(prefix)) {
+                localStorage.removeItem(key);
+            }
+        }
+    } catch (error) {
+        console.error('Error removing from localStorage:', error);
+    }
+}
+
+/**
+ * Delete a profile and all of its save data. Deleting the active profile
+ * makes the first remaining one active.
+ * @param {string} id - Profile id
+ * @throws {Error} If it is the only profile
+ */
+export function deleteProfile(id) {
+    const index = getIndex();
+    if (!index.profiles.some(profile => profile.id === id)) return;
+    if (index.profiles.length === 1) {
+        throw new Error('The last profile cannot be deleted');
+    }
+    
+    removeProfileData(id);
+    index.profiles = index.profiles.filter(profile => profile.id !== id);
+    if (index.active === id) {
+        index.active = index.profiles[0].id;
+    }
+    saveToLocalStorage(INDEX_KEY, index);
+}
+
+/**
+ * Make a profile the active one, so that all loads and saves go to its data
+ * @param {string} id - Profile id
+ */
+export function switchProfile(id) {
+    const index = getIndex();
+    if (!index.profiles.some(profile => profile.id === id)) return;
+    
+    index.active = id;
+    saveToLocalStorage(INDEX_KEY, index);
+}
+
+/**
+ * Get the profiles in imported save data
+ * @param {Object} data - Map of localStorage key to value at STORAGE_VERSION
+ * @returns {Array<Object>|null} Its profiles, or null if it has no readable profile list
+ */
+export function getDataProfiles(data) {
+    return isValidIndex(data[INDEX_KEY]) ? data[INDEX_KEY].profiles.slice() : null;
+}
+
+/**
+ * Get the imported profiles that clash with profiles here: the same profile
+ * exported from this browser earlier, or another one with the same name
+ * @param {Object} data - Imported save data at STORAGE_VERSION
+ * @returns {Array<{imported: Object, existing: Object}>} One entry per clash
+ */
+export function findProfileConflicts(data) {
+    const conflicts = [];
+    data[INDEX_KEY].profiles.forEach(imported => {
+        const isFree = profile => !conflicts.some(conflict => conflict.existing === profile);
+        const existing = getIndex().profiles.find(profile => profile.id === imported.id && isFree(profile)) ||
+            getIndex().profiles.find(profile => profile.name.toLowerCase() === imported.name.toLowerCase() && isFree(profile));
+        if (existing) {
+            conflicts.push({ imported, existing });
+        }
+    });
+    return conflicts;
+}
+
+/**
+ * Turn a profile name into one no profile here has yet, adding a number if needed
+ * @param {string} name - Wanted name
+ * @returns {string} A free name
+ */
+function getFreeProfileName(name) {
+    const isTaken = candidate => getIndex().profiles.some(profile => profile.name.toLowerCase() === candidate.toLowerCase());
+    let candidate = name;
+    for (let number = 2; isTaken(candidate); number++) {
+        const suffix = ` (${number})`;
+        candidate = `${name.slice(0, PROFILES.NAME_LENGTH - suffix.length)}${suffix}`;
+    }
+    return candidate;
+}
+
+/**
+ * Add the profiles from imported save data. Each profile that clashes with
+ * one here (see findProfileConflicts) either replaces its data or is added
+ * next to it under a numbered name. The active profile stays the same.
+ * @param {Object} data - Imported save data at STORAGE_VERSION
+ * @param {boolean} replace - Whether clashing profiles replace the ones here
+ * @returns {Object} The imported values of the data shared by all profiles, by key,
+ *          for the caller to merge with its own
+ * @throws {Error} If there is no room for the new profiles
+ */
+export function importProfiles(data, replace) {
+    const index = getIndex();
+    const conflicts = findProfileConflicts(data);
+    const imported = data[INDEX_KEY].profiles;
+    const added = replace ? imported.length - conflicts.length : imported.length;
+    if (index.profiles.length + added > PROFILES.MAX_PROFILES) {
+        throw new Error(`There is no room for ${added} more profiles (at most ${PROFILES.MAX_PROFILES})`);
+    }
+    
+    imported.forEach(profile => {
+        const conflict = conflicts.find(candidate => candidate.imported === profile);
+        let target;
+        if (conflict && replace) {
+            target = conflict.existing;
+            removeProfileData(target.id);
+        } else {
+            // A profile new to this browser keeps its id, so importing it again is seen as a clash
+            target = {
+                id: index.profiles.some(other => other.id === profile.id) ? createId() : profile.id,
+                name: getFreeProfileName(profile.name.trim().slice(0, PROFILES.NAME_LENGTH) || PROFILES.DEFAULT_NAME),
+                createdAt: profile.createdAt || new Date().toISOString()
+            };
+            index.profiles.push(target);
+        }
+        
+        const prefix = getStorageKey('', profile.id);
+        Object.keys(data).filter(key => key.startsWith(prefix)).forEach(key => {
+            saveToLocalStorage(getStorageKey(key.slice(prefix.length), target.id), data[key]);
+        });
+    });
+    saveToLocalStorage(INDEX_KEY, index);
+    
+    const shared = {};
+    SHARED_KEYS.forEach(key => {
+        const value = data[getStorageKey(key)];
+        if (value !== undefined && value !== null) {
+            shared[key] = value;
+        }
+    });
+    return shared;
+}
@@ -0,0 +1,207 @@
+// Time trial: the countdown, checkpoints and finish line of a course, and best times
+import { GAME_CONFIG, TIME_TRIAL_COURSES } from './constants.js';
+import { GAME_EVENTS } from './events.js';
+import { loadData, saveData } from './storage.js';
+import { formatNumber, formatTime } from './utility.js';
+
+/**
+ * Runs the clock of a time trial course. The countdown starts at the course's
+ * startTime and ticks on game time; every checkpoint passed adds its bonus.
+ * Reaching the end of the course finishes the run, and running out of time
+ * ends it where the car is.
+ */
+export class TimeTrial {
+    /**
+     * @param {GameSimulation} game - The simulation driving the course
+     * @param {string} courseId - Key of the course in TIME_TRIAL_COURSES
+     */
+    constructor(game, courseId) {
+        this.game = game;
+        this.courseId = courseId;
+        this.course = TIME_TRIAL_COURSES[courseId];
+        this.reset();
+    }
+    
+    /**
+     * Put the clock back to the start of the course
+     */
+    reset() {
+        this.timeLeft = this.getPacedTime(this.course.startTime);
+        this.checkpoint = 0; // Checkpoints passed so far
+        this.finishTime = null; // Game time at the finish line, once crossed
+    }
+    
+    /**
+     * Scale a course time to the difficulty preset, so faster presets get less of it
+     * @param {number} time - Milliseconds at a base speed of 1
+     * @returns {number} Milliseconds at the current preset's base speed
+     */
+    getPacedTime(time) {
+        return Math.round(time / GAME_CONFIG.BASE_GAME_SPEED);
+    }
+    
+    /**
+     * Get the number of checkpoints on the course, not counting the finish
+     * @returns {number} Checkpoint count
+     */
+    getCheckpointCount() {
+        return Math.ceil(this.course.length / this.course.checkpointInterval) - 1;
+    }
+    
+    /**
+     * Get how far along the course the car is
+     * @returns {number} Distance in metres
+     */
+    getDistance() {
+        return this.game.distance / GAME_CONFIG.PIXELS_PER_METRE;
+    }
+    
+    /**
+     * Get the distance of the next checkpoint, or of the finish after the last one
+     * @returns {number} Distance in metres
+     */
+    getNextCheckpointDistance() {
+        return Math.min((this.checkpoint + 1) * this.course.checkpointInterval, this.course.length);
+    }
+    
+    /**
+     * Whether the car has crossed the finish line
+     * @returns {boolean} True once the course is finished
+     */
+    isFinished() {
+        return this.finishTime !== null;
+    }
+    
+    /**
+     * Tick the clock, award checkpoints passed this step and end the run at
+     * the finish line or when time runs out
+     * @param {number} delta - Step length in seconds
+     */
+    update(delta) {
+        const game = this.game;
+        const distance = this.getDistance();
+        this.timeLeft = Math.max(0, this.timeLeft - delta * 1000);
+        
+        while (this.checkpoint < this.getCheckpointCount() &&
+               distance >= this.getNextCheckpointDistance()) {
+            const bonusTime = this.getPacedTime(this.course.checkpointBonus);
+            this.checkpoint++;
+            this.timeLeft += bonusTime;
+            game.events.emit(GAME_EVENTS.CHECKPOINT, {
+                checkpoint: this.checkpoint,
+                checkpoints: this.getCheckpointCount(),
+                distance: this.checkpoint * this.course.checkpointInterval,
+                bonusTime,
+                timeLeft: this.timeLeft
+            });
+        }
+        
+        if (distance >= this.course.length) {
+            this.finishTime = game.gameTime;
+            game.endRun('finished');
+        } else if (this.timeLeft <= 0) {
+            game.endRun('timeUp');
+        }
+    }
+    
+    /**
+     * Summarize the run on this course
+     * @returns {Object} Course, whether it was finished, finishing time and distance reached
+     */
+    getResult() {
+        return {
+            course: this.courseId,
+            finished: this.isFinished(),
+            time: this.finishTime,
+            distance: Math.min(Math.floor(this.getDistance()), this.course.length),
+            checkpoints: this.checkpoint
+        };
+    }
+    
+    /**
+     * Capture the clock
+     * @returns {Object} Plain-object snapshot
+     */
+    toSnapshot() {
+        return {
+            course: this.courseId,
+            timeLeft: this.timeLeft,
+            checkpoint: this.checkpoint
+        };
+    }
+    
+    /**
+     * Restore state captured by toSnapshot()
+     * @param {Object} snapshot - Snapshot of the clock
+     */
+    restoreSnapshot(snapshot) {
+        this.timeLeft = snapshot.timeLeft;
+        this.checkpoint = snapshot.checkpoint;
+        this.finishTime = null;
+    }
+    
+    /**
+     * Check that a time trial snapshot can be restored
+     * @param {Object} snapshot - Data to validate
+     * @returns {boolean} True if the snapshot holds a clock on a known course
+     */
+    static isValidSnapshot(snapshot) {
+        return Boolean(snapshot) &&
+            Boolean(TIME_TRIAL_COURSES[snapshot.course]) &&
+            Number.isFinite(snapshot.timeLeft) && snapshot.timeLeft > 0 &&
+            Number.isInteger(snapshot.checkpoint) && snapshot.checkpoint >= 0;
+    }
+}
+
+/**
+ * Check whether one time trial result beats another: finishing beats not
+ * finishing, then the faster time or the longer distance wins
+ * @param {Object} result - Result from TimeTrial.getResult()
+ * @param {Object} best - Result to beat, or null
+ * @returns {boolean} True if result is better than best
+ */
+export function isBetterResult(result, best) {
+    if (!best) return true;
+    if (result.finished !== best.finished) return result.finished;
+    return result.finished ? result.time < best.time : result.distance > best.distance;
+}
+
+/**
+ * Describe a time trial result in a few characters
+ * @param {Object} result - Result from TimeTrial.getResult()
+ * @returns {string} The finishing time, or the distance reached if the course was not finished
+ */
+export function formatResult(result) {
+    return result.finished ? formatTime(result.time) : `${formatNumber(result.distance)} m`;
+}
+
+/**
+ * Get the best result on a course for a difficulty preset
+ * @param {string} course - Course key
+ * @param {string} difficulty - Difficulty preset
+ * @returns {Object|null} The best result, or null if the course has not been driven
+ */
+export function loadBestResult(course, difficulty) {
+    const results = loadData('timeTrialBests', {})[course];
+    return (results && results[difficulty]) || null;
+}
+
+/**
+ * Store a result as the best on its course and difficulty if it beats the current one
+ * @param {Object} result - Result from TimeTrial.getResult()
+ * @param {string} difficulty - Difficulty preset the course was driven on
+ * @returns {boolean} True if the result became the new best
+ */
+export function saveBestResult(result, difficulty) {
+    const bests = loadData('timeTrialBests', {});
+    const results = bests[result.course] || {};
+    
+    if (!isBetterResult(result, results[difficulty] || null)) {
+        return false;
+    }
+    
+    results[difficulty] = { ...result, recordedAt: new Date().toISOString() };
+    bests[result.course] = results;
+    saveData('timeTrialBests', bests);
+    return true;
+}
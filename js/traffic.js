@@ -0,0 +1,183 @@
+// Traffic behaviour for vehicle obstacles: signalling, lane changes and braking
+import { GAME_CONFIG } from './constants.js';
+
+/**
+ * Drives every obstacle registered with `traffic: true`. Vehicles signal
+ * before they move over, brake rather than run into the vehicle ahead and
+ * hold back instead of closing the last way through. How eager they are
+ * comes from the difficulty preset's TRAFFIC_PROFILE.
+ */
+export class TrafficController {
+    /**
+     * @param {GameSimulation} game - The simulation whose traffic is driven
+     */
+    constructor(game) {
+        this.game = game;
+    }
+    
+    /**
+     * Decide lane changes and speeds for one step, before the obstacles move
+     * @param {number} delta - Step length in seconds
+     */
+    update(delta) {
+        const game = this.game;
+        const profile = GAME_CONFIG.TRAFFIC_PROFILE;
+        
+        // Pixels an obstacle moves this step per unit of its speed
+        const scale = game.player.speed * GAME_CONFIG.BASE_SPEED_FACTOR * delta * game.timeScale;
+        
+        // Front to back, so each vehicle reacts to the final speed of the one ahead
+        const vehicles = game.obstacles
+            .filter(obstacle => obstacle.definition.traffic)
+            .sort((a, b) => a.y - b.y);
+        
+        vehicles.forEach(vehicle => {
+            this.updateSignal(vehicle, delta, profile);
+            this.updateSpeed(vehicle, vehicles, delta, scale, profile);
+        });
+    }
+    
+    /**
+     * Start signalling at random, and move over once the signal has blinked long enough
+     * @param {Obstacle} vehicle - The vehicle
+     * @param {number} delta - Step length in seconds
+     * @param {Object} profile - Traffic profile of the difficulty preset
+     */
+    updateSignal(vehicle, delta, profile) {
+        if (vehicle.keepsLane) return;
+        
+        if (vehicle.signal) {
+            vehicle.signalTime += delta * 1000;
+            if (vehicle.isChangingLane() || vehicle.signalTime < profile.signalTime) return;
+            
+            // The lane may have filled up while signalling; give up rather than cut in
+            const lane = vehicle.lane + vehicle.signal;
+            if (this.canEnterLane(vehicle, lane, profile)) {
+                vehicle.startLaneChange(lane, profile.laneChangeSpeed);
+            } else {
+                vehicle.signal = 0;
+                vehicle.signalTime = 0;
+            }
+            return;
+        }
+        
+        if (!this.game.rng.chance(profile.laneChangeRate * delta)) return;
+        
+        const directions = [-1, 1].filter(direction => this.canEnterLane(vehicle, vehicle.lane + direction, profile));
+        if (directions.length > 0) {
+            vehicle.signal = this.game.rng.pick(directions);
+            vehicle.signalTime = 0;
+        }
+    }
+    
+    /**
+     * Check whether a vehicle can move over to a lane
+     * @param {Obstacle} vehicle - The vehicle
+     * @param {number} lane - Lane to move to
+     * @param {Object} profile - Traffic profile of the difficulty preset
+     * @returns {boolean} True if the lane is clear and moving over leaves a way through
+     */
+    canEnterLane(vehicle, lane, profile) {
+        const game = this.game;
+        if (lane < 0 || lane >= GAME_CONFIG.LANE_COUNT) return false;
+        
+        // Only change lanes well ahead of the player, so a vehicle never cuts in on them
+        const top = vehicle.y;
+        const bottom = vehicle.y + vehicle.height;
+        if (top < 0 || bottom > game.player.y - GAME_CONFIG.TRAFFIC_LANE_CHANGE_CUTOFF) return false;
+        
+        const isClear = game.obstacles.every(other =>
+            other === vehicle ||
+            !other.definition.traffic ||
+            !other.occupiesLane(lane) ||
+            other.y > bottom + profile.followDistance ||
+            other.y + other.height < top - profile.followDistance
+        );
+        
+        return isClear && !game.wouldBlockRoad([vehicle.lane, lane], top, bottom, vehicle);
+    }
+    
+    /**
+     * Find the vehicle directly ahead in any lane the vehicle takes up
+     * @param {Obstacle} vehicle - The vehicle
+     * @param {Obstacle[]} vehicles - All vehicles
+     * @returns {Obstacle|null} The closest vehicle ahead, if any
+     */
+    findLeader(vehicle, vehicles) {
+        let leader = null;
+        
+        vehicles.forEach(other => {
+            if (other === vehicle || other.y >= vehicle.y) return;
+            
+            const sharesLane = vehicle.occupiesLane(other.lane) ||
+                (other.isChangingLane() && vehicle.occupiesLane(other.fromLane));
+            if (sharesLane && (!leader || other.y > leader.y)) {
+                leader = other;
+            }
+        });
+        
+        return leader;
+    }
+    
+    /**
+     * Brake for slower vehicles ahead and ease back to cruising speed when clear.
+     * Obstacles move down the screen faster the slower they drive, so braking
+     * raises `speed` and letting off lowers it back to `cruiseSpeed`.
+     * @param {Obstacle} vehicle - The vehicle
+     * @param {Obstacle[]} vehicles - All vehicles, front to back
+     * @param {number} delta - Step length in seconds
+     * @param {number} scale - Pixels moved this step per unit of speed
+     * @param {Object} profile - Traffic profile of the difficulty preset
+     */
+    updateSpeed(vehicle, vehicles, delta, scale, profile) {
+        const leader = this.findLeader(vehicle, vehicles);
+        const gap = leader ? vehicle.y - (leader.y + leader.height) : Infinity;
+        
+        // Match the speed of a slower vehicle ahead, braking a little harder when too close
+        let targetSpeed = vehicle.cruiseSpeed;
+        if (leader && gap < profile.followDistance && leader.speed > targetSpeed) {
+            targetSpeed = leader.speed + Math.max(0, 1 - gap / profile.followDistance) * 0.3;
+        }
+        
+        const change = profile.brakeRate * delta;
+        vehicle.speed = targetSpeed > vehicle.speed ?
+            Math.min(vehicle.speed + change, targetSpeed) :
+            Math.max(vehicle.speed - change, targetSpeed);
+        
+        // Never run into the vehicle ahead, however hard that means braking
+        const minSpeed = leader && scale > 0 ? leader.speed - gap / scale : 0;
+        vehicle.speed = Math.max(vehicle.speed, minSpeed);
+        
+        if (scale > 0) {
+            this.keepRoadOpen(vehicle, scale, minSpeed);
+        }
+        
+        vehicle.isBraking = vehicle.speed > vehicle.cruiseSpeed + 0.01;
+    }
+    
+    /**
+     * Stop a vehicle from drifting alongside others until every lane is blocked:
+     * if this step would close the last way through, it keeps pace with the
+     * obstacle it is closing on instead
+     * @param {Obstacle} vehicle - The vehicle
+     * @param {number} scale - Pixels moved this step per unit of speed
+     * @param {number} minSpeed - Slowest speed that keeps it clear of the vehicle ahead
+     */
+    keepRoadOpen(vehicle, scale, minSpeed) {
+        const game = this.game;
+        const lanes = vehicle.isChangingLane() ? [vehicle.lane, vehicle.fromLane] : [vehicle.lane];
+        const nextY = vehicle.y + vehicle.speed * scale;
+        
+        if (!game.wouldBlockRoad(lanes, nextY, nextY + vehicle.height, vehicle)) return;
+        
+        // Already boxed in by others; holding back would not open anything
+        if (game.wouldBlockRoad(lanes, vehicle.y, vehicle.y + vehicle.height, vehicle)) return;
+        
+        const nearNow = game.getObstaclesNear(vehicle.y, vehicle.y + vehicle.height, vehicle);
+        const closing = game.getObstaclesNear(nextY, nextY + vehicle.height, vehicle)
+            .find(other => !nearNow.includes(other));
+        if (closing) {
+            vehicle.speed = Math.max(closing.speed, minSpeed);
+        }
+    }
+}
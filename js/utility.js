@@ -56,6 +56,18 @@ export function formatNumber(num) {
     return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
 }
 
+/**
+ * Format a duration as minutes, seconds and hundredths
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} The formatted duration, e.g. "1:05.32"
+ */
+export function formatTime(ms) {
+    const hundredths = Math.round(ms / 10);
+    const minutes = Math.floor(hundredths / 6000);
+    const seconds = Math.floor(hundredths / 100) % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}.${String(hundredths % 100).padStart(2, '0')}`;
+}
+
 /**
  * Load an image
  * @param {string} src - The source URL of the image
@@ -172,6 +184,43 @@ export function loadFromLocalStorage(key, defaultValue) {
     }
 }
 
+/**
+ * Remove data from localStorage
+ * @param {string} key - The key to remove
+ */
+export function removeFromLocalStorage(key) {
+    try {
+        localStorage.removeItem(key);
+    } catch (error) {
+        console.error('Error removing from localStorage:', error);
+    }
+}
+
+/**
+ * Create a random id, unique enough to tell players and profiles apart
+ * @returns {string} The id
+ */
+export function createId() {
+    return typeof crypto !== 'undefined' && crypto.randomUUID ?
+        crypto.randomUUID() :
+        `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Hash a string to a 32-bit number (FNV-1a). Quick and stable, but not
+ * meant to resist deliberate tampering
+ * @param {string} text - String to hash
+ * @returns {number} A 32-bit unsigned hash
+ */
+export function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
 /**
  * Create a debounced function
  * @param {Function} func - The function to debounce
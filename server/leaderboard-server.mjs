@@ -0,0 +1,191 @@
+// Stand-in leaderboard server for local development of the online leaderboard.
+// Implements the API used by js/online-leaderboard.js with nothing but Node's
+// standard library. Scores live in memory, or in a JSON file with --data.
+// Every score is checked by re-running its replay (js/score-verifier.js)
+// unless --no-verify is given.
+//
+//   node server/leaderboard-server.mjs [--port 8787] [--data scores.json] [--no-verify]
+//
+// Then open the game with ?leaderboard=http://localhost:8787
+import http from 'http';
+import fs from 'fs';
+import { GAME_CONFIG } from '../js/constants.js';
+import { verifyReplay } from '../js/score-verifier.js';
+
+const MAX_BODY_SIZE = 1024 * 1024; // bytes; replays of long runs are the bulk of a submission
+const MAX_LIMIT = 100;
+
+/**
+ * Read a command line option
+ * @param {string} name - Option name without the dashes
+ * @param {string|null} defaultValue - Value when the option is missing
+ * @returns {string|null} The option's value
+ */
+function getOption(name, defaultValue) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : defaultValue;
+}
+
+const port = Number(getOption('port', process.env.PORT || 8787));
+const dataFile = getOption('data', null);
+const verify = !process.argv.includes('--no-verify');
+
+// Every accepted submission, without its replay
+const scores = dataFile && fs.existsSync(dataFile) ? JSON.parse(fs.readFileSync(dataFile, 'utf8')) : [];
+let nextId = scores.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+
+/**
+ * Get a board, best score first; ties keep the earlier submission ahead
+ * @param {string} mode - Game mode
+ * @param {string} difficulty - Difficulty preset
+ * @returns {Array<Object>} The board's entries
+ */
+function getBoard(mode, difficulty) {
+    return scores
+        .filter(entry => entry.mode === mode && entry.difficulty === difficulty)
+        .sort((a, b) => b.score - a.score || a.id - b.id);
+}
+
+/**
+ * Check a submission against the contract
+ * @param {Object} body - Parsed request body
+ * @returns {string|null} What is wrong with it, or null if it is valid
+ */
+function validateSubmission(body) {
+    if (!body || typeof body !== 'object') return 'Expected a JSON object';
+    if (typeof body.playerId !== 'string' || !body.playerId) return 'Missing playerId';
+    if (typeof body.name !== 'string' || body.name.length > 12) return 'Invalid name';
+    if (typeof body.mode !== 'string' || typeof body.difficulty !== 'string') return 'Missing mode or difficulty';
+    if (!Number.isInteger(body.score) || body.score < 0) return 'Invalid score';
+    if (!Number.isFinite(body.distance) || !Number.isFinite(body.duration)) return 'Invalid distance or duration';
+    return null;
+}
+
+// Headers that let the game call the server from another origin
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} response - The response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json', ...CORS_HEADERS });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} request - The request
+ * @returns {Promise<Object>} The parsed body
+ */
+function readJson(request) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        request.on('data', chunk => {
+            data += chunk;
+            if (data.length > MAX_BODY_SIZE) {
+                reject(new Error('Request body too large'));
+                request.destroy();
+            }
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(data));
+            } catch (error) {
+                reject(new Error('Invalid JSON'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Store an accepted submission and work out its place
+ * @param {Object} body - Valid submission
+ * @returns {Object} { id, rank, total }
+ */
+function addScore(body) {
+    const entry = {
+        id: nextId++,
+        playerId: body.playerId,
+        name: body.name || '???',
+        mode: body.mode,
+        difficulty: body.difficulty,
+        score: body.score,
+        distance: body.distance,
+        duration: body.duration,
+        date: new Date().toISOString()
+    };
+    scores.push(entry);
+    
+    if (dataFile) {
+        fs.writeFileSync(dataFile, JSON.stringify(scores, null, 2));
+    }
+    
+    const board = getBoard(entry.mode, entry.difficulty);
+    return { id: entry.id, rank: board.indexOf(entry) + 1, total: board.length };
+}
+
+const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, `http://${request.headers.host}`);
+    const params = url.searchParams;
+    
+    try {
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204, CORS_HEADERS);
+            response.end();
+        } else if (request.method === 'POST' && url.pathname === '/scores') {
+            const body = await readJson(request);
+            const problem = validateSubmission(body);
+            if (problem) {
+                sendJson(response, 400, { error: problem });
+                return;
+            }
+            
+            if (verify) {
+                if (!body.replay) {
+                    sendJson(response, 422, { error: 'A replay is needed to verify the score' });
+                    return;
+                }
+                const { valid, reason, report } = verifyReplay(body.replay, body);
+                if (!valid) {
+                    sendJson(response, 422, { error: reason });
+                    return;
+                }
+                
+                // Keep what the simulation measured rather than what the client sent
+                body.distance = Math.floor(report.distance / GAME_CONFIG.PIXELS_PER_METRE);
+                body.duration = Math.round(report.gameTime);
+            }
+            sendJson(response, 201, addScore(body));
+        } else if (request.method === 'GET' && url.pathname === '/scores') {
+            const limit = Math.min(Number(params.get('limit')) || 10, MAX_LIMIT);
+            const entries = getBoard(params.get('mode'), params.get('difficulty'))
+                .slice(0, limit)
+                .map(({ name, score, distance, duration, date }) => ({ name, score, distance, duration, date }));
+            sendJson(response, 200, { entries });
+        } else if (request.method === 'GET' && url.pathname === '/rank') {
+            const board = getBoard(params.get('mode'), params.get('difficulty'));
+            const index = board.findIndex(entry => entry.playerId === params.get('playerId'));
+            sendJson(response, 200, {
+                rank: index === -1 ? null : index + 1,
+                score: index === -1 ? null : board[index].score,
+                total: board.length
+            });
+        } else {
+            sendJson(response, 404, { error: 'Not found' });
+        }
+    } catch (error) {
+        sendJson(response, 400, { error: error.message });
+    }
+});
+
+server.listen(port, () => {
+    console.log(`Leaderboard server listening on http://localhost:${port}`);
+});
@@ -0,0 +1,34 @@
+// Checks an exported replay file by re-running it, the way the leaderboard
+// server checks submitted scores.
+//
+//   node server/verify-replay.mjs <replay.json> [claimed score]
+//
+// The claimed score defaults to the one recorded in the replay. Exits with 1
+// when the replay does not hold up.
+import fs from 'fs';
+import { GAME_CONFIG } from '../js/constants.js';
+import { verifyReplay } from '../js/score-verifier.js';
+
+const [file, claimedScore] = process.argv.slice(2);
+if (!file) {
+    console.error('Usage: node server/verify-replay.mjs <replay.json> [claimed score]');
+    process.exit(2);
+}
+
+let replay;
+try {
+    replay = JSON.parse(fs.readFileSync(file, 'utf8'));
+} catch (error) {
+    console.error(`Could not read ${file}: ${error.message}`);
+    process.exit(2);
+}
+
+const score = claimedScore === undefined ? replay.score : Number(claimedScore);
+const { valid, reason, report } = verifyReplay(replay, { score });
+
+if (report) {
+    const distance = Math.floor(report.distance / GAME_CONFIG.PIXELS_PER_METRE);
+    console.log(`Re-simulated: score ${report.score}, ${distance} m, ${report.steps} steps`);
+}
+console.log(valid ? `Valid: score ${score} verified` : `Invalid: ${reason}`);
+process.exit(valid ? 0 : 1);